@@ -1,5 +1,51 @@
 const { useState, useEffect, useRef } = React;
 
+/**
+ * Text of a SWOT item.  Items are `{ text, score }` objects; analyses
+ * stored before items were scored hold plain strings.
+ */
+const itemText = entry => (typeof entry === 'string' ? entry : entry.text);
+
+/**
+ * SWOT framework descriptor, used until /api/frameworks has loaded.
+ */
+const DEFAULT_FRAMEWORK = {
+  id: 'swot',
+  label: 'SWOT',
+  field: 'swot',
+  categories: [
+    { key: 'strengths', label: 'Strengths' },
+    { key: 'weaknesses', label: 'Weaknesses' },
+    { key: 'opportunities', label: 'Opportunities' },
+    { key: 'threats', label: 'Threats' }
+  ]
+};
+
+/**
+ * Differentiation groups of a competitor compared with our product.
+ */
+const differentiationGroups = diff => [
+  ['Where they beat us', diff.theyBeatUs],
+  ['Where we beat them', diff.weBeatThem],
+  ['Both claim', diff.shared]
+];
+
+/**
+ * Render the differentiation of a competitor against our product.
+ */
+function Differentiation({ diff }) {
+  return (
+    <div className="differentiation">
+      {differentiationGroups(diff).map(([label, entries]) => (
+        <div key={label} className="differentiation-group">
+          <h5>{label}</h5>
+          <ul>{entries.map((entry, i) => <li key={i}>{entry.label}</li>)}</ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 /**
  * Main React application component for the Competitive Analysis Generator.
  *
@@ -20,7 +66,15 @@ function App() {
 
   // State for competitor input fields
   const [competitors, setCompetitors] = useState([{ name: '', description: '' }]);
-  // Results returned from the server: array of { name, swot }
+  // Optional baseline every competitor is compared against
+  const [ownProduct, setOwnProduct] = useState({ name: '', description: '' });
+  // Registered analysis frameworks and the one selected for the next analysis
+  const [frameworks, setFrameworks] = useState([DEFAULT_FRAMEWORK]);
+  const [frameworkId, setFrameworkId] = useState(DEFAULT_FRAMEWORK.id);
+  // Framework of the displayed results
+  const [resultFramework, setResultFramework] = useState(DEFAULT_FRAMEWORK);
+  // Results returned from the server: array of { name, swot } (or the
+  // result field of another framework)
   const [results, setResults] = useState(null);
   // Assigned variant ('A' or 'B') returned by the server
   const [variant, setVariant] = useState(null);
@@ -65,15 +119,21 @@ function App() {
       const endpoint = token ? '/api/analysis' : '/api/generate';
       const headers = { 'Content-Type': 'application/json' };
       if (token) headers['Authorization'] = 'Bearer ' + token;
+      const payload = { competitors, framework: frameworkId };
+      if (ownProduct.description.trim()) {
+        payload.ownProduct = { name: ownProduct.name.trim() || 'Our product', description: ownProduct.description };
+      }
       const response = await fetch(endpoint, {
         method: 'POST',
         headers,
-        body: JSON.stringify({ competitors })
+        body: JSON.stringify(payload)
       });
       const data = await response.json();
       // Support both anonymous (/api/generate) and authenticated (/api/analysis)
       setVariant(data.variant);
-      setResults(data.results || data.results);
+      setResultFramework(frameworks.find(f => f.id === data.framework) || DEFAULT_FRAMEWORK);
+      // Our product, when given, is pinned as the first card or row
+      setResults(data.baseline ? [data.baseline, ...data.results] : data.results);
       // Refresh metrics to reflect the new view count
       fetchMetrics();
     } catch (err) {
@@ -100,38 +160,38 @@ function App() {
     }
   };
 
+  // Load the registered frameworks once
+  useEffect(() => {
+    fetch('/api/frameworks')
+      .then(response => response.json())
+      .then(list => { if (Array.isArray(list) && list.length > 0) setFrameworks(list); })
+      .catch(err => console.error('Error fetching frameworks:', err));
+  }, []);
+
   /**
-   * Render the SWOT analysis results in variant‑specific layouts.
+   * Render the analysis results in variant‑specific layouts.  Columns
+   * come from the framework the results were produced with.
    */
   const renderResults = () => {
     if (!results) return null;
+    const { field, categories } = resultFramework;
+    const itemsOf = (item, key) => (item[field] && item[field][key]) || [];
     // Card layout (Variant A)
     if (variant === 'A') {
       return (
         <div className="results cards">
           {results.map((item, idx) => (
-            <div key={idx} className="card">
-              <h3>{item.name}</h3>
+            <div key={idx} className={item.ownProduct ? 'card own-product' : 'card'}>
+              <h3>{item.ownProduct ? `${item.name} (our product)` : item.name}</h3>
               <div className="swot-row">
-                <div className="swot-col">
-                  <strong>Strengths</strong>
-                  <ul>{item.swot.strengths.map((s, i) => <li key={i}>{s}</li>)}</ul>
-                </div>
-                <div className="swot-col">
-                  <strong>Weaknesses</strong>
-                  <ul>{item.swot.weaknesses.map((s, i) => <li key={i}>{s}</li>)}</ul>
-                </div>
-              </div>
-              <div className="swot-row">
-                <div className="swot-col">
-                  <strong>Opportunities</strong>
-                  <ul>{item.swot.opportunities.map((s, i) => <li key={i}>{s}</li>)}</ul>
-                </div>
-                <div className="swot-col">
-                  <strong>Threats</strong>
-                  <ul>{item.swot.threats.map((s, i) => <li key={i}>{s}</li>)}</ul>
-                </div>
+                {categories.map(category => (
+                  <div key={category.key} className="swot-col">
+                    <strong>{category.label}</strong>
+                    <ul>{itemsOf(item, category.key).map((s, i) => <li key={i}>{itemText(s)}</li>)}</ul>
+                  </div>
+                ))}
               </div>
+              {item.differentiation && <Differentiation diff={item.differentiation} />}
             </div>
           ))}
         </div>
@@ -143,20 +203,19 @@ function App() {
         <thead>
           <tr>
             <th>Competitor</th>
-            <th>Strengths</th>
-            <th>Weaknesses</th>
-            <th>Opportunities</th>
-            <th>Threats</th>
+            {categories.map(category => <th key={category.key}>{category.label}</th>)}
           </tr>
         </thead>
         <tbody>
           {results.map((item, idx) => (
-            <tr key={idx}>
-              <td>{item.name}</td>
-              <td><ul>{item.swot.strengths.map((s, i) => <li key={i}>{s}</li>)}</ul></td>
-              <td><ul>{item.swot.weaknesses.map((s, i) => <li key={i}>{s}</li>)}</ul></td>
-              <td><ul>{item.swot.opportunities.map((s, i) => <li key={i}>{s}</li>)}</ul></td>
-              <td><ul>{item.swot.threats.map((s, i) => <li key={i}>{s}</li>)}</ul></td>
+            <tr key={idx} className={item.ownProduct ? 'own-product' : ''}>
+              <td>
+                {item.ownProduct ? `${item.name} (our product)` : item.name}
+                {item.differentiation && <Differentiation diff={item.differentiation} />}
+              </td>
+              {categories.map(category => (
+                <td key={category.key}><ul>{itemsOf(item, category.key).map((s, i) => <li key={i}>{itemText(s)}</li>)}</ul></td>
+              ))}
             </tr>
           ))}
         </tbody>
@@ -345,6 +404,19 @@ function App() {
           </nav>
           {view === 'analysis' && (
             <div className="form-section">
+              <div className="competitor-input own-product">
+                <input
+                  type="text"
+                  placeholder="Our Product Name (optional)"
+                  value={ownProduct.name}
+                  onChange={e => setOwnProduct({ ...ownProduct, name: e.target.value })}
+                />
+                <textarea
+                  placeholder="Our Product Description"
+                  value={ownProduct.description}
+                  onChange={e => setOwnProduct({ ...ownProduct, description: e.target.value })}
+                />
+              </div>
               {competitors.map((comp, idx) => (
                 <div key={idx} className="competitor-input">
                   <input
@@ -360,6 +432,9 @@ function App() {
                   />
                 </div>
               ))}
+              <select value={frameworkId} onChange={e => setFrameworkId(e.target.value)}>
+                {frameworks.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </select>
               <button onClick={addCompetitor}>Add Competitor</button>
               <button onClick={generateAnalysis}>Generate Analysis</button>
               {variant && <p className="variant-info">Assigned Variant: <strong>{variant}</strong></p>}
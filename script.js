@@ -30,10 +30,34 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Analysis form elements
   const competitorsDiv = document.getElementById('competitors');
+  const ownProductName = document.getElementById('own-product-name');
+  const ownProductDescription = document.getElementById('own-product-description');
   const addCompetitorBtn = document.getElementById('add-competitor');
   const analysisForm = document.getElementById('analysis-form');
   const resultsDiv = document.getElementById('results');
   const analysisInfo = document.getElementById('analysis-info');
+  const frameworkSelect = document.getElementById('framework-select');
+  const registryList = document.getElementById('competitor-registry');
+  const importFile = document.getElementById('import-file');
+  const importDirect = document.getElementById('import-direct');
+  // Saved competitors from /api/competitors (logged-in users only)
+  let competitorRegistry = [];
+  // Frameworks from /api/frameworks keyed by id; SWOT is always known
+  const DEFAULT_FRAMEWORK = {
+    id: 'swot',
+    label: 'SWOT',
+    field: 'swot',
+    categories: [
+      { key: 'strengths', label: 'Strengths' },
+      { key: 'weaknesses', label: 'Weaknesses' },
+      { key: 'opportunities', label: 'Opportunities' },
+      { key: 'threats', label: 'Threats' }
+    ]
+  };
+  const frameworkCatalog = { swot: DEFAULT_FRAMEWORK };
+  // Source panel showing the description behind a hovered/clicked item
+  let sourcePanel = null;
+  let pinnedItem = null; // { li, source, entry } of the clicked item
 
   // Dashboard elements
   const metricsSummaryDiv = document.getElementById('metrics-summary');
@@ -106,7 +130,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
   /**
    * Create a competitor input block.  Each block contains fields
-   * for the competitor name and description.
+   * for the competitor name and description.  The name autocompletes
+   * from the competitor registry; picking a saved competitor fills in
+   * its latest description and remembers its id.
    */
   function createCompetitorFields() {
     const wrapper = document.createElement('div');
@@ -114,64 +140,514 @@ document.addEventListener('DOMContentLoaded', () => {
     const nameInput = document.createElement('input');
     nameInput.type = 'text';
     nameInput.placeholder = 'Competitor Name';
+    nameInput.setAttribute('list', 'competitor-registry');
     const descTextarea = document.createElement('textarea');
     descTextarea.placeholder = 'Description';
+    nameInput.addEventListener('change', () => {
+      const name = nameInput.value.trim().toLowerCase();
+      const saved = competitorRegistry.find(c => c.name.toLowerCase() === name);
+      const previous = competitorRegistry.find(c => c.id === wrapper.dataset.competitorId);
+      // Only replace descriptions the user has not typed themselves
+      const untouched = !descTextarea.value.trim() || (previous && descTextarea.value === previous.description);
+      if (saved && saved.description && untouched) {
+        descTextarea.value = saved.description;
+      }
+      if (saved) wrapper.dataset.competitorId = saved.id;
+      else delete wrapper.dataset.competitorId;
+    });
     wrapper.appendChild(nameInput);
     wrapper.appendChild(descTextarea);
     return wrapper;
   }
 
   /**
-   * Render SWOT results into the DOM based on the chosen variant.  If
-   * variant 'A' then render card layout, else render table layout.
+   * Show a competitor description in the source panel with the
+   * sentence behind a SWOT item highlighted.  Templated items have no
+   * source sentence and are labelled as such.  Passing no entry hides
+   * the panel.
+   *
+   * @param {{name:string, description:string}|null} source
+   * @param {object|null} entry
+   */
+  function showSource(source, entry) {
+    if (!sourcePanel) return;
+    sourcePanel.innerHTML = '';
+    if (!source || !entry) {
+      sourcePanel.style.display = 'none';
+      return;
+    }
+    sourcePanel.style.display = '';
+    const heading = document.createElement('h4');
+    heading.textContent = `Source – ${source.name}`;
+    sourcePanel.appendChild(heading);
+    const text = document.createElement('p');
+    if (entry.evidence && typeof source.description === 'string') {
+      const { start, end, keywords } = entry.evidence;
+      const desc = source.description;
+      const mark = document.createElement('mark');
+      mark.textContent = desc.slice(start, end);
+      text.appendChild(document.createTextNode(desc.slice(0, start)));
+      text.appendChild(mark);
+      text.appendChild(document.createTextNode(desc.slice(end)));
+      sourcePanel.appendChild(text);
+      const matched = document.createElement('p');
+      matched.className = 'source-note';
+      matched.textContent = keywords.length > 0
+        ? `Sentence ${entry.evidence.sentenceIndex + 1}, matched: ${keywords.join(', ')}`
+        : `Sentence ${entry.evidence.sentenceIndex + 1}, compared across competitors (${entry.kind || 'evidence'})`;
+      sourcePanel.appendChild(matched);
+    } else {
+      text.className = 'source-note';
+      if (entry.origin === 'manual') {
+        text.textContent = 'Added manually.';
+      } else if (entry.templated) {
+        text.textContent = 'Templated item – not derived from the competitor description.';
+      } else if (entry.kind) {
+        text.textContent = `Derived by comparing competitors (${entry.kind}).`;
+      } else {
+        text.textContent = 'No source sentence recorded for this item.';
+      }
+      sourcePanel.appendChild(text);
+    }
+  }
+
+  /**
+   * Build the comment button of an item.  The count is filled in by
+   * loadCommentCounts; clicking asks for a new comment on the item.
+   *
+   * @param {{analysisId:string, competitorIndex:number, category:string, itemIndex:number}} address
+   */
+  function createCommentButton(address) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'comment-count';
+    button.dataset.commentKey = `${address.competitorIndex}:${address.category}:${address.itemIndex}`;
+    button.dataset.count = '0';
+    button.textContent = '💬';
+    button.title = 'Comment on this item';
+    button.addEventListener('click', async (ev) => {
+      // Don't pin the item
+      ev.stopPropagation();
+      const body = prompt('Comment on this item:');
+      if (!body || !body.trim()) return;
+      const token = localStorage.getItem('auth_token');
+      try {
+        const response = await fetch(`/api/analysis/${address.analysisId}/comments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+          body: JSON.stringify({
+            body,
+            competitorIndex: address.competitorIndex,
+            category: address.category,
+            itemIndex: address.itemIndex
+          })
+        });
+        if (!response.ok) {
+          const data = await response.json();
+          alert(data.error || 'Could not add comment');
+          return;
+        }
+        setCommentCount(button, Number(button.dataset.count) + 1);
+      } catch (err) {
+        console.error(err);
+        alert('Comment error.');
+      }
+    });
+    return button;
+  }
+
+  /**
+   * Show a comment count on an item's comment button.
+   *
+   * @param {HTMLElement} button
+   * @param {number} count
+   */
+  function setCommentCount(button, count) {
+    button.dataset.count = String(count);
+    button.textContent = count > 0 ? `💬 ${count}` : '💬';
+  }
+
+  /**
+   * Fetch the comment threads of a saved analysis and show the number
+   * of comments (including replies) beside each item.
+   *
+   * @param {string} analysisId
+   */
+  async function loadCommentCounts(analysisId) {
+    const token = localStorage.getItem('auth_token');
+    if (!token) return;
+    try {
+      const response = await fetch(`/api/analysis/${analysisId}/comments`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) return;
+      const threads = await response.json();
+      const counts = {};
+      threads.forEach(thread => {
+        if (!thread.location) return;
+        const key = `${thread.location.competitorIndex}:${thread.location.category}:${thread.location.itemIndex}`;
+        counts[key] = (counts[key] || 0) + 1 + thread.replies.length;
+      });
+      resultsDiv.querySelectorAll('[data-comment-key]').forEach(button => {
+        setCommentCount(button, counts[button.dataset.commentKey] || 0);
+      });
+    } catch (err) {
+      console.error('Comment fetch error', err);
+    }
+  }
+
+  /**
+   * Build a list item for a SWOT entry.  Entries are `{ text, score }`
+   * objects; analyses stored before items were scored hold plain
+   * strings.  Non‑zero scores are shown as a small badge; templated,
+   * edited and manual items are tagged and pinned items highlighted.
+   * Hovering an item previews its source sentence; clicking pins it
+   * until another item is clicked.  Items of saved analyses get a
+   * comment button showing their comment count.
+   *
+   * @param {object|string} entry
+   * @param {{name:string, description:string}} source Competitor the item belongs to
+   * @param {{analysisId:string, competitorIndex:number, category:string, itemIndex:number}|null} [address]
+   *        Position of the item in a saved analysis
+   */
+  function createSwotItem(entry, source, address = null) {
+    const li = document.createElement('li');
+    if (typeof entry === 'string') {
+      li.textContent = entry;
+      return li;
+    }
+    li.textContent = entry.text;
+    if (address) {
+      li.appendChild(document.createTextNode(' '));
+      li.appendChild(createCommentButton(address));
+    }
+    if (entry.score) {
+      const badge = document.createElement('span');
+      badge.className = 'item-score ' + (entry.score > 0 ? 'positive' : 'negative');
+      badge.textContent = (entry.score > 0 ? '+' : '') + entry.score;
+      li.appendChild(document.createTextNode(' '));
+      li.appendChild(badge);
+    }
+    if (Array.isArray(entry.drivenBy) && entry.drivenBy.length > 0) {
+      const tag = document.createElement('span');
+      tag.className = 'item-tag';
+      tag.textContent = `driven by ${entry.drivenBy.join(', ')}`;
+      li.appendChild(document.createTextNode(' '));
+      li.appendChild(tag);
+    }
+    if (entry.origin === 'edited' || entry.origin === 'manual') {
+      const tag = document.createElement('span');
+      tag.className = 'item-tag curated';
+      tag.textContent = entry.origin;
+      tag.title = entry.originalText ? `Originally: ${entry.originalText}` : '';
+      li.appendChild(document.createTextNode(' '));
+      li.appendChild(tag);
+    }
+    if (entry.pinned) li.classList.add('pinned-item');
+    if (entry.templated) {
+      li.classList.add('templated');
+      const tag = document.createElement('span');
+      tag.className = 'item-tag';
+      tag.textContent = 'templated';
+      li.appendChild(document.createTextNode(' '));
+      li.appendChild(tag);
+    }
+    li.classList.add('traceable');
+    li.addEventListener('mouseenter', () => showSource(source, entry));
+    li.addEventListener('mouseleave', () => {
+      if (pinnedItem) showSource(pinnedItem.source, pinnedItem.entry);
+      else showSource(null, null);
+    });
+    li.addEventListener('click', () => {
+      if (pinnedItem) pinnedItem.li.classList.remove('pinned');
+      if (pinnedItem && pinnedItem.li === li) {
+        pinnedItem = null;
+        showSource(null, null);
+        return;
+      }
+      pinnedItem = { li, source, entry };
+      li.classList.add('pinned');
+      showSource(source, entry);
+    });
+    return li;
+  }
+
+  /**
+   * Build the competitor × feature grid.  Cells show ✓ (present),
+   * ✗ (absent) or ? (unknown); hovering a cell shows the sentences
+   * that decided it.
+   *
+   * @param {{features:Array, rows:Array}} matrix Feature matrix from the server
+   * @returns {HTMLElement}
+   */
+  function createFeatureMatrix(matrix) {
+    const table = document.createElement('table');
+    table.className = 'swot-table feature-matrix';
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const corner = document.createElement('th');
+    corner.textContent = 'Feature';
+    headRow.appendChild(corner);
+    matrix.rows.forEach(row => {
+      const th = document.createElement('th');
+      th.textContent = row.competitor;
+      if (row.ownProduct) th.className = 'own-product';
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const symbols = { present: '✓', absent: '✗', unknown: '?' };
+    const tbody = document.createElement('tbody');
+    let category = null;
+    matrix.features.forEach(feature => {
+      // Category header row whenever the category changes
+      if (feature.category !== category) {
+        category = feature.category;
+        const catRow = document.createElement('tr');
+        const catTd = document.createElement('td');
+        catTd.className = 'feature-category';
+        catTd.colSpan = matrix.rows.length + 1;
+        catTd.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+        catRow.appendChild(catTd);
+        tbody.appendChild(catRow);
+      }
+      const tr = document.createElement('tr');
+      const labelTd = document.createElement('td');
+      labelTd.textContent = feature.label;
+      tr.appendChild(labelTd);
+      matrix.rows.forEach(row => {
+        const cell = row.cells[feature.id] || { status: 'unknown', evidence: [] };
+        const td = document.createElement('td');
+        td.className = `feature-cell ${cell.status}`;
+        td.textContent = symbols[cell.status] || '?';
+        td.title = cell.evidence.length > 0
+          ? cell.evidence.map(e => e.text).join('\n')
+          : 'Not mentioned';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    return table;
+  }
+
+  /**
+   * Build the differentiation section of a competitor compared with
+   * our own product: where they beat us, where we beat them and the
+   * claims both make.  Pricing entries show both entry prices.
+   *
+   * @param {{theyBeatUs:Array, weBeatThem:Array, shared:Array}} diff
+   * @returns {HTMLElement}
+   */
+  function createDifferentiation(diff) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'differentiation';
+    [['Where they beat us', diff.theyBeatUs, 'negative'],
+      ['Where we beat them', diff.weBeatThem, 'positive'],
+      ['Both claim', diff.shared, 'neutral']].forEach(([label, entries, tone]) => {
+      const group = document.createElement('div');
+      group.className = `differentiation-group ${tone}`;
+      const header = document.createElement('h5');
+      header.textContent = label;
+      group.appendChild(header);
+      const list = document.createElement('ul');
+      entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.textContent = entry.label;
+        if (entry.kind === 'pricing' && entry.ours !== undefined) {
+          li.textContent += ` (them ${entry.theirs} vs us ${entry.ours} ${entry.currency})`;
+        }
+        const tag = document.createElement('span');
+        tag.className = 'item-tag';
+        tag.textContent = entry.kind;
+        li.appendChild(document.createTextNode(' '));
+        li.appendChild(tag);
+        list.appendChild(li);
+      });
+      if (entries.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'templated';
+        li.textContent = 'Nothing found';
+        list.appendChild(li);
+      }
+      group.appendChild(list);
+      wrapper.appendChild(group);
+    });
+    return wrapper;
+  }
+
+  /**
+   * Build the theme view: similar items clustered across competitors,
+   * grouped by framework category.  Each theme shows its representative
+   * label, the competitors sharing it and every member statement.
+   *
+   * @param {Array} themes Themes from the server
+   * @param {{categories:Array}} framework Framework descriptor
+   * @returns {HTMLElement}
+   */
+  function createThemeView(themes, framework) {
+    const view = document.createElement('div');
+    view.className = 'theme-view';
+    framework.categories.forEach(category => {
+      const inCategory = themes.filter(theme => theme.category === category.key);
+      if (inCategory.length === 0) return;
+      const header = document.createElement('h4');
+      header.textContent = category.label;
+      view.appendChild(header);
+      inCategory.forEach(theme => {
+        const block = document.createElement('div');
+        block.className = 'theme';
+        const label = document.createElement('strong');
+        label.textContent = theme.label;
+        block.appendChild(label);
+        const terms = document.createElement('span');
+        terms.className = 'source-note';
+        terms.textContent = ` – ${theme.terms.join(', ')}`;
+        block.appendChild(terms);
+        const shared = document.createElement('div');
+        theme.competitors.forEach(name => {
+          const tag = document.createElement('span');
+          tag.className = 'item-tag';
+          tag.textContent = name;
+          shared.appendChild(tag);
+          shared.appendChild(document.createTextNode(' '));
+        });
+        block.appendChild(shared);
+        const list = document.createElement('ul');
+        theme.members.forEach(member => {
+          const li = document.createElement('li');
+          li.textContent = `${member.competitor}: ${member.text}`;
+          list.appendChild(li);
+        });
+        block.appendChild(list);
+        view.appendChild(block);
+      });
+    });
+    return view;
+  }
+
+  /**
+   * Render analysis results into the DOM based on the chosen variant.
+   * If variant 'A' then render card layout, else render table layout.
+   * Columns come from the analysis framework, so SWOT, Porter's Five
+   * Forces, PESTLE or any other registered framework render the same
+   * way.  When a feature matrix or themes are available, a toggle
+   * switches between the framework layout and those views.  Our own product,
+   * when given, always comes first.
    *
    * @param {Array} results Array of result objects from the server
    * @param {string} variant 'A' or 'B'
+   * @param {Array<{name:string, description:string}>} competitors The
+   *        analysed competitors, in the same order as `results`; used to
+   *        show the source sentence behind each item
+   * @param {object} [extras]
+   * @param {object} [extras.framework] Framework descriptor
+   *        ({ label, field, categories }); defaults to SWOT
+   * @param {object} [extras.featureMatrix] Feature matrix from the server
+   * @param {Array} [extras.themes] Similar items clustered across competitors
+   * @param {object} [extras.baseline] Result for our own product, pinned as
+   *        the first card or row; competitors then show their differentiation
+   * @param {{name:string, description:string}} [extras.ownProduct] Our product's input
+   * @param {string} [extras.analysisId] Id of the saved analysis; enables
+   *        comment counts and comment buttons on the items
    */
-  function renderResults(results, variant) {
+  function renderResults(results, variant, competitors = [], extras = {}) {
+    const {
+      framework = DEFAULT_FRAMEWORK, featureMatrix = null, themes = null, baseline = null, ownProduct = null, analysisId = null
+    } = extras;
     // Clear previous output
     resultsDiv.innerHTML = '';
+    sourcePanel = null;
+    pinnedItem = null;
     analysisInfo.textContent = variant ? `Assigned variant: ${variant}` : '';
     if (!results || results.length === 0) return;
+    // Framework, feature matrix and theme views share the results area
+    const frameworkView = document.createElement('div');
+    const views = [[framework.label, frameworkView]];
+    if (featureMatrix && featureMatrix.features.length > 0) {
+      const matrixView = document.createElement('div');
+      matrixView.appendChild(createFeatureMatrix(featureMatrix));
+      views.push(['Feature matrix', matrixView]);
+    }
+    if (themes && themes.length > 0) {
+      views.push(['Themes', createThemeView(themes, framework)]);
+    }
+    if (views.length > 1) {
+      const toggle = document.createElement('div');
+      toggle.className = 'view-toggle';
+      views.forEach(([label, view], i) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        if (i === 0) btn.classList.add('active');
+        btn.addEventListener('click', () => {
+          Array.from(toggle.children).forEach(b => b.classList.remove('active'));
+          btn.classList.add('active');
+          views.forEach(([, other]) => {
+            other.style.display = other === view ? '' : 'none';
+          });
+        });
+        toggle.appendChild(btn);
+      });
+      resultsDiv.appendChild(toggle);
+    }
+    views.forEach(([, view], i) => {
+      if (i > 0) view.style.display = 'none';
+      resultsDiv.appendChild(view);
+    });
+    // Our product is pinned first; its source is the ownProduct input
+    const entries = baseline ? [baseline, ...results] : results;
+    const sources = baseline ? [ownProduct || {}, ...competitors] : competitors;
+    const sourceFor = idx => ({
+      name: entries[idx].name,
+      description: sources[idx] ? sources[idx].description : ''
+    });
+    const itemsOf = (item, key) => (item[framework.field] && item[framework.field][key]) || [];
+    // Items of saved analyses can be commented on; our product has no
+    // index in `results` and is left out
+    const addressOf = (item, idx, category, itemIndex) => (analysisId && !item.ownProduct
+      ? { analysisId, competitorIndex: baseline ? idx - 1 : idx, category, itemIndex }
+      : null);
     if (variant === 'A') {
       // Card layout
       const container = document.createElement('div');
       container.className = 'results cards';
-      results.forEach(item => {
+      entries.forEach((item, idx) => {
         const card = document.createElement('div');
-        card.className = 'card';
+        card.className = item.ownProduct ? 'card own-product' : 'card';
         const title = document.createElement('h3');
-        title.textContent = item.name;
+        title.textContent = item.ownProduct ? `${item.name} (our product)` : item.name;
         card.appendChild(title);
-        // For each SWOT category build columns
+        // For each framework category build columns
         const row = document.createElement('div');
         row.className = 'swot-row';
-        ['strengths','weaknesses','opportunities','threats'].forEach(key => {
+        framework.categories.forEach(category => {
           const col = document.createElement('div');
           col.className = 'swot-col';
           const header = document.createElement('h4');
-          header.textContent = key.charAt(0).toUpperCase() + key.slice(1);
+          header.textContent = category.label;
           col.appendChild(header);
           const list = document.createElement('ul');
-          item.swot[key].forEach(entry => {
-            const li = document.createElement('li');
-            li.textContent = entry;
-            list.appendChild(li);
+          itemsOf(item, category.key).forEach((entry, itemIndex) => {
+            list.appendChild(createSwotItem(entry, sourceFor(idx), addressOf(item, idx, category.key, itemIndex)));
           });
           col.appendChild(list);
           row.appendChild(col);
         });
         card.appendChild(row);
+        if (item.differentiation) card.appendChild(createDifferentiation(item.differentiation));
         container.appendChild(card);
       });
-      resultsDiv.appendChild(container);
+      frameworkView.appendChild(container);
     } else {
       // Table layout
       const table = document.createElement('table');
       table.className = 'swot-table';
       const thead = document.createElement('thead');
       const headRow = document.createElement('tr');
-      ['Competitor','Strengths','Weaknesses','Opportunities','Threats'].forEach(col => {
+      const columns = ['Competitor', ...framework.categories.map(category => category.label)];
+      if (baseline) columns.push('Differentiation');
+      columns.forEach(col => {
         const th = document.createElement('th');
         th.textContent = col;
         headRow.appendChild(th);
@@ -179,26 +655,83 @@ document.addEventListener('DOMContentLoaded', () => {
       thead.appendChild(headRow);
       table.appendChild(thead);
       const tbody = document.createElement('tbody');
-      results.forEach(item => {
+      entries.forEach((item, idx) => {
         const row = document.createElement('tr');
+        if (item.ownProduct) row.className = 'own-product';
         const nameTd = document.createElement('td');
-        nameTd.textContent = item.name;
+        nameTd.textContent = item.ownProduct ? `${item.name} (our product)` : item.name;
         row.appendChild(nameTd);
-        ['strengths','weaknesses','opportunities','threats'].forEach(key => {
+        framework.categories.forEach(category => {
           const td = document.createElement('td');
           const ul = document.createElement('ul');
-          item.swot[key].forEach(entry => {
-            const li = document.createElement('li');
-            li.textContent = entry;
-            ul.appendChild(li);
+          itemsOf(item, category.key).forEach((entry, itemIndex) => {
+            ul.appendChild(createSwotItem(entry, sourceFor(idx), addressOf(item, idx, category.key, itemIndex)));
           });
           td.appendChild(ul);
           row.appendChild(td);
         });
+        if (baseline) {
+          const diffTd = document.createElement('td');
+          if (item.differentiation) diffTd.appendChild(createDifferentiation(item.differentiation));
+          row.appendChild(diffTd);
+        }
         tbody.appendChild(row);
       });
       table.appendChild(tbody);
-      resultsDiv.appendChild(table);
+      frameworkView.appendChild(table);
+    }
+    sourcePanel = document.createElement('div');
+    sourcePanel.className = 'source-panel';
+    sourcePanel.style.display = 'none';
+    frameworkView.appendChild(sourcePanel);
+    if (analysisId) loadCommentCounts(analysisId);
+  }
+
+  /**
+   * Load the registered analysis frameworks into the framework picker.
+   * SWOT stays available if the request fails.
+   */
+  async function loadFrameworks() {
+    try {
+      const response = await fetch('/api/frameworks');
+      if (!response.ok) return;
+      const list = await response.json();
+      frameworkSelect.innerHTML = '';
+      list.forEach(framework => {
+        frameworkCatalog[framework.id] = framework;
+        const option = document.createElement('option');
+        option.value = framework.id;
+        option.textContent = framework.label;
+        frameworkSelect.appendChild(option);
+      });
+    } catch (err) {
+      console.error('Framework fetch error', err);
+    }
+  }
+
+  /**
+   * Load the user's saved competitors into the name suggestions.
+   * Anonymous users get no suggestions.
+   */
+  async function loadCompetitorRegistry() {
+    competitorRegistry = [];
+    registryList.innerHTML = '';
+    const token = localStorage.getItem('auth_token');
+    if (!token) return;
+    try {
+      const response = await fetch('/api/competitors', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) return;
+      competitorRegistry = await response.json();
+      competitorRegistry.forEach(competitor => {
+        const option = document.createElement('option');
+        option.value = competitor.name;
+        if (competitor.category) option.label = `${competitor.name} (${competitor.category})`;
+        registryList.appendChild(option);
+      });
+    } catch (err) {
+      console.error('Competitor registry fetch error', err);
     }
   }
 
@@ -283,6 +816,249 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Import competitors from a CSV or JSON file.  The file is streamed
+   * to /api/import; the imported competitors either replace the
+   * competitor fields of the form or, when "Create the analysis
+   * directly" is checked (logged-in users only), are analysed right
+   * away.  Rows that failed validation are listed afterwards.
+   *
+   * @param {File} file
+   */
+  async function importCompetitors(file) {
+    const token = localStorage.getItem('auth_token');
+    const direct = importDirect.checked && Boolean(token);
+    const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+    const params = new URLSearchParams({ format, target: direct ? 'analysis' : 'form' });
+    if (direct) params.set('framework', frameworkSelect.value || DEFAULT_FRAMEWORK.id);
+    const headers = { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    try {
+      const response = await fetch(`/api/import?${params}`, { method: 'POST', headers, body: file });
+      const data = await response.json();
+      const errors = data.errors || data.importErrors || [];
+      if (!response.ok) {
+        alert(data.error || 'Import failed');
+      } else if (direct) {
+        renderResults(data.results, localStorage.getItem('swot_variant') || data.variant, data.competitors, {
+          framework: frameworkCatalog[data.framework] || DEFAULT_FRAMEWORK,
+          featureMatrix: data.featureMatrix,
+          themes: data.themes,
+          analysisId: data.id
+        });
+        addShareButton(data.id);
+        addDownloadButtons(data.id);
+        addPrintButton(`/api/analysis/${data.id}/report`, { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` });
+      } else {
+        competitorsDiv.innerHTML = '';
+        data.competitors.forEach(competitor => {
+          const block = createCompetitorFields();
+          const inputs = block.querySelectorAll('input, textarea');
+          const { name, description, ...extra } = competitor;
+          inputs[0].value = name;
+          inputs[1].value = description;
+          // Columns without a form field (website, category, notes,
+          // language) are sent along with the row, as a direct import would
+          if (Object.keys(extra).length > 0) block.dataset.imported = JSON.stringify(extra);
+          competitorsDiv.appendChild(block);
+        });
+        if (data.competitors.length === 0) competitorsDiv.appendChild(createCompetitorFields());
+      }
+      if (errors.length > 0) {
+        const lines = errors.slice(0, 20).map(e => (e.row === null ? e.error : `Row ${e.row}: ${e.error}`));
+        if (errors.length > lines.length) lines.push(`…and ${errors.length - lines.length} more`);
+        alert(`Some rows were not imported:\n${lines.join('\n')}`);
+      }
+    } catch (err) {
+      console.error(err);
+      alert('Import error.');
+    } finally {
+      importFile.value = '';
+    }
+  }
+
+  /**
+   * Add a "Share" button below saved results.  It creates a public
+   * read-only link to the analysis and shows it for copying.
+   *
+   * @param {string} analysisId
+   */
+  function addShareButton(analysisId) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'share-button';
+    button.textContent = 'Share';
+    button.addEventListener('click', async () => {
+      const token = localStorage.getItem('auth_token');
+      try {
+        const response = await fetch(`/api/analysis/${analysisId}/shares`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+          body: JSON.stringify({})
+        });
+        const share = await response.json();
+        if (!response.ok) {
+          alert(share.error || 'Could not create share link');
+          return;
+        }
+        prompt('Read-only link to this analysis:', new URL(share.url, window.location.origin).href);
+      } catch (err) {
+        console.error(err);
+        alert('Share error.');
+      }
+    });
+    resultsDiv.appendChild(button);
+  }
+
+  /**
+   * Add "Download" buttons below saved results, one per export format.
+   * The export is fetched with the auth token and saved under the file
+   * name the server suggests.
+   *
+   * @param {string} analysisId
+   */
+  function addDownloadButtons(analysisId) {
+    [['csv', 'CSV'], ['md', 'Markdown'], ['json', 'JSON']].forEach(([format, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'download-button';
+      button.textContent = `Download ${label}`;
+      button.addEventListener('click', async () => {
+        const token = localStorage.getItem('auth_token');
+        try {
+          const response = await fetch(`/api/analysis/${analysisId}/export?format=${format}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+          });
+          if (!response.ok) {
+            const data = await response.json();
+            alert(data.error || 'Export failed');
+            return;
+          }
+          const disposition = response.headers.get('Content-Disposition') || '';
+          const match = disposition.match(/filename="([^"]+)"/);
+          const url = URL.createObjectURL(await response.blob());
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = match ? match[1] : `analysis.${format}`;
+          document.body.appendChild(link);
+          link.click();
+          link.remove();
+          URL.revokeObjectURL(url);
+        } catch (err) {
+          console.error(err);
+          alert('Export error.');
+        }
+      });
+      resultsDiv.appendChild(button);
+    });
+  }
+
+  /**
+   * Add a "Print" button below the results.  It prints the server's
+   * HTML report, the same template used for emailed and shared
+   * reports, from a hidden frame.
+   *
+   * @param {string} url Report endpoint
+   * @param {object} headers Request headers (auth token or share password)
+   */
+  function addPrintButton(url, headers) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'print-button';
+    button.textContent = 'Print';
+    button.addEventListener('click', async () => {
+      try {
+        const response = await fetch(url, { headers });
+        if (!response.ok) {
+          const data = await response.json();
+          alert(data.error || 'Could not load the report');
+          return;
+        }
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.srcdoc = await response.text();
+        frame.addEventListener('load', () => {
+          frame.contentWindow.print();
+          // Printing blocks until the dialog closes in most browsers
+          setTimeout(() => frame.remove(), 1000);
+        });
+        document.body.appendChild(frame);
+      } catch (err) {
+        console.error(err);
+        alert('Print error.');
+      }
+    });
+    resultsDiv.appendChild(button);
+  }
+
+  /**
+   * Display an HTML report in the results area, in a frame sized to
+   * its content.
+   *
+   * @param {string} html
+   */
+  function showReport(html) {
+    const frame = document.createElement('iframe');
+    frame.className = 'report-frame';
+    frame.title = 'Analysis report';
+    frame.srcdoc = html;
+    frame.addEventListener('load', () => {
+      frame.style.height = `${frame.contentDocument.documentElement.scrollHeight}px`;
+    });
+    resultsDiv.innerHTML = '';
+    resultsDiv.appendChild(frame);
+  }
+
+  /**
+   * Show a shared analysis read-only.  The page is opened as
+   * `/?share=<token>`; navigation and the analysis form are hidden and
+   * the link's HTML report, the template the "Print" action uses, is
+   * displayed in the layout chosen for the link.  Password protected
+   * links prompt for the password.
+   *
+   * @param {string} shareToken
+   */
+  async function loadSharedAnalysis(shareToken) {
+    document.body.classList.add('read-only');
+    document.querySelector('header nav').style.display = 'none';
+    analysisForm.style.display = 'none';
+    analysisSection.querySelector('h2').textContent = 'Shared Analysis';
+    let password = null;
+    try {
+      for (;;) {
+        const headers = password === null ? {} : { 'X-Share-Password': password };
+        const response = await fetch(`/api/shared/${encodeURIComponent(shareToken)}`, { headers });
+        const data = await response.json();
+        if (response.status === 401 || response.status === 403) {
+          password = prompt(response.status === 401 ? 'This analysis is password protected:' : 'Wrong password, try again:');
+          if (password === null) {
+            analysisInfo.textContent = 'A password is required to view this analysis.';
+            return;
+          }
+          continue;
+        }
+        if (!response.ok) {
+          analysisInfo.textContent = data.error || 'This share link is not available.';
+          return;
+        }
+        const { analysis } = data;
+        const reportUrl = `/api/shared/${encodeURIComponent(shareToken)}/report`;
+        const report = await fetch(reportUrl, { headers });
+        if (!report.ok) {
+          analysisInfo.textContent = 'Could not load the shared report.';
+          return;
+        }
+        showReport(await report.text());
+        addPrintButton(reportUrl, headers);
+        analysisInfo.textContent = `Analysis of ${new Date(analysis.updatedAt || analysis.timestamp).toLocaleString()}`;
+        return;
+      }
+    } catch (err) {
+      console.error(err);
+      analysisInfo.textContent = 'Failed to load the shared analysis.';
+    }
+  }
+
   /**
    * Submit the competitor data to the appropriate endpoint.  If
    * authenticated, call the persistent /api/analysis endpoint; if
@@ -290,10 +1066,13 @@ document.addEventListener('DOMContentLoaded', () => {
    * variant in localStorage to maintain consistency for this user.
    *
    * @param {Array<{name:string, description:string}>} comps
+   * @param {{name:string, description:string}|null} ownProduct Optional baseline
+   * @param {string} framework Id of the analysis framework
    */
-  async function submitAnalysis(comps) {
+  async function submitAnalysis(comps, ownProduct, framework) {
     const token = localStorage.getItem('auth_token');
-    const payload = { competitors: comps };
+    const payload = { competitors: comps, framework };
+    if (ownProduct) payload.ownProduct = ownProduct;
     let endpoint = '/api/generate';
     const fetchOptions = {
       method: 'POST',
@@ -323,6 +1102,7 @@ document.addEventListener('DOMContentLoaded', () => {
     localStorage.removeItem('auth_token');
     localStorage.removeItem('swot_variant');
     updateAuthUI();
+    loadCompetitorRegistry();
     showView('analyze');
   });
 
@@ -348,6 +1128,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (res.ok) {
         localStorage.setItem('auth_token', data.token);
         updateAuthUI();
+        loadCompetitorRegistry();
         showView('analyze');
         alert('Registration successful! You are now logged in.');
       } else {
@@ -377,6 +1158,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (res.ok) {
         localStorage.setItem('auth_token', data.token);
         updateAuthUI();
+        loadCompetitorRegistry();
         showView('analyze');
         alert('Login successful!');
       } else {
@@ -395,6 +1177,11 @@ document.addEventListener('DOMContentLoaded', () => {
   // Add one competitor field on initial load
   competitorsDiv.appendChild(createCompetitorFields());
 
+  // Bulk import from a file
+  importFile.addEventListener('change', () => {
+    if (importFile.files.length > 0) importCompetitors(importFile.files[0]);
+  });
+
   // Analysis form submit handler
   analysisForm.addEventListener('submit', async (ev) => {
     ev.preventDefault();
@@ -404,14 +1191,24 @@ document.addEventListener('DOMContentLoaded', () => {
       const inputs = block.querySelectorAll('input, textarea');
       const name = inputs[0].value.trim();
       const desc = inputs[1].value.trim();
-      return { name, description: desc };
-    }).filter(c => c.name || c.description);
+      const imported = block.dataset.imported ? JSON.parse(block.dataset.imported) : {};
+      // Saved competitors whose description was kept are sent by id
+      const saved = competitorRegistry.find(c => c.id === block.dataset.competitorId);
+      if (saved && saved.name === name && saved.description === desc && localStorage.getItem('auth_token')) {
+        return imported.language ? { id: saved.id, language: imported.language } : { id: saved.id };
+      }
+      return { ...imported, name, description: desc };
+    }).filter(c => c.id || c.name || c.description);
     if (comps.length === 0) {
       alert('Please add at least one competitor and description.');
       return;
     }
+    const ownDescription = ownProductDescription.value.trim();
+    const ownProduct = ownDescription
+      ? { name: ownProductName.value.trim() || 'Our product', description: ownDescription }
+      : null;
     try {
-      const data = await submitAnalysis(comps);
+      const data = await submitAnalysis(comps, ownProduct, frameworkSelect.value || DEFAULT_FRAMEWORK.id);
       // Determine variant.  Use stored value if present to keep consistent.
       let variant = localStorage.getItem('swot_variant');
       if (!variant) {
@@ -420,7 +1217,20 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       // The API returns either { variant, results } (for generate) or the full analysis object with variant and results.
       const results = data.results || (Array.isArray(data.competitors) ? data.competitors : []);
-      renderResults(results, variant);
+      renderResults(results, variant, Array.isArray(data.competitors) ? data.competitors : comps, {
+        framework: frameworkCatalog[data.framework] || DEFAULT_FRAMEWORK,
+        featureMatrix: data.featureMatrix,
+        themes: data.themes,
+        baseline: data.baseline,
+        ownProduct: data.ownProduct || ownProduct,
+        analysisId: data.id || null
+      });
+      // Saved analyses (logged-in users) can be shared, downloaded and printed
+      if (data.id) {
+        addShareButton(data.id);
+        addDownloadButtons(data.id);
+        addPrintButton(`/api/analysis/${data.id}/report`, { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` });
+      }
     } catch (err) {
       console.error(err);
       alert('An error occurred while generating your analysis.');
@@ -430,7 +1240,17 @@ document.addEventListener('DOMContentLoaded', () => {
   // Refresh metrics button
   refreshMetricsBtn.addEventListener('click', refreshMetrics);
 
+  // Shared links open the read-only view instead of the app
+  const shareToken = new URLSearchParams(window.location.search).get('share');
+  if (shareToken) {
+    showView('analyze');
+    loadSharedAnalysis(shareToken);
+    return;
+  }
+
   // Initialise UI based on auth state
+  loadFrameworks();
+  loadCompetitorRegistry();
   updateAuthUI();
   showView('analyze');
 });
\ No newline at end of file
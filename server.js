@@ -37,8 +37,55 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const analyzer = require('./services/analyzer');
+const llmProvider = require('./services/llmProvider');
+const { applyLandscape } = require('./services/landscape');
+const languages = require('./services/languages');
+const { buildFeatureMatrix } = require('./services/featureMatrix');
+const pricing = require('./services/pricing');
+const { applyDifferentiation } = require('./services/differentiation');
+const frameworks = require('./services/frameworks');
+const { clusterThemes } = require('./services/themes');
+const { diffRevisions } = require('./services/revisions');
+const search = require('./services/search');
+const { normalizeTags, rollupProject } = require('./services/projects');
+const { resolveTarget, buildThreads } = require('./services/comments');
+const { createCuration, applyCurations } = require('./services/curation');
+const { createImporter } = require('./services/importer');
+const exporter = require('./services/exporter');
+const { renderReport } = require('./services/report');
+const { createJobQueue, isFinished } = require('./services/jobs');
+const { parseSchedule, nextRunAfter, addRun } = require('./services/schedules');
+const { createScraper, createHttpFetcher, generateDigest, loadDigest } = require('./services/scraper');
+
+analyzer.registerProvider(llmProvider);
 
 const PORT = process.env.PORT || 3000;
+// Largest accepted import upload in bytes; imports are streamed, so
+// this is independent of the 1e6 limit on JSON request bodies
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES, 10) || 20e6;
+// Days a deleted analysis stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+// How often the trash is swept for analyses past their retention
+const TRASH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Maximum number of background analysis jobs running at once
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+// Days finished jobs are kept before they are pruned, and how often
+// the jobs are swept
+const JOB_RETENTION_DAYS = parseFloat(process.env.JOB_RETENTION_DAYS) || 7;
+const JOB_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// How often the scheduler looks for due re-analysis schedules
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+// Wrong share passwords accepted per link before it is locked, and
+// how long the lock lasts
+const SHARE_PASSWORD_MAX_ATTEMPTS = 5;
+const SHARE_PASSWORD_LOCKOUT_MS = 15 * 60 * 1000;
+// Pages a registry competitor may list for the scraper besides its website
+const MAX_COMPETITOR_URLS = 10;
+// How often the competitor digest is regenerated, and how often the
+// server checks whether it is due
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
 
 // Paths to JSON files used for persistence.  All are stored in the
 // project root.  If any of these files are missing at startup they
@@ -47,6 +94,14 @@ const metricsFile = path.join(__dirname, 'metrics.json');
 const usersFile = path.join(__dirname, 'users.json');
 const sessionsFile = path.join(__dirname, 'sessions.json');
 const analysesFile = path.join(__dirname, 'analyses.json');
+const lexiconsFile = path.join(__dirname, 'lexicons.json');
+const revisionsFile = path.join(__dirname, 'revisions.json');
+const competitorsFile = path.join(__dirname, 'competitors.json');
+const projectsFile = path.join(__dirname, 'projects.json');
+const sharesFile = path.join(__dirname, 'shares.json');
+const commentsFile = path.join(__dirname, 'comments.json');
+const jobsFile = path.join(__dirname, 'jobs.json');
+const schedulesFile = path.join(__dirname, 'schedules.json');
 
 /**
  * Generic helper to read JSON data from disk.  If the file does not
@@ -139,8 +194,9 @@ let sessions = initSessions();
 /**
  * Initialize analyses.  Analyses are stored as an array of objects
  * with properties: id (string), userId (string), timestamp (number),
- * competitors (array), variant (string), results (SWOT object).  If
- * the file does not exist, it is created with an empty array.
+ * competitors (array), variant (string), results (SWOT object).
+ * Analyses in the trash also have deletedAt (number).  If the file
+ * does not exist, it is created with an empty array.
  */
 function initAnalyses() {
   const analyses = readJson(analysesFile, []);
@@ -149,9 +205,136 @@ function initAnalyses() {
 }
 let analyses = initAnalyses();
 
-// Keyword lists used for simple heuristic SWOT extraction
-const positiveKeywords = ['fast', 'easy', 'popular', 'affordable', 'flexible', 'scalable', 'intuitive', 'efficient', 'user‑friendly'];
-const negativeKeywords = ['expensive', 'slow', 'bug', 'bugs', 'complicated', 'complex', 'limited', 'difficult', 'unreliable'];
+/**
+ * Initialize lexicons.  Lexicons are per‑user keyword sets stored as
+ * an array of objects with properties: id, userId, name, version,
+ * positive and negative (arrays of { keyword, weight }), timestamps
+ * and `versions`, the snapshots of every earlier version.  If the
+ * file does not exist, it is created with an empty array.
+ */
+function initLexicons() {
+  const lexicons = readJson(lexiconsFile, []);
+  writeJson(lexiconsFile, lexicons);
+  return lexicons;
+}
+let lexicons = initLexicons();
+
+/**
+ * Initialize analysis revisions.  Every create and update of an
+ * analysis appends an immutable snapshot with properties: analysisId,
+ * userId, revision (1 for the original analysis), timestamp and the
+ * analysis fields listed in REVISION_FIELDS.  If the file does not
+ * exist, it is created with an empty array.
+ */
+function initRevisions() {
+  const revisions = readJson(revisionsFile, []);
+  writeJson(revisionsFile, revisions);
+  return revisions;
+}
+let revisions = initRevisions();
+
+/**
+ * Initialize the competitor registry.  Registry entries are per‑user
+ * competitors stored as an array of objects with properties: id,
+ * userId, name, website, urls (further pages to scrape), category,
+ * notes, description (the latest
+ * one), `descriptions` (every description as { description,
+ * recordedAt }, oldest first) and timestamps.  If the file does not
+ * exist, it is created with an empty array.
+ */
+function initCompetitors() {
+  const competitors = readJson(competitorsFile, []);
+  writeJson(competitorsFile, competitors);
+  return competitors;
+}
+let registry = initCompetitors();
+// Fetches competitor websites for the scrape endpoint and the digest;
+// its response cache is kept in scrape-cache.json.  Loopback and
+// private addresses are refused unless SCRAPER_ALLOW_PRIVATE_NETWORKS
+// is set (for local development only).
+const scraper = createScraper({
+  fetcher: createHttpFetcher({ allowPrivateNetworks: process.env.SCRAPER_ALLOW_PRIVATE_NETWORKS === '1' })
+});
+
+/**
+ * Initialize projects.  Projects are per‑user folders for analyses
+ * stored as an array of objects with properties: id, userId, name and
+ * timestamps.  Analyses reference their project by `projectId`.  If
+ * the file does not exist, it is created with an empty array.
+ */
+function initProjects() {
+  const projects = readJson(projectsFile, []);
+  writeJson(projectsFile, projects);
+  return projects;
+}
+let projects = initProjects();
+
+/**
+ * Initialize share links.  Shares are public read‑only links to an
+ * analysis stored as an array of objects with properties: token,
+ * analysisId, userId, layout (variant `A` or `B`), createdAt,
+ * expiresAt, salt and passwordHash (null without a password),
+ * revokedAt, views and lastViewedAt.  If the file does not exist, it
+ * is created with an empty array.
+ */
+function initShares() {
+  const shares = readJson(sharesFile, []);
+  writeJson(sharesFile, shares);
+  return shares;
+}
+let shares = initShares();
+// Failed password attempts per share token: { count, resetAt }.  Kept
+// in memory only; a restart lifts every lock.
+const sharePasswordFailures = new Map();
+
+/**
+ * Initialize comments.  Comments are stored as an array of objects
+ * with properties: id, analysisId, userId, author (username), parentId
+ * (null for the first comment of a thread), item (null for comments
+ * on the whole analysis, otherwise { itemId, competitor, category,
+ * text }), body, resolved, resolvedAt and timestamps.  If the file
+ * does not exist, it is created with an empty array.
+ */
+function initComments() {
+  const comments = readJson(commentsFile, []);
+  writeJson(commentsFile, comments);
+  return comments;
+}
+let comments = initComments();
+
+/**
+ * Initialize background jobs.  Jobs are stored as an array of objects
+ * with properties: id, userId, type ('analysis'), data (the request
+ * body), status (queued, running, succeeded, failed or cancelled),
+ * progress ({ done, total } or null), result ({ analysisId } once
+ * succeeded), error, createdAt, startedAt and finishedAt.  If the file
+ * does not exist, it is created with an empty array.
+ */
+function initJobs() {
+  const jobs = readJson(jobsFile, []);
+  writeJson(jobsFile, jobs);
+  return jobs;
+}
+let jobs = initJobs();
+
+/**
+ * Initialize re-analysis schedules.  Schedules are stored as an array
+ * of objects with properties: id, analysisId, userId, schedule
+ * (`daily`, `weekly` or a cron expression), paused, nextRunAt,
+ * lastRunAt, runs (the latest runs as { dueAt, startedAt, finishedAt,
+ * status, revision, error, catchUp }) and timestamps.  If the file
+ * does not exist, it is created with an empty array.
+ */
+function initSchedules() {
+  const schedules = readJson(schedulesFile, []);
+  writeJson(schedulesFile, schedules);
+  return schedules;
+}
+let schedules = initSchedules();
+
+// Analysis fields captured in every revision
+const REVISION_FIELDS = ['competitors', 'ownProduct', 'provider', 'framework', 'lexicon', 'language', 'currency',
+  'baseline', 'curations', 'results', 'landscape', 'featureMatrix', 'themes'];
 
 /**
  * Generate a salted hash for a password.  Uses PBKDF2 with SHA‑512
@@ -231,57 +414,225 @@ function getUserIdFromToken(token) {
 }
 
 /**
- * Very naive SWOT analysis generator.  Splits the description into
- * sentences and checks for occurrences of keywords.  Strengths and
- * weaknesses are extracted from sentences containing positive or
- * negative keywords.  Opportunities and threats are generated from
- * generic templates based on the presence or absence of keywords.
+ * Run the requested analyzer provider over a list of competitors.
+ * Each result records the provider that actually produced it; when
+ * the requested provider failed and the heuristic was used instead,
+ * the result is flagged with `fallback: true`.  Each competitor is
+ * analysed in its own language: an explicit `language` on the
+ * competitor wins, then the analysis‑wide `options.language`, and
+ * otherwise the language is detected from the description.  The
+ * language and how it was chosen are stored on the result.  Frameworks
+ * other than SWOT are extracted with their own rules and stored under
+ * the framework's result field instead of `swot`.
  *
- * @param {string} desc  The description of the competitor.
- * @param {string} name  The competitor name (used in templated messages).
- * @returns {object} An object with arrays for strengths, weaknesses,
- *                   opportunities and threats.
+ * @param {Array} competitors Array of { name, description, language } objects
+ * @param {string} providerName Name of a registered analyzer provider
+ * @param {object} options Options forwarded to the provider (e.g.
+ *                         lexicon) plus an optional default language,
+ *                         `framework` (defaults to SWOT) and
+ *                         `onProgress(done, total)`, called as each
+ *                         competitor completes
+ * @returns {Promise<Array>} Resolves to [{ name, language, swot, provider, fallback }]
  */
-function analyzeDescription(desc, name) {
-  const strengths = [];
-  const weaknesses = [];
-  const opportunities = [];
-  const threats = [];
-
-  // Split description into sentences on . ! ? ; also handle newlines
-  const sentences = desc
-    .replace(/\n/g, ' ')
-    .split(/[.!?;]/)
-    .map(s => s.trim())
-    .filter(Boolean);
-
-  sentences.forEach(sentence => {
-    const lower = sentence.toLowerCase();
-    // Check positive and negative keyword occurrence
-    const hasPositive = positiveKeywords.some(k => lower.includes(k));
-    const hasNegative = negativeKeywords.some(k => lower.includes(k));
-    if (hasPositive) {
-      strengths.push(sentence);
+function analyzeCompetitors(competitors, providerName, options = {}) {
+  const { framework = frameworks.getFramework(frameworks.DEFAULT_FRAMEWORK), onProgress, ...providerOptions } = options;
+  let done = 0;
+  const report = result => {
+    done++;
+    if (onProgress) onProgress(done, competitors.length);
+    return result;
+  };
+  return Promise.all(competitors.map(async comp => {
+    const name = (comp && comp.name) || 'Unnamed competitor';
+    const description = (comp && comp.description) || '';
+    const explicit = (comp && comp.language) || providerOptions.language;
+    const language = explicit || languages.detectLanguage(description);
+    const result = { name, language, languageSource: explicit ? 'explicit' : 'detected' };
+    if (framework.id !== frameworks.DEFAULT_FRAMEWORK) {
+      // Rule frameworks are extracted directly from the description
+      result[framework.field] = frameworks.extractItems(framework, description, { language, lexicon: providerOptions.lexicon });
+      result.provider = analyzer.DEFAULT_PROVIDER;
+      return report(result);
     }
-    if (hasNegative) {
-      weaknesses.push(sentence);
+    const outcome = await analyzer.analyzeWithProvider(providerName, description, name, { ...providerOptions, language });
+    result.swot = outcome.swot;
+    result.provider = outcome.provider;
+    if (outcome.fallback) {
+      result.fallback = true;
+      result.providerError = outcome.error;
     }
-  });
-  // If no strengths/weaknesses found, supply generic messages
-  if (strengths.length === 0) {
-    strengths.push(`${name} is positioned to deliver value to its users with proper execution.`);
+    return report(result);
+  }));
+}
+
+/**
+ * Run the full analysis pipeline: the per‑competitor analysis, the
+ * pricing comparison (which adds pricing position items to strengths
+ * and weaknesses), the cross‑competitor landscape pass and the feature
+ * matrix.  With an `ownProduct` baseline, our product is analysed the
+ * same way (but kept out of the competitor comparisons), pinned as the
+ * first feature matrix row, and every competitor result gains a
+ * `differentiation` block.  The landscape pass only applies to SWOT;
+ * other frameworks get a null landscape.  Finally similar items are
+ * clustered into cross‑competitor `themes`.
+ *
+ * @param {Array} competitors Array of { name, description, language } objects
+ * @param {string} providerName Name of a registered analyzer provider
+ * @param {object} options Provider options plus optional `language`,
+ *                         `currency`, `ownProduct`, `framework` and
+ *                         `onProgress` (see analyzeCompetitors)
+ * @returns {Promise<{ results: Array, baseline: object|null, landscape: object|null, featureMatrix: object, themes: Array }>}
+ */
+async function runAnalysis(competitors, providerName, options = {}) {
+  const { currency, ownProduct, ...providerOptions } = options;
+  const framework = providerOptions.framework || frameworks.getFramework(frameworks.DEFAULT_FRAMEWORK);
+  const analysed = ownProduct ? [ownProduct, ...competitors] : competitors;
+  const results = await analyzeCompetitors(analysed, providerName, providerOptions);
+  const baseline = ownProduct ? results.shift() : null;
+  pricing.applyPricing(results, competitors, { currency });
+  // Opportunities and threats only exist in SWOT
+  const landscape = framework.id === frameworks.DEFAULT_FRAMEWORK
+    ? applyLandscape(results, competitors, providerOptions.lexicon, providerOptions.language)
+    : null;
+  const featureMatrix = buildFeatureMatrix(analysed, baseline ? [baseline, ...results] : results);
+  if (baseline) {
+    baseline.ownProduct = true;
+    baseline.pricing = pricing.extractPricing(ownProduct.description, { language: baseline.language, currency });
+    featureMatrix.rows[0].ownProduct = true;
+    applyDifferentiation(baseline, results, featureMatrix, { lexicon: providerOptions.lexicon, field: framework.field });
+  }
+  const themes = clusterThemes(results, framework, providerOptions.lexicon);
+  return { results, baseline, landscape, featureMatrix, themes };
+}
+
+/**
+ * Read the optional `ownProduct` baseline of a request.  Returns null
+ * when there is none, an `{ error }` object when it is malformed, and
+ * otherwise the normalized `{ name, description, language? }` entry.
+ *
+ * @param {object} data Parsed request body
+ * @returns {object|null}
+ */
+function parseOwnProduct(data) {
+  const own = data.ownProduct;
+  if (own === undefined || own === null) return null;
+  if (typeof own !== 'object' || typeof own.description !== 'string' || !own.description.trim()) {
+    return { error: 'ownProduct must be an object with a description' };
+  }
+  const entry = {
+    name: typeof own.name === 'string' && own.name.trim() ? own.name.trim() : 'Our product',
+    description: own.description
+  };
+  if (own.language !== undefined) entry.language = own.language;
+  return entry;
+}
+
+/**
+ * Resolve the `framework` of a request together with the provider.
+ * Returns `{ error }` for an unknown framework, or for a provider other
+ * than the heuristic combined with a rule framework (providers only
+ * produce SWOT analyses).
+ *
+ * @param {object} data Parsed request body
+ * @param {string} provider Requested provider name
+ * @returns {{ framework?: object, error?: string }}
+ */
+function resolveFramework(data, provider) {
+  const framework = frameworks.getFramework(data.framework || frameworks.DEFAULT_FRAMEWORK);
+  if (!framework) {
+    return { error: `Unknown framework: ${data.framework}` };
   }
-  if (weaknesses.length === 0) {
-    weaknesses.push(`${name} may face challenges around cost, speed or complexity that need to be addressed.`);
+  if (framework.id !== frameworks.DEFAULT_FRAMEWORK && provider !== analyzer.DEFAULT_PROVIDER) {
+    return { error: `Provider ${provider} only supports the ${frameworks.DEFAULT_FRAMEWORK} framework` };
+  }
+  return { framework };
+}
+
+/**
+ * Check the optional analysis‑wide `language` and per‑competitor (and
+ * own product) `language` fields of a request.  Returns the first unsupported
+ * language code, or null if all are supported.
+ *
+ * @param {object} data Parsed request body
+ * @param {Array} competitors
+ * @returns {string|null}
+ */
+function findUnsupportedLanguage(data, competitors) {
+  const entries = data.ownProduct ? [...competitors, data.ownProduct] : competitors;
+  const requested = [data.language, ...entries.map(c => c && c.language)].filter(l => l !== undefined && l !== null);
+  const unsupported = requested.find(l => !languages.isSupportedLanguage(l));
+  return unsupported === undefined ? null : String(unsupported);
+}
+
+/**
+ * Check the fields of the inline competitors of a request.  Returns
+ * an error message for the first competitor whose `name` or
+ * `description` is set but is not a string (descriptions go through
+ * language detection), or null if all are valid.
+ *
+ * @param {Array} competitors
+ * @returns {string|null}
+ */
+function findInvalidCompetitor(competitors) {
+  for (const comp of competitors) {
+    if (!comp || typeof comp !== 'object') continue;
+    for (const key of ['name', 'description']) {
+      const value = comp[key];
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return `Competitor ${key} must be a string`;
+      }
+    }
   }
+  return null;
+}
+
+/**
+ * Check whether the client asked for the legacy item format, where
+ * SWOT items are plain strings instead of `{ text, score }` objects.
+ * Enabled with the `legacy=1` (or `legacy=true`) query parameter.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function wantsLegacyItems(req) {
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const legacy = parsedUrl.searchParams.get('legacy');
+  return legacy === '1' || legacy === 'true';
+}
 
-  // Generic opportunity/threat messages
-  opportunities.push(`There is room for ${name} to expand into adjacent markets or add complementary features.`);
-  opportunities.push(`Leveraging new technologies such as AI could open up differentiation for ${name}.`);
-  threats.push(`Competitors with more resources could outpace ${name} in product development.`);
-  threats.push(`Regulatory or market changes could impact ${name}'s growth prospects.`);
+/**
+ * Prepare analysis results for a response, flattening SWOT (and other
+ * framework) items to strings when the legacy format is requested.
+ *
+ * @param {Array} results Array of { name, swot, ... } objects
+ * @param {boolean} legacy
+ * @returns {Array}
+ */
+function presentResults(results, legacy) {
+  if (!legacy || !Array.isArray(results)) return results;
+  return results.map(result => {
+    const presented = { ...result };
+    frameworks.listFrameworks().forEach(({ field }) => {
+      if (result[field]) presented[field] = analyzer.toLegacySwot(result[field]);
+    });
+    return presented;
+  });
+}
 
-  return { strengths, weaknesses, opportunities, threats };
+/**
+ * Prepare a stored analysis for a response.  See presentResults.  The
+ * uncurated `generatedResults` are internal and left out.
+ *
+ * @param {object} analysis
+ * @param {boolean} legacy
+ * @returns {object}
+ */
+function presentAnalysis(analysis, legacy) {
+  const { generatedResults, ...rest } = analysis;
+  if (!legacy) return rest;
+  const presented = { ...rest, results: presentResults(analysis.results, legacy) };
+  if (analysis.baseline) presented.baseline = presentResults([analysis.baseline], legacy)[0];
+  return presented;
 }
 
 /**
@@ -304,6 +655,26 @@ function sendJson(res, statusCode, data, extraHeaders = {}) {
   res.end(JSON.stringify(data));
 }
 
+/**
+ * Wrap an asynchronous request handler callback so that an error it
+ * throws is logged and answered with 500 (unless a response has
+ * already been sent) instead of becoming an unhandled rejection.
+ *
+ * @param {http.ServerResponse} res
+ * @param {function(): Promise<void>} handler
+ * @returns {function(): void}
+ */
+function catchAsync(res, handler) {
+  return () => {
+    handler().catch(err => {
+      console.error('Request failed:', err);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    });
+  };
+}
+
 /**
  * Helper to send JSON responses with proper headers.
  */
@@ -312,6 +683,13 @@ function sendJson(res, statusCode, data, extraHeaders = {}) {
 /**
  * Handle POST /api/generate
  * Expects a JSON body like { competitors: [ { name: '', description: '' }, ... ] }
+ * and an optional `provider` naming the analyzer to use (defaults to
+ * the keyword heuristic).  Opportunities and threats come from the
+ * cross‑competitor landscape pass (see services/landscape.js).  An
+ * optional `currency` selects the currency prices are normalized to,
+ * and an optional `ownProduct` adds a baseline every competitor is
+ * compared against.  `framework` selects SWOT (default) or another
+ * registered framework.
  */
 function handleGenerate(req, res) {
   let body = '';
@@ -320,7 +698,7 @@ function handleGenerate(req, res) {
     // Protect against too large bodies
     if (body.length > 1e6) req.connection.destroy();
   });
-  req.on('end', () => {
+  req.on('end', catchAsync(res, async () => {
     let data;
     try {
       data = JSON.parse(body);
@@ -329,10 +707,34 @@ function handleGenerate(req, res) {
       return;
     }
     const competitors = Array.isArray(data.competitors) ? data.competitors : [];
-    const results = competitors.map(comp => {
-      const name = (comp && comp.name) || 'Unnamed competitor';
-      const description = (comp && comp.description) || '';
-      return { name, swot: analyzeDescription(description, name) };
+    const invalid = findInvalidCompetitor(competitors);
+    if (invalid) {
+      return sendJson(res, 400, { error: invalid });
+    }
+    const provider = data.provider || analyzer.DEFAULT_PROVIDER;
+    if (!analyzer.getProvider(provider)) {
+      return sendJson(res, 400, { error: 'Unknown analyzer provider' });
+    }
+    const { framework, error: frameworkError } = resolveFramework(data, provider);
+    if (frameworkError) {
+      return sendJson(res, 400, { error: frameworkError });
+    }
+    const ownProduct = parseOwnProduct(data);
+    if (ownProduct && ownProduct.error) {
+      return sendJson(res, 400, { error: ownProduct.error });
+    }
+    const unsupported = findUnsupportedLanguage(data, competitors);
+    if (unsupported) {
+      return sendJson(res, 400, { error: `Unsupported language: ${unsupported}` });
+    }
+    if (data.currency !== undefined && !pricing.isSupportedCurrency(data.currency)) {
+      return sendJson(res, 400, { error: `Unsupported currency: ${data.currency}` });
+    }
+    const { results, baseline, landscape, featureMatrix, themes } = await runAnalysis(competitors, provider, {
+      language: data.language,
+      currency: data.currency,
+      ownProduct,
+      framework
     });
     // A/B assignment – random per request.  For a real application,
     // you would persist assignment for a user via cookies or user IDs.
@@ -340,8 +742,31 @@ function handleGenerate(req, res) {
     if (variant === 'A') metrics.variantA++;
     else metrics.variantB++;
     fs.writeFileSync(metricsFile, JSON.stringify(metrics));
-    sendJson(res, 200, { variant, results });
-  });
+    const legacy = wantsLegacyItems(req);
+    const response = {
+      variant,
+      provider,
+      framework: framework.id,
+      landscape,
+      featureMatrix,
+      themes,
+      results: presentResults(results, legacy)
+    };
+    if (baseline) {
+      response.ownProduct = ownProduct;
+      response.baseline = presentResults([baseline], legacy)[0];
+    }
+    sendJson(res, 200, response);
+  }));
+}
+
+/**
+ * Handle GET /api/frameworks
+ * Lists the registered analysis frameworks with their categories and
+ * labels so clients can render any of them.
+ */
+function handleFrameworkList(req, res) {
+  sendJson(res, 200, frameworks.listFrameworks());
 }
 
 /**
@@ -468,10 +893,209 @@ function handleLogin(req, res) {
   });
 }
 
+/**
+ * Resolve the `competitors` of an analysis request.  Entries are either
+ * inline `{ name, description }` objects or references to the user's
+ * competitor registry: a competitor id, or `{ id }` without a
+ * description (optionally with a `language`).  References are replaced
+ * by the registry entry's name and latest description and keep the id
+ * as `competitorId`.
+ *
+ * @param {Array} entries
+ * @param {string} userId
+ * @returns {{ competitors?: Array, status?: number, error?: string }}
+ */
+function resolveCompetitors(entries, userId) {
+  const competitors = [];
+  for (const entry of entries) {
+    const isReference = typeof entry === 'string' ||
+      (entry && typeof entry === 'object' && entry.id !== undefined && entry.description === undefined);
+    if (!isReference) {
+      competitors.push(entry);
+      continue;
+    }
+    const id = typeof entry === 'string' ? entry : entry.id;
+    const saved = registry.find(c => c.id === id && c.userId === userId);
+    if (!saved) {
+      return { status: 404, error: `Competitor not found: ${id}` };
+    }
+    if (!saved.description) {
+      return { status: 400, error: `Competitor ${saved.name} has no description` };
+    }
+    const competitor = { name: saved.name, description: saved.description, competitorId: saved.id };
+    if (typeof entry === 'object' && entry.language !== undefined) competitor.language = entry.language;
+    competitors.push(competitor);
+  }
+  return { competitors };
+}
+
+/**
+ * Snapshot the current version of a lexicon as recorded on analyses:
+ * { id, name, version, positive, negative }.
+ *
+ * @param {object} lexicon
+ * @returns {object}
+ */
+function snapshotLexicon(lexicon) {
+  const { id, name, version, positive, negative } = lexicon;
+  return { id, name, version, positive, negative };
+}
+
+/**
+ * Return the lexicon snapshot an analysis was run with, so re-runs
+ * keep using it after the lexicon is edited or deleted.  Analyses
+ * stored before snapshots included the keywords recover them from the
+ * lexicon's version history; if the lexicon is gone, the reference is
+ * kept and the built-in keywords are used.
+ *
+ * @param {object} analysis
+ * @returns {object|null}
+ */
+function recordedLexicon(analysis) {
+  const recorded = analysis.lexicon;
+  if (!recorded || recorded.positive) return recorded || null;
+  const lexicon = lexicons.find(l => l.id === recorded.id && l.userId === analysis.userId);
+  const version = lexicon && (lexicon.version === recorded.version
+    ? lexicon
+    : (lexicon.versions || []).find(v => v.version === recorded.version));
+  return version ? { ...recorded, positive: version.positive, negative: version.negative } : recorded;
+}
+
+/**
+ * Validate the analysis fields of a request body and resolve them into
+ * the arguments of runAnalysis.  Shared by POST /api/analysis and the
+ * PUT/PATCH update endpoint.  Returns `{ status, error }` when the
+ * request is invalid.
+ *
+ * @param {object} data Parsed request body
+ * @param {string} userId Owner of any referenced lexicon
+ * @param {object|null} [recordedLexicon] Lexicon snapshot to keep when
+ *        the body does not mention `lexiconId` (see recordedLexicon)
+ * @returns {{ status?: number, error?: string, competitors?: Array, provider?: string,
+ *             framework?: object, lexicon?: object|null, ownProduct?: object|null, options?: object }}
+ */
+function prepareAnalysisRequest(data, userId, recordedLexicon = null) {
+  const { competitors, status, error } = resolveCompetitors(Array.isArray(data.competitors) ? data.competitors : [], userId);
+  if (error) {
+    return { status, error };
+  }
+  const invalid = findInvalidCompetitor(competitors);
+  if (invalid) {
+    return { status: 400, error: invalid };
+  }
+  const provider = data.provider || analyzer.DEFAULT_PROVIDER;
+  if (!analyzer.getProvider(provider)) {
+    return { status: 400, error: 'Unknown analyzer provider' };
+  }
+  const { framework, error: frameworkError } = resolveFramework(data, provider);
+  if (frameworkError) {
+    return { status: 400, error: frameworkError };
+  }
+  let lexicon = null;
+  if (data.lexiconId) {
+    const current = lexicons.find(l => l.id === data.lexiconId && l.userId === userId);
+    if (!current) {
+      return { status: 404, error: 'Lexicon not found' };
+    }
+    lexicon = snapshotLexicon(current);
+  } else if (data.lexiconId === undefined) {
+    lexicon = recordedLexicon;
+  }
+  const ownProduct = parseOwnProduct(data);
+  if (ownProduct && ownProduct.error) {
+    return { status: 400, error: ownProduct.error };
+  }
+  const unsupported = findUnsupportedLanguage(data, competitors);
+  if (unsupported) {
+    return { status: 400, error: `Unsupported language: ${unsupported}` };
+  }
+  if (data.currency !== undefined && data.currency !== null && !pricing.isSupportedCurrency(data.currency)) {
+    return { status: 400, error: `Unsupported currency: ${data.currency}` };
+  }
+  const options = { language: data.language || undefined, currency: data.currency || undefined, ownProduct, framework };
+  if (lexicon && lexicon.positive) {
+    options.lexicon = { positive: lexicon.positive, negative: lexicon.negative };
+  }
+  return { competitors, provider, framework, lexicon, ownProduct, options };
+}
+
+/**
+ * Copy the outcome of runAnalysis and the request behind it onto a
+ * stored analysis.  The generated results are kept as
+ * `generatedResults`; `results` are the generated results with the
+ * analysis's curations reapplied (see services/curation.js).
+ *
+ * @param {object} analysis Updated in place
+ * @param {object} request Output of prepareAnalysisRequest
+ * @param {object} data Parsed request body (for `language`/`currency`)
+ * @param {object} outcome Output of runAnalysis
+ */
+function assignAnalysis(analysis, request, data, outcome) {
+  const { competitors, provider, framework, lexicon, ownProduct } = request;
+  const curations = analysis.curations || [];
+  Object.assign(analysis, {
+    competitors,
+    provider,
+    framework: framework.id,
+    lexicon,
+    language: data.language || null,
+    currency: data.currency || null,
+    ownProduct,
+    baseline: outcome.baseline,
+    curations,
+    generatedResults: outcome.results,
+    results: applyCurations(outcome.results, curations, framework),
+    landscape: outcome.landscape,
+    featureMatrix: outcome.featureMatrix,
+    themes: outcome.themes
+  });
+}
+
+/**
+ * Append an immutable revision of an analysis in its current state.
+ *
+ * @param {object} analysis
+ */
+function recordRevision(analysis) {
+  const snapshot = {
+    analysisId: analysis.id,
+    userId: analysis.userId,
+    revision: analysis.revision || 1,
+    timestamp: analysis.updatedAt || analysis.timestamp
+  };
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = analysis[field] === undefined ? null : structuredClone(analysis[field]);
+  });
+  revisions.push(snapshot);
+  writeJson(revisionsFile, revisions);
+}
+
+/**
+ * Return the revisions of an analysis, oldest first.  Analyses stored
+ * before revisions existed get their current state recorded as
+ * revision 1.
+ *
+ * @param {object} analysis
+ * @returns {Array}
+ */
+function revisionsOf(analysis) {
+  let list = revisions.filter(r => r.analysisId === analysis.id);
+  if (list.length === 0) {
+    analysis.revision = 1;
+    recordRevision(analysis);
+    writeJson(analysesFile, analyses);
+    list = revisions.filter(r => r.analysisId === analysis.id);
+  }
+  return list.sort((a, b) => a.revision - b.revision);
+}
+
 /**
  * Handle GET /api/analysis/list
- * Requires a valid session via Authorization header.  Returns all
- * analyses created by the authenticated user.
+ * Requires a valid session via Authorization header.  Returns one page
+ * of the authenticated user's analyses as { items, total, nextCursor }.
+ * Query parameters search, filter and sort the list (see
+ * services/search.js).  Items are summaries without results unless
+ * `full=1` is given.
  */
 function handleAnalysisList(req, res) {
   const token = getTokenFromHeader(req);
@@ -479,16 +1103,107 @@ function handleAnalysisList(req, res) {
   if (!userId) {
     return sendJson(res, 401, { error: 'Unauthorized' });
   }
-  const userAnalyses = analyses.filter(a => a.userId === userId);
-  sendJson(res, 200, userAnalyses);
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const { query, error } = search.parseListQuery(parsedUrl.searchParams);
+  if (error) {
+    return sendJson(res, 400, { error });
+  }
+  const page = search.queryAnalyses(analyses.filter(a => a.userId === userId && !a.deletedAt), query);
+  const legacy = wantsLegacyItems(req);
+  page.items = page.items.map(a => (query.full ? presentAnalysis(a, legacy) : search.summarizeAnalysis(a)));
+  sendJson(res, 200, page);
+}
+
+/**
+ * Validate the body of POST /api/analysis, including its tags and
+ * project.
+ *
+ * @param {string} userId
+ * @param {object} data
+ * @returns {{ request?: object, tags?: string[], status?: number, error?: string }}
+ */
+function validateAnalysisCreate(userId, data) {
+  const request = prepareAnalysisRequest(data, userId);
+  if (request.error) {
+    return { status: request.status, error: request.error };
+  }
+  const { tags, error: tagsError } = normalizeTags(data.tags);
+  if (tagsError) {
+    return { status: 400, error: tagsError };
+  }
+  if (data.projectId && !projects.some(p => p.id === data.projectId && p.userId === userId)) {
+    return { status: 404, error: 'Project not found' };
+  }
+  return { request, tags };
+}
+
+/**
+ * Validate an analysis request, run the analyzer and store the new
+ * analysis as revision 1.  Shared by POST /api/analysis, imports and
+ * background jobs.
+ *
+ * @param {string} userId
+ * @param {object} data Request body of POST /api/analysis
+ * @param {{ signal?: AbortSignal, onProgress?: function(number, number): void }} [hooks]
+ *        Aborting `signal` aborts pending provider requests, and
+ *        nothing is stored once it is aborted
+ * @returns {Promise<{ analysis?: object, cancelled?: boolean, status?: number, error?: string }>}
+ */
+async function createAnalysis(userId, data, hooks = {}) {
+  const { request, tags, status, error } = validateAnalysisCreate(userId, data);
+  if (error) {
+    return { status, error };
+  }
+  let outcome;
+  try {
+    outcome = await runAnalysis(request.competitors, request.provider,
+      { ...request.options, onProgress: hooks.onProgress, signal: hooks.signal });
+  } catch (err) {
+    if (hooks.signal && hooks.signal.aborted) return { cancelled: true };
+    throw err;
+  }
+  if (hooks.signal && hooks.signal.aborted) {
+    return { cancelled: true };
+  }
+  const variant = Math.random() < 0.5 ? 'A' : 'B';
+  if (variant === 'A') metrics.variantA++;
+  else metrics.variantB++;
+  writeJson(metricsFile, metrics);
+  const analysis = {
+    id: crypto.randomUUID(),
+    userId,
+    timestamp: Date.now(),
+    revision: 1,
+    variant,
+    projectId: data.projectId || null,
+    tags
+  };
+  assignAnalysis(analysis, request, data, outcome);
+  analyses.push(analysis);
+  writeJson(analysesFile, analyses);
+  recordRevision(analysis);
+  return { analysis };
 }
 
 /**
  * Handle POST /api/analysis
- * Requires authentication.  Expects { competitors: [ { name, description }, ... ] }.
- * Generates a SWOT analysis for each competitor, assigns a variant,
- * stores the analysis, updates metrics, and returns the analysis
+ * Requires authentication.  Expects { competitors: [ { name, description }, ... ] }
+ * where entries may also reference the competitor registry by id, and
+ * optional `provider`, `framework`, `lexiconId`, `currency`,
+ * `ownProduct`, `projectId` and `tags` fields.  The framework id (default `swot`) is stored
+ * on the analysis.  The `ownProduct` baseline ({ name, description })
+ * and its analysis are stored as `ownProduct` and `baseline`.  The lexicon must
+ * belong to the user; its id, name and version are stored on the
+ * analysis so the results can be reproduced later.  Runs the
+ * cross‑competitor landscape pass over the results and extracts the
+ * competitor × feature matrix.  Generates a SWOT analysis for each
+ * competitor, assigns a variant, stores the analysis (including the
+ * requested provider and the provider behind each result), updates
+ * metrics, records the analysis as revision 1 and returns the analysis
  * object to the client.
+ *
+ * With `?async=1` the request is validated and queued as a background
+ * job instead; the response is 202 with the job (see GET /api/jobs/:id).
  */
 function handleAnalysisCreate(req, res) {
   const token = getTokenFromHeader(req);
@@ -501,107 +1216,2106 @@ function handleAnalysisCreate(req, res) {
     body += chunk;
     if (body.length > 1e6) req.connection.destroy();
   });
-  req.on('end', () => {
+  req.on('end', catchAsync(res, async () => {
     let data;
     try {
       data = JSON.parse(body || '{}');
     } catch (err) {
       return sendJson(res, 400, { error: 'Invalid JSON' });
     }
-    const competitors = Array.isArray(data.competitors) ? data.competitors : [];
-    const results = competitors.map(comp => {
-      const name = (comp && comp.name) || 'Unnamed competitor';
-      const description = (comp && comp.description) || '';
-      return { name, swot: analyzeDescription(description, name) };
-    });
-    const variant = Math.random() < 0.5 ? 'A' : 'B';
-    if (variant === 'A') metrics.variantA++;
-    else metrics.variantB++;
-    writeJson(metricsFile, metrics);
-    const analysis = {
-      id: crypto.randomUUID(),
-      userId,
-      timestamp: Date.now(),
-      competitors,
-      results,
-      variant
-    };
-    analyses.push(analysis);
-    writeJson(analysesFile, analyses);
-    sendJson(res, 201, analysis);
-  });
+    const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+    if (parsedUrl.searchParams.get('async') === '1') {
+      const { status, error } = validateAnalysisCreate(userId, data);
+      if (error) {
+        return sendJson(res, status, { error });
+      }
+      const job = { id: crypto.randomUUID(), userId, type: 'analysis', data, createdAt: Date.now() };
+      jobs.push(job);
+      jobQueue.enqueue(job);
+      return sendJson(res, 202, presentJob(job), { Location: `/api/jobs/${job.id}` });
+    }
+    const { analysis, status, error } = await createAnalysis(userId, data);
+    if (error) {
+      return sendJson(res, status, { error });
+    }
+    sendJson(res, 201, presentAnalysis(analysis, wantsLegacyItems(req)));
+  }));
 }
 
 /**
- * Handle GET /api/analysis/:id
- * Requires authentication.  Returns the analysis with the specified
- * ID if it belongs to the user.  Otherwise returns 404.
+ * Run a background analysis job.  Validation is repeated because
+ * referenced competitors, lexicons or projects may have changed while
+ * the job was queued.
  *
- * @param {string} id The analysis ID extracted from the URL
+ * @param {object} job
+ * @param {{ signal: AbortSignal, progress: function(number, number): void }} control
+ * @returns {Promise<{ analysisId: string }|null>}
  */
-function handleAnalysisGet(req, res, id) {
-  const token = getTokenFromHeader(req);
-  const userId = getUserIdFromToken(token);
-  if (!userId) {
-    return sendJson(res, 401, { error: 'Unauthorized' });
+async function runJob(job, { signal, progress }) {
+  const { analysis, cancelled, error } = await createAnalysis(job.userId, job.data, { signal, onProgress: progress });
+  if (error) {
+    throw new Error(error);
   }
-  const analysis = analyses.find(a => a.id === id && a.userId === userId);
-  if (!analysis) {
-    return sendJson(res, 404, { error: 'Analysis not found' });
+  return cancelled ? null : { analysisId: analysis.id };
+}
+
+const jobQueue = createJobQueue({
+  concurrency: JOB_CONCURRENCY,
+  run: runJob,
+  onUpdate: () => writeJson(jobsFile, jobs)
+});
+
+/**
+ * Delete finished jobs older than JOB_RETENTION_DAYS.  Runs at startup
+ * and every JOB_SWEEP_INTERVAL_MS.
+ *
+ * @param {number} [now]
+ * @returns {number} Number of jobs pruned
+ */
+function pruneJobs(now = Date.now()) {
+  const cutoff = now - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = jobs.filter(job => !isFinished(job) || job.finishedAt > cutoff);
+  const pruned = jobs.length - kept.length;
+  if (pruned > 0) {
+    jobs = kept;
+    writeJson(jobsFile, jobs);
   }
-  sendJson(res, 200, analysis);
+  return pruned;
 }
 
 /**
- * Handle DELETE /api/analysis/:id
- * Requires authentication.  Deletes the specified analysis if it
- * belongs to the user.  Returns 204 on success.
+ * Strip the request body from a job for API responses.
+ *
+ * @param {object} job
+ * @returns {object}
+ */
+function presentJob(job) {
+  const { data, userId, ...presented } = job;
+  return presented;
+}
+
+/**
+ * Handle GET /api/jobs/:id
+ * Requires authentication.  Returns the job's `status`, `progress`
+ * ({ done, total } competitors analysed) and timestamps; succeeded
+ * analysis jobs include `result.analysisId` and the analysis itself
+ * as `analysis` (null if it has since been deleted), failed jobs an
+ * `error`.
  *
  * @param {string} id
  */
-function handleAnalysisDelete(req, res, id) {
+function handleJobGet(req, res, id) {
   const token = getTokenFromHeader(req);
   const userId = getUserIdFromToken(token);
   if (!userId) {
     return sendJson(res, 401, { error: 'Unauthorized' });
   }
-  const idx = analyses.findIndex(a => a.id === id && a.userId === userId);
-  if (idx === -1) {
-    return sendJson(res, 404, { error: 'Analysis not found' });
+  const job = jobs.find(j => j.id === id && j.userId === userId);
+  if (!job) {
+    return sendJson(res, 404, { error: 'Job not found' });
   }
-  analyses.splice(idx, 1);
-  writeJson(analysesFile, analyses);
-  // 204 No Content
-  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
-  res.end();
+  const presented = presentJob(job);
+  if (job.status === 'succeeded' && job.result) {
+    const analysis = analyses.find(a => a.id === job.result.analysisId && !a.deletedAt);
+    presented.analysis = analysis ? presentAnalysis(completeAnalysis(analysis), wantsLegacyItems(req)) : null;
+  }
+  sendJson(res, 200, presented);
 }
 
 /**
- * Handle GET /api/metrics/user
- * Requires authentication.  Aggregates the user's analyses to count
- * how many variants were served and how many conversions occurred
- * (conversions are global; per-user conversion tracking could be
- * added later).  Returns an object { analyses: number, variantA: number, variantB: number }.
+ * Handle POST /api/jobs/:id/cancel
+ * Requires authentication.  Cancels a queued or running job and
+ * returns it.  A running analysis has its pending provider requests
+ * aborted and its result is discarded.  Finished jobs return 409.
+ *
+ * @param {string} id
  */
-function handleMetricsUser(req, res) {
+function handleJobCancel(req, res, id) {
   const token = getTokenFromHeader(req);
   const userId = getUserIdFromToken(token);
   if (!userId) {
     return sendJson(res, 401, { error: 'Unauthorized' });
   }
-  const userAnalyses = analyses.filter(a => a.userId === userId);
-  const summary = { analyses: userAnalyses.length, variantA: 0, variantB: 0, conversionsA: metrics.conversionsA, conversionsB: metrics.conversionsB };
-  userAnalyses.forEach(a => {
-    if (a.variant === 'A') summary.variantA++;
-    if (a.variant === 'B') summary.variantB++;
-  });
-  sendJson(res, 200, summary);
+  const job = jobs.find(j => j.id === id && j.userId === userId);
+  if (!job) {
+    return sendJson(res, 404, { error: 'Job not found' });
+  }
+  if (!jobQueue.cancel(job)) {
+    return sendJson(res, 409, { error: `Job already ${job.status}` });
+  }
+  sendJson(res, 200, presentJob(job));
 }
 
 /**
- * Handle GET /integration.js
- * Serves a JavaScript snippet that external websites can embed to
- * integrate with the SaaS.  The script fetches a variant from
+ * Return the framework a stored analysis was produced with.  Analyses
+ * stored before frameworks existed are SWOT analyses.
+ *
+ * @param {object} analysis
+ * @returns {object}
+ */
+function frameworkOf(analysis) {
+  return frameworks.getFramework(analysis.framework) || frameworks.getFramework(frameworks.DEFAULT_FRAMEWORK);
+}
+
+/**
+ * Return a copy of a stored analysis with the views added after it was
+ * saved.  Analyses stored before feature matrices and themes existed
+ * get them on the fly.
+ *
+ * @param {object} analysis
+ * @returns {object}
+ */
+function completeAnalysis(analysis) {
+  const completed = { ...analysis };
+  if (!completed.featureMatrix) {
+    completed.featureMatrix = buildFeatureMatrix(analysis.competitors || [], analysis.results || []);
+  }
+  if (!completed.themes) {
+    completed.themes = clusterThemes(analysis.results || [], frameworkOf(analysis));
+  }
+  return completed;
+}
+
+/**
+ * Handle GET /api/analysis/:id
+ * Requires authentication.  Returns the analysis with the specified
+ * ID if it belongs to the user, including its feature matrix and
+ * themes.
+ * Otherwise returns 404.
+ *
+ * @param {string} id The analysis ID extracted from the URL
+ */
+function handleAnalysisGet(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  sendJson(res, 200, presentAnalysis(completeAnalysis(analysis), wantsLegacyItems(req)));
+}
+
+/**
+ * Return the analysis fields of the current revision as a request
+ * body, the base that PATCH requests and scheduled runs build on.
+ * The lexicon is not included: those re-runs keep the recorded
+ * lexicon snapshot unless the body sends `lexiconId`.
+ *
+ * @param {object} analysis
+ * @returns {object}
+ */
+function storedRequest(analysis) {
+  return {
+    competitors: analysis.competitors,
+    provider: analysis.provider,
+    framework: analysis.framework,
+    language: analysis.language,
+    currency: analysis.currency,
+    ownProduct: analysis.ownProduct
+  };
+}
+
+/**
+ * Re-run the analyzer for a stored analysis and store the outcome as
+ * its next revision.  Shared by PUT/PATCH and scheduled runs.
+ *
+ * @param {object} analysis
+ * @param {object} data Request body with every analysis field
+ * @param {boolean} [keepLexicon] Keep the recorded lexicon snapshot
+ *        unless `data` sends `lexiconId` (PATCH and scheduled runs)
+ * @returns {Promise<{ analysis?: object, status?: number, error?: string }>}
+ */
+async function reanalyze(analysis, data, keepLexicon = false) {
+  const request = prepareAnalysisRequest(data, analysis.userId, keepLexicon ? recordedLexicon(analysis) : null);
+  if (request.error) {
+    return { status: request.status, error: request.error };
+  }
+  // Make sure analyses stored before revisions existed keep their
+  // original state as revision 1
+  revisionsOf(analysis);
+  const outcome = await runAnalysis(request.competitors, request.provider, request.options);
+  assignAnalysis(analysis, request, data, outcome);
+  analysis.revision = (analysis.revision || 1) + 1;
+  analysis.updatedAt = Date.now();
+  writeJson(analysesFile, analyses);
+  recordRevision(analysis);
+  return { analysis };
+}
+
+/**
+ * Handle PUT and PATCH /api/analysis/:id
+ * Requires authentication.  Re-runs the analyzer and stores the
+ * outcome as a new revision of the analysis; earlier revisions are
+ * kept unchanged.  PUT expects the same body as POST /api/analysis.
+ * PATCH only needs the fields that change (`competitors`, `provider`,
+ * `framework`, `lexiconId`, `language`, `currency`, `ownProduct`);
+ * the rest are taken from the current revision, and the lexicon
+ * version it was run with is kept unless `lexiconId` is sent.  The variant is kept
+ * and no metrics are recorded.  Returns the updated analysis.
+ *
+ * @param {string} id
+ * @param {boolean} partial True for PATCH
+ */
+function handleAnalysisUpdate(req, res, id, partial) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', catchAsync(res, async () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    if (partial) {
+      data = { ...storedRequest(analysis), ...data };
+    }
+    const { status, error } = await reanalyze(analysis, data, partial);
+    if (error) {
+      return sendJson(res, status, { error });
+    }
+    sendJson(res, 200, presentAnalysis(analysis, wantsLegacyItems(req)));
+  }));
+}
+
+/**
+ * Handle GET /api/analysis/:id/revisions
+ * Requires authentication.  Lists the revisions of the analysis,
+ * oldest first, as { revision, timestamp, provider, framework,
+ * competitors } summaries with the competitor names only.
+ *
+ * @param {string} id
+ */
+function handleRevisionList(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  const list = revisionsOf(analysis).map(r => ({
+    revision: r.revision,
+    timestamp: r.timestamp,
+    provider: r.provider,
+    framework: r.framework,
+    competitors: (r.competitors || []).map(c => c.name)
+  }));
+  sendJson(res, 200, list);
+}
+
+/**
+ * Handle GET /api/analysis/:id/revisions/:revision
+ * Requires authentication.  Returns the full snapshot of one revision.
+ *
+ * @param {string} id
+ * @param {number} number Revision number
+ */
+function handleRevisionGet(req, res, id, number) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  const revision = revisionsOf(analysis).find(r => r.revision === number);
+  if (!revision) {
+    return sendJson(res, 404, { error: 'Revision not found' });
+  }
+  sendJson(res, 200, presentAnalysis(revision, wantsLegacyItems(req)));
+}
+
+/**
+ * Handle GET /api/analysis/:id/diff?from=1&to=2
+ * Requires authentication.  Returns the items added and removed per
+ * competitor and category between two revisions (see
+ * services/revisions.js).  `to` defaults to the current revision and
+ * `from` to the revision before `to`.
+ *
+ * @param {string} id
+ */
+function handleRevisionDiff(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const list = revisionsOf(analysis);
+  const toParam = parsedUrl.searchParams.get('to');
+  const to = toParam === null ? list[list.length - 1].revision : Number(toParam);
+  const fromParam = parsedUrl.searchParams.get('from');
+  const from = fromParam === null ? to - 1 : Number(fromParam);
+  const older = list.find(r => r.revision === from);
+  const newer = list.find(r => r.revision === to);
+  if (!older || !newer) {
+    return sendJson(res, 404, { error: 'Revision not found' });
+  }
+  sendJson(res, 200, diffRevisions(older, newer));
+}
+
+/**
+ * Handle DELETE /api/analysis/:id
+ * Requires authentication.  Moves the specified analysis to the trash
+ * by setting `deletedAt`; it is left out of every other endpoint until
+ * it is restored, and purged with its revisions, share links and
+ * comments after TRASH_RETENTION_DAYS.  Returns 204 on success.
+ *
+ * @param {string} id
+ */
+function handleAnalysisDelete(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  analysis.deletedAt = Date.now();
+  writeJson(analysesFile, analyses);
+  // 204 No Content
+  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+  res.end();
+}
+
+/**
+ * Return when a trashed analysis will be purged.
+ *
+ * @param {object} analysis
+ * @returns {number}
+ */
+function purgeTimeOf(analysis) {
+  return analysis.deletedAt + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Handle GET /api/analysis/trash
+ * Requires authentication.  Lists the user's deleted analyses as
+ * summaries with `deletedAt` and `purgeAt`, most recently deleted
+ * first.
+ */
+function handleTrashList(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const trashed = analyses
+    .filter(a => a.userId === userId && a.deletedAt)
+    .sort((a, b) => b.deletedAt - a.deletedAt)
+    .map(a => ({ ...search.summarizeAnalysis(a), deletedAt: a.deletedAt, purgeAt: purgeTimeOf(a) }));
+  sendJson(res, 200, trashed);
+}
+
+/**
+ * Handle POST /api/analysis/:id/restore
+ * Requires authentication.  Takes a deleted analysis out of the trash
+ * and returns it.  Analyses that are not in the trash return 404.
+ *
+ * @param {string} id
+ */
+function handleAnalysisRestore(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found in trash' });
+  }
+  delete analysis.deletedAt;
+  writeJson(analysesFile, analyses);
+  sendJson(res, 200, presentAnalysis(completeAnalysis(analysis), wantsLegacyItems(req)));
+}
+
+/**
+ * Permanently delete trashed analyses past their retention period,
+ * together with their revisions, share links, comments and
+ * schedules.  Runs at
+ * startup and every TRASH_SWEEP_INTERVAL_MS.
+ *
+ * @param {number} [now]
+ * @returns {number} Number of analyses purged
+ */
+function purgeTrash(now = Date.now()) {
+  const expired = new Set(analyses.filter(a => a.deletedAt && purgeTimeOf(a) <= now).map(a => a.id));
+  if (expired.size === 0) return 0;
+  analyses = analyses.filter(a => !expired.has(a.id));
+  writeJson(analysesFile, analyses);
+  revisions = revisions.filter(r => !expired.has(r.analysisId));
+  writeJson(revisionsFile, revisions);
+  shares = shares.filter(s => !expired.has(s.analysisId));
+  writeJson(sharesFile, shares);
+  comments = comments.filter(c => !expired.has(c.analysisId));
+  writeJson(commentsFile, comments);
+  schedules = schedules.filter(s => !expired.has(s.analysisId));
+  writeJson(schedulesFile, schedules);
+  return expired.size;
+}
+
+/**
+ * Validate a lexicon payload { name, positive, negative }.  Returns an
+ * object with either the normalized fields or an error message.
+ *
+ * @param {object} data
+ * @returns {{ error?: string, name?: string, positive?: Array, negative?: Array }}
+ */
+function validateLexicon(data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    return { error: 'Lexicon name required' };
+  }
+  const positive = analyzer.normalizeKeywords(data.positive || []);
+  const negative = analyzer.normalizeKeywords(data.negative || []);
+  if (!positive || !negative) {
+    return { error: 'Keywords must be strings or { keyword, weight } objects with a positive weight' };
+  }
+  if (positive.length === 0 && negative.length === 0) {
+    return { error: 'Lexicon needs at least one keyword' };
+  }
+  return { name, positive, negative };
+}
+
+/**
+ * Strip the version history from a lexicon for list responses.
+ *
+ * @param {object} lexicon
+ */
+function summarizeLexicon(lexicon) {
+  const { versions, ...rest } = lexicon;
+  return rest;
+}
+
+/**
+ * Handle GET /api/lexicons
+ * Requires authentication.  Returns the user's lexicons (current
+ * version only, without history).
+ */
+function handleLexiconList(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const userLexicons = lexicons.filter(l => l.userId === userId).map(summarizeLexicon);
+  sendJson(res, 200, userLexicons);
+}
+
+/**
+ * Handle POST /api/lexicons
+ * Requires authentication.  Expects { name, positive, negative } where
+ * the keyword arrays hold strings or { keyword, weight } objects.
+ * Creates the lexicon at version 1 and returns it.
+ */
+function handleLexiconCreate(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const fields = validateLexicon(data);
+    if (fields.error) {
+      return sendJson(res, 400, { error: fields.error });
+    }
+    const now = Date.now();
+    const lexicon = {
+      id: crypto.randomUUID(),
+      userId,
+      name: fields.name,
+      version: 1,
+      positive: fields.positive,
+      negative: fields.negative,
+      createdAt: now,
+      updatedAt: now,
+      versions: []
+    };
+    lexicons.push(lexicon);
+    writeJson(lexiconsFile, lexicons);
+    sendJson(res, 201, lexicon);
+  });
+}
+
+/**
+ * Handle GET /api/lexicons/:id
+ * Requires authentication.  Returns the lexicon including its version
+ * history.  With `?version=N` returns the snapshot of that version.
+ *
+ * @param {string} id
+ */
+function handleLexiconGet(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const lexicon = lexicons.find(l => l.id === id && l.userId === userId);
+  if (!lexicon) {
+    return sendJson(res, 404, { error: 'Lexicon not found' });
+  }
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const version = parsedUrl.searchParams.get('version');
+  if (version === null || Number(version) === lexicon.version) {
+    return sendJson(res, 200, lexicon);
+  }
+  const snapshot = lexicon.versions.find(v => v.version === Number(version));
+  if (!snapshot) {
+    return sendJson(res, 404, { error: 'Lexicon version not found' });
+  }
+  sendJson(res, 200, { id: lexicon.id, ...snapshot });
+}
+
+/**
+ * Handle PUT /api/lexicons/:id
+ * Requires authentication.  Replaces the lexicon's name and keywords
+ * with the payload, archives the previous version and increments the
+ * version number.
+ *
+ * @param {string} id
+ */
+function handleLexiconUpdate(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const lexicon = lexicons.find(l => l.id === id && l.userId === userId);
+  if (!lexicon) {
+    return sendJson(res, 404, { error: 'Lexicon not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const fields = validateLexicon(data);
+    if (fields.error) {
+      return sendJson(res, 400, { error: fields.error });
+    }
+    lexicon.versions.push({
+      version: lexicon.version,
+      name: lexicon.name,
+      positive: lexicon.positive,
+      negative: lexicon.negative,
+      updatedAt: lexicon.updatedAt
+    });
+    lexicon.version++;
+    lexicon.name = fields.name;
+    lexicon.positive = fields.positive;
+    lexicon.negative = fields.negative;
+    lexicon.updatedAt = Date.now();
+    writeJson(lexiconsFile, lexicons);
+    sendJson(res, 200, lexicon);
+  });
+}
+
+/**
+ * Handle DELETE /api/lexicons/:id
+ * Requires authentication.  Deletes the lexicon.  Analyses created
+ * with it keep their recorded lexicon id, name and version.
+ *
+ * @param {string} id
+ */
+function handleLexiconDelete(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const idx = lexicons.findIndex(l => l.id === id && l.userId === userId);
+  if (idx === -1) {
+    return sendJson(res, 404, { error: 'Lexicon not found' });
+  }
+  lexicons.splice(idx, 1);
+  writeJson(lexiconsFile, lexicons);
+  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+  res.end();
+}
+
+/**
+ * Validate a competitor payload { name, website, urls, category, notes,
+ * description }.  Only the name is required; `urls` lists further
+ * pages the scraper reads besides the website.  Returns an object with
+ * either the normalized fields or an error message.
+ *
+ * @param {object} data
+ * @returns {{ error?: string, name?: string, website?: string|null, urls?: string[],
+ *             category?: string|null, notes?: string|null, description?: string|null }}
+ */
+function validateCompetitor(data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    return { error: 'Competitor name required' };
+  }
+  const fields = { name };
+  for (const key of ['website', 'category', 'notes', 'description']) {
+    const value = data[key];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return { error: `Competitor ${key} must be a string` };
+    }
+    fields[key] = value && value.trim() ? value.trim() : null;
+  }
+  if (fields.website && !/^https?:\/\/[^\s/]+/i.test(fields.website)) {
+    return { error: 'Competitor website must be an http(s) URL' };
+  }
+  if (data.urls !== undefined && data.urls !== null && !Array.isArray(data.urls)) {
+    return { error: 'Competitor urls must be an array' };
+  }
+  const urls = Array.from(new Set((data.urls || []).map(url => (typeof url === 'string' ? url.trim() : url))));
+  if (urls.length > MAX_COMPETITOR_URLS) {
+    return { error: `At most ${MAX_COMPETITOR_URLS} urls per competitor` };
+  }
+  if (urls.some(url => typeof url !== 'string' || !/^https?:\/\/[^\s/]+/i.test(url))) {
+    return { error: 'Competitor urls must be http(s) URLs' };
+  }
+  fields.urls = urls;
+  return fields;
+}
+
+/**
+ * Strip the description history from a competitor for list responses.
+ *
+ * @param {object} competitor
+ */
+function summarizeCompetitor(competitor) {
+  const { descriptions, ...rest } = competitor;
+  return rest;
+}
+
+/**
+ * Handle GET /api/competitors
+ * Requires authentication.  Returns the user's registry sorted by
+ * name, without description history.
+ */
+function handleCompetitorList(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const userCompetitors = registry
+    .filter(c => c.userId === userId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(summarizeCompetitor);
+  sendJson(res, 200, userCompetitors);
+}
+
+/**
+ * Handle POST /api/competitors
+ * Requires authentication.  Expects { name, website, category, notes,
+ * description }; a description starts the dated history.  Returns the
+ * new registry entry.
+ */
+function handleCompetitorCreate(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const fields = validateCompetitor(data);
+    if (fields.error) {
+      return sendJson(res, 400, { error: fields.error });
+    }
+    const now = Date.now();
+    const competitor = {
+      id: crypto.randomUUID(),
+      userId,
+      ...fields,
+      descriptions: fields.description ? [{ description: fields.description, recordedAt: now }] : [],
+      createdAt: now,
+      updatedAt: now
+    };
+    registry.push(competitor);
+    writeJson(competitorsFile, registry);
+    sendJson(res, 201, competitor);
+  });
+}
+
+/**
+ * Handle GET /api/competitors/:id
+ * Requires authentication.  Returns the competitor including its
+ * description history.
+ *
+ * @param {string} id
+ */
+function handleCompetitorGet(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const competitor = registry.find(c => c.id === id && c.userId === userId);
+  if (!competitor) {
+    return sendJson(res, 404, { error: 'Competitor not found' });
+  }
+  sendJson(res, 200, competitor);
+}
+
+/**
+ * Handle PUT /api/competitors/:id
+ * Requires authentication.  Replaces the competitor's fields with the
+ * payload.  A description that differs from the latest one is added
+ * to the history; omitting it keeps the latest description.
+ *
+ * @param {string} id
+ */
+function handleCompetitorUpdate(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const competitor = registry.find(c => c.id === id && c.userId === userId);
+  if (!competitor) {
+    return sendJson(res, 404, { error: 'Competitor not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const fields = validateCompetitor(data);
+    if (fields.error) {
+      return sendJson(res, 400, { error: fields.error });
+    }
+    const now = Date.now();
+    if (fields.description && fields.description !== competitor.description) {
+      competitor.descriptions.push({ description: fields.description, recordedAt: now });
+    } else {
+      fields.description = competitor.description;
+    }
+    Object.assign(competitor, fields, { updatedAt: now });
+    writeJson(competitorsFile, registry);
+    sendJson(res, 200, competitor);
+  });
+}
+
+/**
+ * Handle POST /api/competitors/:id/scrape
+ * Requires authentication.  Fetches the competitor's website and urls
+ * and records the readable text as its latest description, which
+ * analyses referencing the competitor then use.  Returns the
+ * competitor and the outcome of every page, 502 when no page yielded
+ * any text, or 500 when scraping fails altogether.
+ *
+ * @param {string} id
+ */
+async function handleCompetitorScrape(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const competitor = registry.find(c => c.id === id && c.userId === userId);
+  if (!competitor) {
+    return sendJson(res, 404, { error: 'Competitor not found' });
+  }
+  if (!competitor.website && !(competitor.urls || []).length) {
+    return sendJson(res, 400, { error: 'Competitor has no website or urls to scrape' });
+  }
+  let scraped;
+  try {
+    scraped = await scraper.scrapeCompetitor(competitor);
+  } catch (err) {
+    console.error('Scrape failed:', err);
+    return sendJson(res, 500, { error: 'Scrape failed' });
+  }
+  const { description, pages } = scraped;
+  const summary = pages.map(({ url, status, title, fromCache, changed, error }) =>
+    ({ url, status, title: title || null, fromCache: Boolean(fromCache), changed: Boolean(changed), error: error || null }));
+  if (!description) {
+    return sendJson(res, 502, { error: 'No readable text could be fetched', pages: summary });
+  }
+  const now = Date.now();
+  if (description !== competitor.description) {
+    competitor.descriptions.push({ description, recordedAt: now, source: 'scrape' });
+    competitor.description = description;
+  }
+  competitor.scrapedAt = now;
+  competitor.updatedAt = now;
+  writeJson(competitorsFile, registry);
+  sendJson(res, 200, { competitor, pages: summary });
+}
+
+/**
+ * Look up the URLs of an analysis competitor for the digest: those of
+ * the registry entry it was picked from.  Competitors entered inline
+ * have none.
+ *
+ * @param {object} competitor Competitor stored on the analysis
+ * @param {object} analysis
+ * @returns {{ website: string|null, urls: string[] }|null}
+ */
+function digestUrlsOf(competitor, analysis) {
+  const saved = competitor.competitorId &&
+    registry.find(c => c.id === competitor.competitorId && c.userId === analysis.userId);
+  return saved ? { website: saved.website, urls: saved.urls || [] } : null;
+}
+
+let digestRunning = false;
+/**
+ * Regenerate the competitor digest (see services/scraper.js) when the
+ * last one is older than DIGEST_INTERVAL_MS.  Runs at startup and
+ * every DIGEST_CHECK_INTERVAL_MS; a run still in progress is not
+ * started twice.
+ */
+async function runDigestIfDue() {
+  if (digestRunning) return;
+  digestRunning = true;
+  try {
+    const latest = loadDigest().reduce((max, d) => Math.max(max, d.timestamp || 0), 0);
+    if (Date.now() - latest < DIGEST_INTERVAL_MS) return;
+    await generateDigest(analyses, scraper, digestUrlsOf);
+  } catch (err) {
+    // A failed run (including writing digest.json) is retried at the next check
+    console.error('Digest failed:', err);
+  } finally {
+    digestRunning = false;
+  }
+}
+
+/**
+ * Handle GET /api/digest
+ * Requires authentication.  Returns the latest digest entries of the
+ * user's analyses: { analysisId, summary, competitors, timestamp },
+ * where each competitor lists its fetched pages and whether they
+ * changed since the previous fetch.
+ */
+function handleDigest(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const owned = new Set(analyses.filter(a => a.userId === userId && !a.deletedAt).map(a => a.id));
+  sendJson(res, 200, loadDigest().filter(d => owned.has(d.analysisId)));
+}
+
+/**
+ * Handle DELETE /api/competitors/:id
+ * Requires authentication.  Deletes the competitor.  Analyses that
+ * used it keep their own copy of its name and description.
+ *
+ * @param {string} id
+ */
+function handleCompetitorDelete(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const idx = registry.findIndex(c => c.id === id && c.userId === userId);
+  if (idx === -1) {
+    return sendJson(res, 404, { error: 'Competitor not found' });
+  }
+  registry.splice(idx, 1);
+  writeJson(competitorsFile, registry);
+  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+  res.end();
+}
+
+/**
+ * Validate a project name.  Names are required and unique per user
+ * (case‑insensitive).
+ *
+ * @param {object} data Parsed request body
+ * @param {string} userId
+ * @param {string} [exceptId] Project being renamed
+ * @returns {{ name?: string, status?: number, error?: string }}
+ */
+function validateProjectName(data, userId, exceptId) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    return { status: 400, error: 'Project name required' };
+  }
+  const taken = projects.some(p => p.userId === userId && p.id !== exceptId &&
+    p.name.toLowerCase() === name.toLowerCase());
+  if (taken) {
+    return { status: 409, error: 'Project already exists' };
+  }
+  return { name };
+}
+
+/**
+ * Handle GET /api/projects
+ * Requires authentication.  Returns the user's projects sorted by
+ * name, each with its `analysisCount`.
+ */
+function handleProjectList(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const userProjects = projects
+    .filter(p => p.userId === userId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(p => ({ ...p, analysisCount: analyses.filter(a => a.projectId === p.id && !a.deletedAt).length }));
+  sendJson(res, 200, userProjects);
+}
+
+/**
+ * Handle POST /api/projects
+ * Requires authentication.  Expects { name }.  Returns the new project.
+ */
+function handleProjectCreate(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const { name, status, error } = validateProjectName(data, userId);
+    if (error) {
+      return sendJson(res, status, { error });
+    }
+    const now = Date.now();
+    const project = { id: crypto.randomUUID(), userId, name, createdAt: now, updatedAt: now };
+    projects.push(project);
+    writeJson(projectsFile, projects);
+    sendJson(res, 201, project);
+  });
+}
+
+/**
+ * Handle GET /api/projects/:id
+ * Requires authentication.  Returns the project with its `rollup`: the
+ * competitors appearing across its analyses and the tags in use (see
+ * services/projects.js).
+ *
+ * @param {string} id
+ */
+function handleProjectGet(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const project = projects.find(p => p.id === id && p.userId === userId);
+  if (!project) {
+    return sendJson(res, 404, { error: 'Project not found' });
+  }
+  const rollup = rollupProject(analyses.filter(a => a.projectId === project.id && !a.deletedAt));
+  sendJson(res, 200, { ...project, rollup });
+}
+
+/**
+ * Handle PUT /api/projects/:id
+ * Requires authentication.  Renames the project; expects { name }.
+ *
+ * @param {string} id
+ */
+function handleProjectUpdate(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const project = projects.find(p => p.id === id && p.userId === userId);
+  if (!project) {
+    return sendJson(res, 404, { error: 'Project not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const { name, status, error } = validateProjectName(data, userId, project.id);
+    if (error) {
+      return sendJson(res, status, { error });
+    }
+    project.name = name;
+    project.updatedAt = Date.now();
+    writeJson(projectsFile, projects);
+    sendJson(res, 200, project);
+  });
+}
+
+/**
+ * Handle DELETE /api/projects/:id
+ * Requires authentication.  Deletes the project; its analyses are kept
+ * and moved out of any project.
+ *
+ * @param {string} id
+ */
+function handleProjectDelete(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const idx = projects.findIndex(p => p.id === id && p.userId === userId);
+  if (idx === -1) {
+    return sendJson(res, 404, { error: 'Project not found' });
+  }
+  projects.splice(idx, 1);
+  writeJson(projectsFile, projects);
+  analyses.forEach(a => {
+    if (a.projectId === id) a.projectId = null;
+  });
+  writeJson(analysesFile, analyses);
+  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+  res.end();
+}
+
+/**
+ * Handle PUT /api/analysis/:id/project and PUT /api/analysis/:id/tags
+ * Requires authentication.  Moves the analysis to another project
+ * ({ projectId }, null for none) or replaces its tags ({ tags }).
+ * Organizing an analysis does not create a revision.  Returns the
+ * analysis summary.
+ *
+ * @param {string} id
+ * @param {'project'|'tags'} field
+ */
+function handleAnalysisOrganize(req, res, id, field) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    if (field === 'project') {
+      if (data.projectId && !projects.some(p => p.id === data.projectId && p.userId === userId)) {
+        return sendJson(res, 404, { error: 'Project not found' });
+      }
+      analysis.projectId = data.projectId || null;
+    } else {
+      const { tags, error } = normalizeTags(data.tags);
+      if (error) {
+        return sendJson(res, 400, { error });
+      }
+      analysis.tags = tags;
+    }
+    writeJson(analysesFile, analyses);
+    sendJson(res, 200, search.summarizeAnalysis(analysis));
+  });
+}
+
+/**
+ * Describe a share link to its owner, without the password hash.
+ *
+ * @param {object} share
+ * @returns {object}
+ */
+function presentShare(share) {
+  const { salt, passwordHash, ...rest } = share;
+  return { ...rest, hasPassword: Boolean(passwordHash), url: `/?share=${share.token}` };
+}
+
+/**
+ * Handle POST /api/analysis/:id/shares
+ * Requires authentication.  Creates a public read‑only link to the
+ * analysis.  Accepts optional { expiresAt, password, layout }:
+ * `expiresAt` is an ISO date or epoch milliseconds in the future,
+ * `layout` the variant to render (`A` cards, `B` table; defaults to
+ * the analysis variant).  Returns the share with its token and URL.
+ *
+ * @param {string} id
+ */
+function handleShareCreate(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    let expiresAt = null;
+    if (data.expiresAt !== undefined && data.expiresAt !== null) {
+      expiresAt = typeof data.expiresAt === 'number' ? data.expiresAt : Date.parse(data.expiresAt);
+      if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+        return sendJson(res, 400, { error: 'expiresAt must be a future date' });
+      }
+    }
+    if (data.password !== undefined && data.password !== null && (typeof data.password !== 'string' || !data.password)) {
+      return sendJson(res, 400, { error: 'Password must be a non-empty string' });
+    }
+    const layout = data.layout || analysis.variant;
+    if (layout !== 'A' && layout !== 'B') {
+      return sendJson(res, 400, { error: 'Layout must be A or B' });
+    }
+    const { salt, hash } = data.password ? hashPassword(data.password) : { salt: null, hash: null };
+    const share = {
+      token: generateToken(),
+      analysisId: analysis.id,
+      userId,
+      layout,
+      createdAt: Date.now(),
+      expiresAt,
+      salt,
+      passwordHash: hash,
+      revokedAt: null,
+      views: 0,
+      lastViewedAt: null
+    };
+    shares.push(share);
+    writeJson(sharesFile, shares);
+    sendJson(res, 201, presentShare(share));
+  });
+}
+
+/**
+ * Handle GET /api/analysis/:id/shares
+ * Requires authentication.  Lists the analysis's share links,
+ * including revoked and expired ones, with their view counts.
+ *
+ * @param {string} id
+ */
+function handleShareList(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  sendJson(res, 200, shares.filter(s => s.analysisId === analysis.id).map(presentShare));
+}
+
+/**
+ * Handle DELETE /api/analysis/:id/shares/:token
+ * Requires authentication.  Revokes the share link; it stays listed
+ * with its `revokedAt` time.  Returns 204.
+ *
+ * @param {string} id
+ * @param {string} shareToken
+ */
+function handleShareRevoke(req, res, id, shareToken) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const share = shares.find(s => s.token === shareToken && s.analysisId === id && s.userId === userId);
+  if (!share) {
+    return sendJson(res, 404, { error: 'Share not found' });
+  }
+  if (!share.revokedAt) {
+    share.revokedAt = Date.now();
+    writeJson(sharesFile, shares);
+  }
+  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+  res.end();
+}
+
+/**
+ * Look up a share link for a public request and check its state and
+ * password (from the `X-Share-Password` header).  After
+ * SHARE_PASSWORD_MAX_ATTEMPTS wrong passwords the link answers 429,
+ * with the seconds left in `headers['Retry-After']`, until
+ * SHARE_PASSWORD_LOCKOUT_MS have passed since the first of them.
+ *
+ * @param {object} req
+ * @param {string} shareToken
+ * @returns {{ share?: object, analysis?: object, status?: number, error?: string, headers?: object }}
+ */
+function authorizeShare(req, shareToken) {
+  const share = shares.find(s => s.token === shareToken && !s.revokedAt);
+  const analysis = share && analyses.find(a => a.id === share.analysisId && !a.deletedAt);
+  if (!analysis) {
+    return { status: 404, error: 'Share not found' };
+  }
+  if (share.expiresAt !== null && share.expiresAt <= Date.now()) {
+    return { status: 410, error: 'Share link expired' };
+  }
+  if (share.passwordHash) {
+    const password = req.headers['x-share-password'];
+    const now = Date.now();
+    let failures = sharePasswordFailures.get(share.token);
+    if (failures && failures.resetAt <= now) {
+      sharePasswordFailures.delete(share.token);
+      failures = null;
+    }
+    if (failures && failures.count >= SHARE_PASSWORD_MAX_ATTEMPTS) {
+      return {
+        status: 429,
+        error: 'Too many wrong passwords, try again later',
+        headers: { 'Retry-After': String(Math.ceil((failures.resetAt - now) / 1000)) }
+      };
+    }
+    if (!password) {
+      return { status: 401, error: 'Password required' };
+    }
+    if (!verifyPassword(password, share.salt, share.passwordHash)) {
+      if (!failures) {
+        failures = { count: 0, resetAt: now + SHARE_PASSWORD_LOCKOUT_MS };
+        sharePasswordFailures.set(share.token, failures);
+      }
+      failures.count++;
+      return { status: 403, error: 'Wrong password' };
+    }
+    sharePasswordFailures.delete(share.token);
+  }
+  return { share, analysis };
+}
+
+/**
+ * Handle GET /api/shared/:token
+ * Public.  Returns the shared analysis as { layout, sharedAt,
+ * expiresAt, analysis } without owner details, and counts the view.
+ * Password protected links expect the password in the
+ * `X-Share-Password` header (401 when missing, 403 when wrong).
+ * Revoked or unknown links return 404, expired links 410.
+ *
+ * @param {string} shareToken
+ */
+function handleSharedGet(req, res, shareToken) {
+  const { share, analysis, status, error, headers } = authorizeShare(req, shareToken);
+  if (error) {
+    return sendJson(res, status, { error }, headers);
+  }
+  share.views++;
+  share.lastViewedAt = Date.now();
+  writeJson(sharesFile, shares);
+  const completed = completeAnalysis(analysis);
+  const shared = {};
+  ['id', 'timestamp', 'updatedAt', 'revision', 'provider', 'framework', 'competitors', 'ownProduct', 'baseline',
+    'results', 'landscape', 'featureMatrix', 'themes'].forEach(field => {
+    if (completed[field] !== undefined) shared[field] = completed[field];
+  });
+  sendJson(res, 200, {
+    layout: share.layout,
+    sharedAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    analysis: presentAnalysis(shared, wantsLegacyItems(req))
+  });
+}
+
+/**
+ * Handle GET /api/analysis/:id/comments
+ * Requires authentication.  Returns the comment threads of the
+ * analysis, oldest first, each with its current item `location` and
+ * `replies` (see services/comments.js).  Optional query parameters:
+ * `itemId` to list the threads of one item, `resolved=true|false` to
+ * filter by thread state.
+ *
+ * @param {string} id
+ */
+function handleCommentList(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const itemId = parsedUrl.searchParams.get('itemId');
+  const resolved = parsedUrl.searchParams.get('resolved');
+  const threads = buildThreads(comments.filter(c => c.analysisId === analysis.id), analysis, frameworkOf(analysis))
+    .filter(thread => itemId === null || (thread.item && thread.item.itemId === itemId))
+    .filter(thread => resolved === null || thread.resolved === (resolved === 'true'));
+  sendJson(res, 200, threads);
+}
+
+/**
+ * Handle POST /api/analysis/:id/comments
+ * Requires authentication.  Expects { body } and optionally the item
+ * to comment on, as { itemId } or { competitorIndex, category,
+ * itemIndex }, or `parentId` to reply to a thread (replies share the
+ * thread's item).  Returns the new comment.
+ *
+ * @param {string} id
+ */
+function handleCommentCreate(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const text = typeof data.body === 'string' ? data.body.trim() : '';
+    if (!text) {
+      return sendJson(res, 400, { error: 'Comment body required' });
+    }
+    let parent = null;
+    let item = null;
+    if (data.parentId) {
+      parent = comments.find(c => c.id === data.parentId && c.analysisId === analysis.id);
+      if (!parent) {
+        return sendJson(res, 404, { error: 'Comment not found' });
+      }
+      // Replies to replies join the same thread
+      if (parent.parentId) parent = comments.find(c => c.id === parent.parentId);
+      item = parent.item;
+    } else {
+      const target = resolveTarget(analysis, frameworkOf(analysis), data);
+      if (target.error) {
+        return sendJson(res, 404, { error: target.error });
+      }
+      item = target.item;
+    }
+    const user = users.find(u => u.id === userId);
+    const now = Date.now();
+    const comment = {
+      id: crypto.randomUUID(),
+      analysisId: analysis.id,
+      userId,
+      author: user ? user.username : null,
+      parentId: parent ? parent.id : null,
+      item,
+      body: text,
+      resolved: false,
+      resolvedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    comments.push(comment);
+    writeJson(commentsFile, comments);
+    sendJson(res, 201, comment);
+  });
+}
+
+/**
+ * Handle PUT /api/analysis/:id/comments/:commentId
+ * Requires authentication.  Accepts { body } to edit the comment (its
+ * author only) and/or { resolved } to resolve or reopen its thread;
+ * on a reply, `resolved` is recorded on the thread's root comment.
+ * Returns the updated comment.
+ *
+ * @param {string} id
+ * @param {string} commentId
+ */
+function handleCommentUpdate(req, res, id, commentId) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  const comment = comments.find(c => c.id === commentId && c.analysisId === analysis.id);
+  if (!comment) {
+    return sendJson(res, 404, { error: 'Comment not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    if (data.body !== undefined) {
+      const text = typeof data.body === 'string' ? data.body.trim() : '';
+      if (!text) {
+        return sendJson(res, 400, { error: 'Comment body required' });
+      }
+      if (comment.userId !== userId) {
+        return sendJson(res, 403, { error: 'Only the author can edit a comment' });
+      }
+      comment.body = text;
+    }
+    if (data.resolved !== undefined) {
+      if (typeof data.resolved !== 'boolean') {
+        return sendJson(res, 400, { error: 'resolved must be true or false' });
+      }
+      // Resolution belongs to the thread, so a reply resolves its root
+      const root = comment.parentId
+        ? comments.find(c => c.id === comment.parentId) || comment
+        : comment;
+      root.resolved = data.resolved;
+      root.resolvedAt = data.resolved ? Date.now() : null;
+      root.updatedAt = Date.now();
+    }
+    comment.updatedAt = Date.now();
+    writeJson(commentsFile, comments);
+    sendJson(res, 200, comment);
+  });
+}
+
+/**
+ * Handle GET /api/analysis/:id/curations
+ * Requires authentication.  Lists the curation operations of the
+ * analysis in the order they are applied; operations whose item no
+ * longer exists are marked `stale`.
+ *
+ * @param {string} id
+ */
+function handleCurationList(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  sendJson(res, 200, analysis.curations || []);
+}
+
+/**
+ * Handle POST /api/analysis/:id/curations
+ * Requires authentication.  Expects { op } (`hide`, `edit`, `move`,
+ * `pin` or `add`) with the item addressed like comments, plus `text`
+ * for edit and add and `toCategory` for move.  The operation is stored
+ * with the analysis and applied to its results, and is reapplied
+ * whenever the analysis is regenerated.  Returns the updated analysis.
+ *
+ * @param {string} id
+ */
+function handleCurationCreate(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const framework = frameworkOf(analysis);
+    const { curation, status, error } = createCuration(data, analysis, framework);
+    if (error) {
+      return sendJson(res, status, { error });
+    }
+    // Analyses stored before curation existed hold generated results only
+    if (!analysis.generatedResults) analysis.generatedResults = analysis.results;
+    analysis.curations = [...(analysis.curations || []), curation];
+    analysis.results = applyCurations(analysis.generatedResults, analysis.curations, framework);
+    writeJson(analysesFile, analyses);
+    sendJson(res, 201, presentAnalysis(analysis, wantsLegacyItems(req)));
+  });
+}
+
+/**
+ * Handle DELETE /api/analysis/:id/curations/:curationId
+ * Requires authentication.  Undoes a curation operation and reapplies
+ * the remaining ones.  Returns 204.
+ *
+ * @param {string} id
+ * @param {string} curationId
+ */
+function handleCurationDelete(req, res, id, curationId) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  const curations = analysis.curations || [];
+  const idx = curations.findIndex(c => c.id === curationId);
+  if (idx === -1) {
+    return sendJson(res, 404, { error: 'Curation not found' });
+  }
+  curations.splice(idx, 1);
+  analysis.results = applyCurations(analysis.generatedResults, curations, frameworkOf(analysis));
+  writeJson(analysesFile, analyses);
+  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+  res.end();
+}
+
+/**
+ * Handle GET /api/analysis/:id/export?format=csv|md|json
+ * Requires authentication.  Returns the curated results of the
+ * analysis as a download (see services/exporter.js for the formats
+ * and the JSON schema).  `format` defaults to json.
+ *
+ * @param {string} id
+ */
+function handleAnalysisExport(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const format = parsedUrl.searchParams.get('format') || 'json';
+  if (!exporter.isSupportedFormat(format)) {
+    return sendJson(res, 400, { error: `Unsupported export format: ${format}` });
+  }
+  const { body, contentType, filename } = exporter.exportAnalysis(analysis, frameworkOf(analysis), format);
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'Content-Disposition'
+  });
+  res.end(body);
+}
+
+/**
+ * Send the HTML report of an analysis (see services/report.js).
+ *
+ * @param {object} res
+ * @param {object} analysis
+ * @param {boolean} withAuthor Name the owner as the author
+ * @param {string} [layout] `A` (grids) or `B` (comparison table)
+ */
+function sendReport(res, analysis, withAuthor, layout) {
+  const owner = withAuthor ? users.find(u => u.id === analysis.userId) : null;
+  const html = renderReport(completeAnalysis(analysis), frameworkOf(analysis), { author: owner ? owner.username : null, layout });
+  const date = new Date(analysis.timestamp).toISOString().slice(0, 10);
+  res.writeHead(200, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Disposition': `inline; filename="analysis-${date}-${String(analysis.id).slice(0, 8)}.html"`,
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(html);
+}
+
+/**
+ * Handle GET /api/analysis/:id/report
+ * Requires authentication.  Returns a self-contained, print-friendly
+ * HTML report of the analysis.
+ *
+ * @param {string} id
+ */
+function handleAnalysisReport(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const analysis = analyses.find(a => a.id === id && a.userId === userId && !a.deletedAt);
+  if (!analysis) {
+    return sendJson(res, 404, { error: 'Analysis not found' });
+  }
+  sendReport(res, analysis, true);
+}
+
+/**
+ * Handle GET /api/shared/:token/report
+ * Public.  Returns the HTML report of a shared analysis, with the same
+ * checks as GET /api/shared/:token.  Like the shared analysis it
+ * leaves out the owner, so the report has no author, and it is laid
+ * out in the link's layout.  The shared page displays this report.
+ * Reports do not count as views; the shared page already counted one
+ * when it was opened.
+ *
+ * @param {string} shareToken
+ */
+function handleSharedReport(req, res, shareToken) {
+  const { share, analysis, status, error, headers } = authorizeShare(req, shareToken);
+  if (error) {
+    return sendJson(res, status, { error }, headers);
+  }
+  sendReport(res, analysis, false, share.layout);
+}
+
+/**
+ * Build the request body of a scheduled run: the current revision,
+ * with competitors that came from the registry resolved again so the
+ * run uses their latest descriptions.  Competitors removed from the
+ * registry keep their stored description.
+ *
+ * @param {object} analysis
+ * @returns {object}
+ */
+function scheduledRequest(analysis) {
+  const data = storedRequest(analysis);
+  data.competitors = (analysis.competitors || []).map(competitor => {
+    const saved = competitor && competitor.competitorId &&
+      registry.find(c => c.id === competitor.competitorId && c.userId === analysis.userId);
+    if (!saved || !saved.description) return competitor;
+    return competitor.language !== undefined ? { id: saved.id, language: competitor.language } : { id: saved.id };
+  });
+  return data;
+}
+
+/**
+ * Run one due schedule and record the run.  Analyses in the trash are
+ * skipped.  The next run is computed from the current time, so runs
+ * missed while the server was down are caught up with a single run.
+ *
+ * @param {object} schedule
+ */
+async function runSchedule(schedule) {
+  const run = {
+    dueAt: schedule.nextRunAt,
+    startedAt: Date.now(),
+    finishedAt: null,
+    status: 'succeeded',
+    revision: null,
+    error: null,
+    catchUp: Date.now() - schedule.nextRunAt > SCHEDULER_INTERVAL_MS
+  };
+  const analysis = analyses.find(a => a.id === schedule.analysisId && !a.deletedAt);
+  if (!analysis) {
+    run.status = 'skipped';
+    run.error = 'Analysis is in the trash';
+  } else {
+    try {
+      const { error } = await reanalyze(analysis, scheduledRequest(analysis), true);
+      if (error) {
+        run.status = 'failed';
+        run.error = error;
+      } else {
+        run.revision = analysis.revision;
+      }
+    } catch (err) {
+      run.status = 'failed';
+      run.error = err.message;
+    }
+  }
+  run.finishedAt = Date.now();
+  addRun(schedule, run);
+  schedule.lastRunAt = run.startedAt;
+  const { cron } = parseSchedule(schedule.schedule);
+  schedule.nextRunAt = nextRunAfter(cron, Date.now());
+  writeJson(schedulesFile, schedules);
+}
+
+let schedulerBusy = false;
+
+/**
+ * Run every active schedule that is due, one at a time.  Called at
+ * startup, which catches up on runs missed during a restart, and every
+ * SCHEDULER_INTERVAL_MS; a tick is skipped while the previous one is
+ * still running.
+ */
+async function runDueSchedules() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+  try {
+    const due = schedules.filter(s => !s.paused && s.nextRunAt !== null && s.nextRunAt <= Date.now());
+    for (const schedule of due) {
+      // Deleted or paused while an earlier schedule was running
+      if (!schedules.includes(schedule) || schedule.paused) continue;
+      await runSchedule(schedule);
+    }
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+/**
+ * Summarize a schedule for lists: its last run instead of the whole
+ * history.
+ *
+ * @param {object} schedule
+ * @returns {object}
+ */
+function summarizeSchedule(schedule) {
+  const { runs, ...summary } = schedule;
+  summary.lastRun = runs.length > 0 ? runs[runs.length - 1] : null;
+  return summary;
+}
+
+/**
+ * Handle GET /api/schedules
+ * Requires authentication.  Lists the user's schedules with their last
+ * run, optionally only those of `analysisId`.
+ */
+function handleScheduleList(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const analysisId = parsedUrl.searchParams.get('analysisId');
+  const list = schedules
+    .filter(s => s.userId === userId && (analysisId === null || s.analysisId === analysisId))
+    .map(summarizeSchedule);
+  sendJson(res, 200, list);
+}
+
+/**
+ * Handle POST /api/schedules
+ * Requires authentication.  Expects { analysisId, schedule } where
+ * schedule is `daily`, `weekly` or a cron expression (UTC; see
+ * services/schedules.js), and optionally `paused`.  Every run
+ * re-analyses the analysis with the latest registry data and stores a
+ * new revision.  An analysis has at most one schedule (409 otherwise).
+ */
+function handleScheduleCreate(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const analysis = analyses.find(a => a.id === data.analysisId && a.userId === userId && !a.deletedAt);
+    if (!analysis) {
+      return sendJson(res, 404, { error: 'Analysis not found' });
+    }
+    if (schedules.some(s => s.analysisId === analysis.id)) {
+      return sendJson(res, 409, { error: 'Analysis already has a schedule' });
+    }
+    const { cron, error } = parseSchedule(data.schedule);
+    if (error) {
+      return sendJson(res, 400, { error });
+    }
+    const now = Date.now();
+    const schedule = {
+      id: crypto.randomUUID(),
+      analysisId: analysis.id,
+      userId,
+      schedule: data.schedule.trim(),
+      paused: data.paused === true,
+      nextRunAt: nextRunAfter(cron, now),
+      lastRunAt: null,
+      runs: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    schedules.push(schedule);
+    writeJson(schedulesFile, schedules);
+    sendJson(res, 201, schedule);
+  });
+}
+
+/**
+ * Handle GET /api/schedules/:id
+ * Requires authentication.  Returns the schedule with its run history,
+ * oldest run first.
+ *
+ * @param {string} id
+ */
+function handleScheduleGet(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const schedule = schedules.find(s => s.id === id && s.userId === userId);
+  if (!schedule) {
+    return sendJson(res, 404, { error: 'Schedule not found' });
+  }
+  sendJson(res, 200, schedule);
+}
+
+/**
+ * Handle PATCH /api/schedules/:id
+ * Requires authentication.  Accepts `paused` to pause or resume the
+ * schedule and `schedule` to change when it runs.  Resuming or
+ * changing the schedule plans the next run from now, so runs missed
+ * while paused are not caught up.
+ *
+ * @param {string} id
+ */
+function handleScheduleUpdate(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const schedule = schedules.find(s => s.id === id && s.userId === userId);
+  if (!schedule) {
+    return sendJson(res, 404, { error: 'Schedule not found' });
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > 1e6) req.connection.destroy();
+  });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (err) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    if (data.paused !== undefined && typeof data.paused !== 'boolean') {
+      return sendJson(res, 400, { error: 'paused must be a boolean' });
+    }
+    const spec = data.schedule !== undefined ? data.schedule : schedule.schedule;
+    const { cron, error } = parseSchedule(spec);
+    if (error) {
+      return sendJson(res, 400, { error });
+    }
+    const resumed = schedule.paused && data.paused === false;
+    if (data.schedule !== undefined || resumed) {
+      schedule.schedule = spec.trim();
+      schedule.nextRunAt = nextRunAfter(cron, Date.now());
+    }
+    if (data.paused !== undefined) schedule.paused = data.paused;
+    schedule.updatedAt = Date.now();
+    writeJson(schedulesFile, schedules);
+    sendJson(res, 200, schedule);
+  });
+}
+
+/**
+ * Handle DELETE /api/schedules/:id
+ * Requires authentication.  Deletes the schedule and its run history;
+ * the revisions it produced are kept.  Returns 204.
+ *
+ * @param {string} id
+ */
+function handleScheduleDelete(req, res, id) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const idx = schedules.findIndex(s => s.id === id && s.userId === userId);
+  if (idx === -1) {
+    return sendJson(res, 404, { error: 'Schedule not found' });
+  }
+  schedules.splice(idx, 1);
+  writeJson(schedulesFile, schedules);
+  res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+  res.end();
+}
+
+/**
+ * Handle POST /api/import
+ * Imports competitors from a CSV or JSON upload sent as the raw
+ * request body and parsed while it streams in (see
+ * services/importer.js).  Query parameters: `format` (`csv` or `json`;
+ * guessed from the Content-Type when omitted), `map` (custom column
+ * mapping such as `Company:name,About:description`) and `target`:
+ *
+ *   form      (default) return { competitors, errors, rows } so the
+ *             client can fill its form; no authentication needed
+ *   analysis  create an analysis from the valid rows right away;
+ *             requires authentication and accepts `framework` and
+ *             `provider`.  Returns the analysis with `importErrors`
+ *
+ * Invalid rows are reported in `errors` as { row, error }.  Uploads
+ * larger than IMPORT_MAX_BYTES are rejected with 413.
+ */
+function handleImport(req, res) {
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const params = parsedUrl.searchParams;
+  const target = params.get('target') || 'form';
+  if (target !== 'form' && target !== 'analysis') {
+    return sendJson(res, 400, { error: `Unknown import target: ${target}` });
+  }
+  let userId = null;
+  if (target === 'analysis') {
+    const token = getTokenFromHeader(req);
+    userId = getUserIdFromToken(token);
+    if (!userId) {
+      return sendJson(res, 401, { error: 'Unauthorized' });
+    }
+  }
+  const contentType = req.headers['content-type'] || '';
+  const format = params.get('format') || (/csv/i.test(contentType) ? 'csv' : 'json');
+  const importer = createImporter(format, { mapping: params.get('map') });
+  if (importer.error) {
+    return sendJson(res, 400, { error: importer.error });
+  }
+  let size = 0;
+  let tooLarge = false;
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    if (tooLarge) return;
+    size += Buffer.byteLength(chunk);
+    if (size > IMPORT_MAX_BYTES) {
+      tooLarge = true;
+      sendJson(res, 413, { error: 'Import too large' });
+      req.connection.destroy();
+      return;
+    }
+    importer.write(chunk);
+  });
+  req.on('end', catchAsync(res, async () => {
+    if (tooLarge) return;
+    const { competitors, errors, rows } = importer.end();
+    if (target === 'form') {
+      return sendJson(res, 200, { competitors, errors, rows });
+    }
+    if (competitors.length === 0) {
+      return sendJson(res, 400, { error: 'No valid rows to import', errors });
+    }
+    const data = { competitors };
+    ['framework', 'provider'].forEach(key => {
+      if (params.get(key)) data[key] = params.get(key);
+    });
+    const { analysis, status, error } = await createAnalysis(userId, data);
+    if (error) {
+      return sendJson(res, status, { error, errors });
+    }
+    sendJson(res, 201, { ...presentAnalysis(analysis, wantsLegacyItems(req)), importErrors: errors });
+  }));
+}
+
+/**
+ * Handle GET /api/metrics/user
+ * Requires authentication.  Aggregates the user's analyses to count
+ * how many variants were served and how many conversions occurred
+ * (conversions are global; per-user conversion tracking could be
+ * added later).  Returns an object { analyses: number, variantA: number, variantB: number }.
+ */
+function handleMetricsUser(req, res) {
+  const token = getTokenFromHeader(req);
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const userAnalyses = analyses.filter(a => a.userId === userId && !a.deletedAt);
+  const summary = { analyses: userAnalyses.length, variantA: 0, variantB: 0, conversionsA: metrics.conversionsA, conversionsB: metrics.conversionsB };
+  userAnalyses.forEach(a => {
+    if (a.variant === 'A') summary.variantA++;
+    if (a.variant === 'B') summary.variantB++;
+  });
+  sendJson(res, 200, summary);
+}
+
+/**
+ * Handle GET /integration.js
+ * Serves a JavaScript snippet that external websites can embed to
+ * integrate with the SaaS.  The script fetches a variant from
  * /api/variant and exposes a global function recordConversion() to
  * send conversion events back to the server.  The server URL is
  * inferred from the environment variable SERVER_URL if provided;
@@ -642,6 +3356,12 @@ function serveStatic(req, res) {
   // Prevent directory traversal
   pathname = pathname.replace(/\.\.(\/|\\)/g, '');
   const filePath = path.join(__dirname, pathname);
+  // The JSON data files (users, sessions, share links, jobs, ...) live
+  // in the project root too and must never be served
+  if (/\.jsonl?$/i.test(filePath) || path.basename(filePath).startsWith('.')) {
+    res.writeHead(404);
+    return res.end('Not found');
+  }
   fs.readFile(filePath, (err, data) => {
     if (err) {
       res.writeHead(404);
@@ -673,8 +3393,8 @@ const server = http.createServer((req, res) => {
   if (method === 'OPTIONS' && pathname.startsWith('/api/')) {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Password'
     });
     return res.end();
   }
@@ -689,26 +3409,208 @@ const server = http.createServer((req, res) => {
   if (method === 'GET' && pathname === '/api/analysis/list') {
     return handleAnalysisList(req, res);
   }
+  if (method === 'GET' && pathname === '/api/analysis/trash') {
+    return handleTrashList(req, res);
+  }
   if (method === 'POST' && pathname === '/api/analysis') {
     return handleAnalysisCreate(req, res);
   }
-  // /api/analysis/:id for GET and DELETE
-  const analysisMatch = pathname.match(/^\/api\/analysis\/(.+)$/);
+  // /api/analysis/:id for GET, PUT, PATCH and DELETE
+  const analysisMatch = pathname.match(/^\/api\/analysis\/([^/]+)$/);
   if (analysisMatch) {
     const analysisId = analysisMatch[1];
     if (method === 'GET') {
       return handleAnalysisGet(req, res, analysisId);
     }
+    if (method === 'PUT' || method === 'PATCH') {
+      return handleAnalysisUpdate(req, res, analysisId, method === 'PATCH');
+    }
     if (method === 'DELETE') {
       return handleAnalysisDelete(req, res, analysisId);
     }
   }
+  const revisionListMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/revisions$/);
+  if (method === 'GET' && revisionListMatch) {
+    return handleRevisionList(req, res, revisionListMatch[1]);
+  }
+  const revisionMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/revisions\/(\d+)$/);
+  if (method === 'GET' && revisionMatch) {
+    return handleRevisionGet(req, res, revisionMatch[1], Number(revisionMatch[2]));
+  }
+  const shareListMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/shares$/);
+  if (shareListMatch) {
+    if (method === 'GET') {
+      return handleShareList(req, res, shareListMatch[1]);
+    }
+    if (method === 'POST') {
+      return handleShareCreate(req, res, shareListMatch[1]);
+    }
+  }
+  const shareMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/shares\/([^/]+)$/);
+  if (method === 'DELETE' && shareMatch) {
+    return handleShareRevoke(req, res, shareMatch[1], shareMatch[2]);
+  }
+  const sharedMatch = pathname.match(/^\/api\/shared\/([^/]+)$/);
+  if (method === 'GET' && sharedMatch) {
+    return handleSharedGet(req, res, sharedMatch[1]);
+  }
+  const sharedReportMatch = pathname.match(/^\/api\/shared\/([^/]+)\/report$/);
+  if (method === 'GET' && sharedReportMatch) {
+    return handleSharedReport(req, res, sharedReportMatch[1]);
+  }
+  const commentListMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/comments$/);
+  if (commentListMatch) {
+    if (method === 'GET') {
+      return handleCommentList(req, res, commentListMatch[1]);
+    }
+    if (method === 'POST') {
+      return handleCommentCreate(req, res, commentListMatch[1]);
+    }
+  }
+  const commentMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/comments\/([^/]+)$/);
+  if (method === 'PUT' && commentMatch) {
+    return handleCommentUpdate(req, res, commentMatch[1], commentMatch[2]);
+  }
+  const curationListMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/curations$/);
+  if (curationListMatch) {
+    if (method === 'GET') {
+      return handleCurationList(req, res, curationListMatch[1]);
+    }
+    if (method === 'POST') {
+      return handleCurationCreate(req, res, curationListMatch[1]);
+    }
+  }
+  const curationMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/curations\/([^/]+)$/);
+  if (method === 'DELETE' && curationMatch) {
+    return handleCurationDelete(req, res, curationMatch[1], curationMatch[2]);
+  }
+  const organizeMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/(project|tags)$/);
+  if (method === 'PUT' && organizeMatch) {
+    return handleAnalysisOrganize(req, res, organizeMatch[1], organizeMatch[2]);
+  }
+  const diffMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/diff$/);
+  if (method === 'GET' && diffMatch) {
+    return handleRevisionDiff(req, res, diffMatch[1]);
+  }
+  const restoreMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/restore$/);
+  if (method === 'POST' && restoreMatch) {
+    return handleAnalysisRestore(req, res, restoreMatch[1]);
+  }
+  const reportMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/report$/);
+  if (method === 'GET' && reportMatch) {
+    return handleAnalysisReport(req, res, reportMatch[1]);
+  }
+  const exportMatch = pathname.match(/^\/api\/analysis\/([^/]+)\/export$/);
+  if (method === 'GET' && exportMatch) {
+    return handleAnalysisExport(req, res, exportMatch[1]);
+  }
+  const jobMatch = pathname.match(/^\/api\/jobs\/([^/]+)$/);
+  if (method === 'GET' && jobMatch) {
+    return handleJobGet(req, res, jobMatch[1]);
+  }
+  const jobCancelMatch = pathname.match(/^\/api\/jobs\/([^/]+)\/cancel$/);
+  if (method === 'POST' && jobCancelMatch) {
+    return handleJobCancel(req, res, jobCancelMatch[1]);
+  }
+  if (method === 'POST' && pathname === '/api/import') {
+    return handleImport(req, res);
+  }
+  if (method === 'GET' && pathname === '/api/schedules') {
+    return handleScheduleList(req, res);
+  }
+  if (method === 'POST' && pathname === '/api/schedules') {
+    return handleScheduleCreate(req, res);
+  }
+  // /api/schedules/:id for GET, PATCH and DELETE
+  const scheduleMatch = pathname.match(/^\/api\/schedules\/([^/]+)$/);
+  if (scheduleMatch) {
+    const scheduleId = scheduleMatch[1];
+    if (method === 'GET') {
+      return handleScheduleGet(req, res, scheduleId);
+    }
+    if (method === 'PATCH') {
+      return handleScheduleUpdate(req, res, scheduleId);
+    }
+    if (method === 'DELETE') {
+      return handleScheduleDelete(req, res, scheduleId);
+    }
+  }
+  if (method === 'GET' && pathname === '/api/projects') {
+    return handleProjectList(req, res);
+  }
+  if (method === 'POST' && pathname === '/api/projects') {
+    return handleProjectCreate(req, res);
+  }
+  // /api/projects/:id for GET, PUT and DELETE
+  const projectMatch = pathname.match(/^\/api\/projects\/([^/]+)$/);
+  if (projectMatch) {
+    const projectId = projectMatch[1];
+    if (method === 'GET') {
+      return handleProjectGet(req, res, projectId);
+    }
+    if (method === 'PUT') {
+      return handleProjectUpdate(req, res, projectId);
+    }
+    if (method === 'DELETE') {
+      return handleProjectDelete(req, res, projectId);
+    }
+  }
+  if (method === 'GET' && pathname === '/api/competitors') {
+    return handleCompetitorList(req, res);
+  }
+  if (method === 'POST' && pathname === '/api/competitors') {
+    return handleCompetitorCreate(req, res);
+  }
+  if (method === 'GET' && pathname === '/api/digest') {
+    return handleDigest(req, res);
+  }
+  const competitorScrapeMatch = pathname.match(/^\/api\/competitors\/([^/]+)\/scrape$/);
+  if (method === 'POST' && competitorScrapeMatch) {
+    return handleCompetitorScrape(req, res, competitorScrapeMatch[1]);
+  }
+  // /api/competitors/:id for GET, PUT and DELETE
+  const competitorMatch = pathname.match(/^\/api\/competitors\/([^/]+)$/);
+  if (competitorMatch) {
+    const competitorId = competitorMatch[1];
+    if (method === 'GET') {
+      return handleCompetitorGet(req, res, competitorId);
+    }
+    if (method === 'PUT') {
+      return handleCompetitorUpdate(req, res, competitorId);
+    }
+    if (method === 'DELETE') {
+      return handleCompetitorDelete(req, res, competitorId);
+    }
+  }
+  if (method === 'GET' && pathname === '/api/lexicons') {
+    return handleLexiconList(req, res);
+  }
+  if (method === 'POST' && pathname === '/api/lexicons') {
+    return handleLexiconCreate(req, res);
+  }
+  // /api/lexicons/:id for GET, PUT and DELETE
+  const lexiconMatch = pathname.match(/^\/api\/lexicons\/([^/]+)$/);
+  if (lexiconMatch) {
+    const lexiconId = lexiconMatch[1];
+    if (method === 'GET') {
+      return handleLexiconGet(req, res, lexiconId);
+    }
+    if (method === 'PUT') {
+      return handleLexiconUpdate(req, res, lexiconId);
+    }
+    if (method === 'DELETE') {
+      return handleLexiconDelete(req, res, lexiconId);
+    }
+  }
   if (method === 'GET' && pathname === '/api/metrics/user') {
     return handleMetricsUser(req, res);
   }
   if (method === 'POST' && pathname === '/api/generate') {
     return handleGenerate(req, res);
   }
+  if (method === 'GET' && pathname === '/api/frameworks') {
+    return handleFrameworkList(req, res);
+  }
   if (method === 'GET' && pathname === '/api/metrics') {
     return handleMetrics(req, res);
   }
@@ -726,6 +3628,23 @@ const server = http.createServer((req, res) => {
   return serveStatic(req, res);
 });
 
+// Purge expired trash now and periodically; the timer does not keep
+// the process alive on its own
+purgeTrash();
+setInterval(purgeTrash, TRASH_SWEEP_INTERVAL_MS).unref();
+// Prune old finished jobs, then resume the ones that were queued or
+// running when the server stopped
+pruneJobs();
+setInterval(pruneJobs, JOB_SWEEP_INTERVAL_MS).unref();
+jobQueue.recover(jobs);
+// Catch up on schedules that came due while the server was down, then
+// check every minute
+runDueSchedules();
+setInterval(runDueSchedules, SCHEDULER_INTERVAL_MS).unref();
+// Refresh the competitor digest once a day
+runDigestIfDue();
+setInterval(runDigestIfDue, DIGEST_CHECK_INTERVAL_MS).unref();
+
 server.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
 });
\ No newline at end of file
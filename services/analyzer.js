@@ -0,0 +1,447 @@
+/**
+ * SWOT analyzer providers.
+ *
+ * The analysis pipeline no longer calls a single hard‑wired function.
+ * Instead each analyzer is registered as a provider exposing an
+ * `analyze(description, name, options)` method that resolves to a SWOT
+ * object `{ strengths, weaknesses, opportunities, threats }`.  The
+ * keyword heuristic is the default provider and is always available;
+ * additional providers (such as the LLM over HTTP provider) register
+ * themselves here.  Whenever a provider fails or exceeds the timeout,
+ * the heuristic result is used instead so a request never ends up
+ * without an analysis.
+ */
+
+const languages = require('./languages');
+
+// Default lexicon: the English keyword pack.  Every keyword carries a
+// weight of 1; user lexicons may assign their own weights.
+const defaultLexicon = languages.getLanguagePack(languages.DEFAULT_LANGUAGE).lexicon;
+
+// A negated keyword counts for half its weight in the opposite
+// direction.  Negations reach NEGATION_WINDOW tokens ahead.
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = -0.5;
+
+// Name of the provider used when none is requested and as fallback
+const DEFAULT_PROVIDER = 'heuristic';
+
+// Maximum time (in milliseconds) a provider may take before the
+// heuristic fallback is used.  Configurable via ANALYZER_TIMEOUT_MS.
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.ANALYZER_TIMEOUT_MS, 10) || 15000;
+
+/**
+ * Normalize a list of lexicon keywords.  Entries may be plain strings
+ * or `{ keyword, weight }` objects; keywords are lowercased and
+ * trimmed, weights default to 1.  Returns null if any entry is
+ * invalid (empty keyword or a weight that is not a positive number).
+ *
+ * @param {Array} entries
+ * @returns {Array<{ keyword: string, weight: number }>|null}
+ */
+function normalizeKeywords(entries) {
+  if (!Array.isArray(entries)) return null;
+  const normalized = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string' && (typeof entry !== 'object' || entry === null)) return null;
+    const keyword = typeof entry === 'string' ? entry : entry.keyword;
+    const weight = typeof entry === 'string' || entry.weight === undefined ? 1 : entry.weight;
+    if (typeof keyword !== 'string' || !keyword.trim()) return null;
+    if (typeof weight !== 'number' || !(weight > 0)) return null;
+    normalized.push({ keyword: keyword.trim().toLowerCase(), weight });
+  }
+  return normalized;
+}
+
+/**
+ * Split text into lowercase word tokens.  Hyphenated words and
+ * contractions ("user-friendly", "isn't") stay a single token, so a
+ * keyword only matches whole words: "slow" no longer matches
+ * "slowly".
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[\u2010\u2011]/g, '-')
+    .replace(/\u2019/g, "'")
+    .match(/[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Find every position at which a keyword's tokens occur in a token
+ * list.
+ *
+ * @param {string[]} tokens
+ * @param {string[]} keywordTokens
+ * @returns {number[]} Start indices of the matches
+ */
+function findKeyword(tokens, keywordTokens) {
+  const positions = [];
+  if (keywordTokens.length === 0) return positions;
+  for (let i = 0; i + keywordTokens.length <= tokens.length; i++) {
+    if (keywordTokens.every((t, j) => tokens[i + j] === t)) positions.push(i);
+  }
+  return positions;
+}
+
+/**
+ * Check whether a token negates what follows it ("not", "never",
+ * "isn't", "nicht", "sin", ...).
+ *
+ * @param {string} token
+ * @param {object} pack Language pack
+ * @returns {boolean}
+ */
+function isNegation(token, pack) {
+  return pack.negations.includes(token) || (pack.code === 'en' && token.endsWith("n't"));
+}
+
+/**
+ * Check whether the phrase starting at token `pos` is negated, i.e. a
+ * negation appears within the NEGATION_WINDOW tokens before it.
+ *
+ * @param {string[]} tokens
+ * @param {number} pos
+ * @param {string} [language]
+ * @returns {boolean}
+ */
+function isNegatedAt(tokens, pos, language = languages.DEFAULT_LANGUAGE) {
+  const pack = languages.getLanguagePack(language);
+  return tokens.slice(Math.max(0, pos - NEGATION_WINDOW), pos).some(token => isNegation(token, pack));
+}
+
+/**
+ * Match a sentence against a lexicon.  Every keyword match adds its
+ * weight (positive keywords) or subtracts it (negative keywords).  An
+ * intensifier right before the keyword scales the contribution and a
+ * negation within the preceding few words flips and dampens it, so
+ * "not expensive" counts as mildly positive.  Positive totals make the
+ * sentence a strength, negative totals a weakness.  Negations and
+ * intensifiers come from the language pack.
+ *
+ * @param {string} sentence
+ * @param {{ positive: Array, negative: Array }} lexicon
+ * @param {string} [language] Language code, defaults to English
+ * @returns {{ score: number, keywords: string[], matches: Array }} The
+ *          sentiment score rounded to two decimals, the keywords that
+ *          matched and every individual match as
+ *          `{ keyword, theme, polarity, negated }`
+ */
+function matchSentence(sentence, lexicon = defaultLexicon, language = languages.DEFAULT_LANGUAGE) {
+  const pack = languages.getLanguagePack(language);
+  const tokens = tokenize(sentence);
+  let score = 0;
+  const keywords = [];
+  const matches = [];
+  const apply = (entries, polarity) => {
+    entries.forEach(k => {
+      const keywordTokens = tokenize(k.keyword);
+      findKeyword(tokens, keywordTokens).forEach(pos => {
+        let value = polarity * k.weight;
+        const previous = tokens[pos - 1];
+        if (previous && pack.intensifiers[previous]) value *= pack.intensifiers[previous];
+        const negated = isNegatedAt(tokens, pos, language);
+        if (negated) value *= NEGATION_FACTOR;
+        score += value;
+        if (!keywords.includes(k.keyword)) keywords.push(k.keyword);
+        matches.push({ keyword: k.keyword, theme: k.theme || k.keyword, polarity, negated });
+      });
+    });
+  };
+  apply(lexicon.positive, 1);
+  apply(lexicon.negative, -1);
+  return { score: Math.round(score * 100) / 100, keywords, matches };
+}
+
+/**
+ * Score a sentence against a lexicon.  See matchSentence.
+ *
+ * @param {string} sentence
+ * @param {{ positive: Array, negative: Array }} lexicon
+ * @param {string} [language]
+ * @returns {number}
+ */
+function scoreSentence(sentence, lexicon = defaultLexicon, language = languages.DEFAULT_LANGUAGE) {
+  return matchSentence(sentence, lexicon, language).score;
+}
+
+/**
+ * Decide whether the terminator at `pos` ends a sentence.  A full stop
+ * does not end a sentence inside a number ("2.5"), after a single
+ * letter (initials, "z. B.") or after one of the language's
+ * abbreviations ("e.g.", "bzw.", "p. ej.").
+ *
+ * @param {string} desc
+ * @param {number} pos Index of the terminator character
+ * @param {object} pack Language pack
+ * @returns {boolean}
+ */
+function isSentenceBoundary(desc, pos, pack) {
+  if (desc[pos] !== '.') return true;
+  if (/\d/.test(desc[pos - 1] || '') && /\d/.test(desc[pos + 1] || '')) return false;
+  const before = desc.slice(Math.max(0, pos - 8), pos).toLowerCase();
+  if (/(^|[^\p{L}])\p{L}$/u.test(before)) return false;
+  return !pack.abbreviations.some(abbr =>
+    before.endsWith(abbr) && !/\p{L}/u.test(before.charAt(before.length - abbr.length - 1))
+  );
+}
+
+/**
+ * Split a description into sentences on . ! ? ; and record where each
+ * sentence sits in the original text.  Offsets exclude surrounding
+ * whitespace so `desc.slice(start, end)` yields the sentence itself.
+ * Abbreviations and decimals of the given language do not split.
+ *
+ * @param {string} desc
+ * @param {string} [language] Language code, defaults to English
+ * @returns {Array<{ text: string, index: number, start: number, end: number }>}
+ */
+function splitSentences(desc, language = languages.DEFAULT_LANGUAGE) {
+  const pack = languages.getLanguagePack(language);
+  const sentences = [];
+  const push = (from, to) => {
+    const raw = desc.slice(from, to);
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+    const start = from + (raw.length - raw.trimStart().length);
+    sentences.push({
+      text: trimmed.replace(/\n/g, ' '),
+      index: sentences.length,
+      start,
+      end: start + trimmed.length
+    });
+  };
+  let from = 0;
+  for (let pos = 0; pos < desc.length; pos++) {
+    if ('.!?;'.includes(desc[pos]) && isSentenceBoundary(desc, pos, pack)) {
+      push(from, pos);
+      from = pos + 1;
+    }
+  }
+  push(from, desc.length);
+  return sentences;
+}
+
+/**
+ * Naive SWOT analysis generator.  Splits the description into
+ * sentences and scores each one with `matchSentence`.  Sentences with
+ * a positive score become strengths and sentences with a negative
+ * score become weaknesses, ordered by the strength of their score.
+ * Opportunities and threats are generated from generic templates.
+ *
+ * Every item is an object `{ text, score }`.  Items taken from the
+ * description carry `evidence: { keywords, sentenceIndex, start, end }`
+ * pointing back at the source sentence; templated items score 0 and
+ * are flagged with `templated: true`.
+ *
+ * @param {string} desc  The description of the competitor.
+ * @param {string} name  The competitor name (used in templated messages).
+ * @param {{ lexicon?: object, language?: string }} [options] Weighted
+ *        keyword sets to match against (defaults to the language's
+ *        keyword pack) and the language of the description, which
+ *        selects sentence segmentation, negations and the language of
+ *        templated items (defaults to English).
+ * @returns {object} An object with arrays for strengths, weaknesses,
+ *                   opportunities and threats.
+ */
+function analyzeDescription(desc, name, options = {}) {
+  const language = options.language || languages.DEFAULT_LANGUAGE;
+  const pack = languages.getLanguagePack(language);
+  const lexicon = options.lexicon || pack.lexicon;
+  const strengths = [];
+  const weaknesses = [];
+  const opportunities = [];
+  const threats = [];
+  const templated = text => ({ text, score: 0, templated: true });
+
+  splitSentences(desc, language).forEach(sentence => {
+    const { score, keywords } = matchSentence(sentence.text, lexicon, language);
+    if (score === 0) return;
+    const item = {
+      text: sentence.text,
+      score,
+      evidence: { keywords, sentenceIndex: sentence.index, start: sentence.start, end: sentence.end }
+    };
+    if (score > 0) {
+      strengths.push(item);
+    } else {
+      weaknesses.push(item);
+    }
+  });
+  // Array.prototype.sort is stable, so equal scores keep sentence order
+  strengths.sort((a, b) => b.score - a.score);
+  weaknesses.sort((a, b) => a.score - b.score);
+  // If no strengths/weaknesses found, supply generic messages
+  if (strengths.length === 0) {
+    strengths.push(templated(pack.templates.strength(name)));
+  }
+  if (weaknesses.length === 0) {
+    weaknesses.push(templated(pack.templates.weakness(name)));
+  }
+
+  // Generic opportunity/threat messages
+  pack.templates.opportunities.forEach(template => opportunities.push(templated(template(name))));
+  pack.templates.threats.forEach(template => threats.push(templated(template(name))));
+
+  return { strengths, weaknesses, opportunities, threats };
+}
+
+/**
+ * Convert a SWOT object to the legacy shape with plain string items.
+ * Analyses stored before items carried scores are already strings and
+ * pass through unchanged.
+ *
+ * @param {object} swot
+ * @returns {object}
+ */
+function toLegacySwot(swot) {
+  const legacy = {};
+  Object.keys(swot).forEach(key => {
+    legacy[key] = Array.isArray(swot[key])
+      ? swot[key].map(item => (typeof item === 'string' ? item : item.text))
+      : swot[key];
+  });
+  return legacy;
+}
+
+// Registered providers keyed by name
+const providers = {
+  heuristic: {
+    name: 'heuristic',
+    analyze: async (description, name, options = {}) => analyzeDescription(description, name, options)
+  }
+};
+
+/**
+ * Register an analyzer provider.  A provider is an object with a
+ * unique `name` and an async `analyze(description, name, options)`
+ * method.  Registering a provider under an existing name replaces it.
+ *
+ * @param {{ name: string, analyze: Function }} provider
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.analyze !== 'function') {
+    throw new Error('Analyzer providers need a name and an analyze() function');
+  }
+  providers[provider.name] = provider;
+}
+
+/**
+ * Look up a provider by name.  Returns undefined for unknown names.
+ *
+ * @param {string} name
+ */
+function getProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : undefined;
+}
+
+/**
+ * List the names of all registered providers.
+ *
+ * @returns {string[]}
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Check that a provider returned a usable SWOT object: four arrays of
+ * strings, which are then scored and wrapped as `{ text, score }`.
+ * Providers backed by external services can return almost anything,
+ * so their output is validated before it is stored.
+ *
+ * @param {any} swot
+ * @returns {boolean}
+ */
+function isValidSwot(swot) {
+  if (!swot || typeof swot !== 'object') return false;
+  return ['strengths', 'weaknesses', 'opportunities', 'threats'].every(key =>
+    Array.isArray(swot[key]) && swot[key].every(entry => typeof entry === 'string')
+  );
+}
+
+/**
+ * Run the named provider against a single competitor description.  If
+ * the provider throws, times out or returns an invalid SWOT object,
+ * the heuristic provider is used instead.  Resolves to an object
+ * `{ swot, provider, fallback }` where `provider` is the name of the
+ * provider that actually produced the SWOT and `fallback` indicates
+ * whether the heuristic had to step in.  Aborting `options.signal`
+ * aborts the provider's request as well and rejects with the abort
+ * reason instead of falling back.
+ *
+ * @param {string} providerName
+ * @param {string} description
+ * @param {string} name
+ * @param {object} options Extra options forwarded to the provider,
+ *                         e.g. `{ lexicon, language, signal }`
+ * @returns {Promise<{ swot: object, provider: string, fallback: boolean, error?: string }>}
+ */
+async function analyzeWithProvider(providerName, description, name, options = {}) {
+  const provider = getProvider(providerName || DEFAULT_PROVIDER) || providers[DEFAULT_PROVIDER];
+  if (provider.name === DEFAULT_PROVIDER) {
+    const swot = await provider.analyze(description, name, options);
+    return { swot, provider: provider.name, fallback: false };
+  }
+  const { signal } = options;
+  if (signal) signal.throwIfAborted();
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Provider ${provider.name} timed out after ${PROVIDER_TIMEOUT_MS}ms`));
+    }, PROVIDER_TIMEOUT_MS);
+    onAbort = () => {
+      controller.abort();
+      reject(signal.reason);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    const swot = await Promise.race([
+      provider.analyze(description, name, { ...options, signal: controller.signal }),
+      timeout
+    ]);
+    if (!isValidSwot(swot)) {
+      throw new Error(`Provider ${provider.name} returned an invalid SWOT object`);
+    }
+    // Providers return plain sentences; score them with the heuristic
+    // so every item carries a score regardless of where it came from.
+    const scored = {};
+    Object.keys(swot).forEach(key => {
+      const lexicon = options.lexicon || languages.getLanguagePack(options.language).lexicon;
+      scored[key] = swot[key].map(text => ({ text, score: scoreSentence(text, lexicon, options.language) }));
+    });
+    return { swot: scored, provider: provider.name, fallback: false };
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    const swot = await providers[DEFAULT_PROVIDER].analyze(description, name, options);
+    return { swot, provider: DEFAULT_PROVIDER, fallback: true, error: err.message };
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  defaultLexicon,
+  analyzeDescription,
+  matchSentence,
+  scoreSentence,
+  splitSentences,
+  tokenize,
+  findKeyword,
+  isNegatedAt,
+  toLegacySwot,
+  normalizeKeywords,
+  registerProvider,
+  getProvider,
+  listProviders,
+  analyzeWithProvider,
+};
@@ -0,0 +1,108 @@
+/**
+ * Comment threads on analyses and their items.
+ *
+ * A comment targets either the whole analysis or one item.  Items are
+ * addressed by competitor index (into `results`), category and item
+ * index, or by a stable item id: a hash of the competitor name,
+ * category and item text.  The id survives re‑analysis as long as the
+ * item itself is unchanged, so comments follow their item when the
+ * order changes and are reported as detached (`location: null`) when
+ * the item disappears.
+ *
+ * Threads are one level deep: replies attach to the top‑level comment
+ * of their thread and inherit its target.
+ */
+const crypto = require('crypto');
+
+/**
+ * Stable id of an item.
+ *
+ * @param {string} competitor Competitor name
+ * @param {string} category Framework category key
+ * @param {string} text Item text
+ * @returns {string}
+ */
+function itemIdOf(competitor, category, text) {
+  return crypto.createHash('sha1').update(`${competitor}\n${category}\n${text}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Index every item of an analysis by its stable id.
+ *
+ * @param {object} analysis
+ * @param {object} framework Framework the analysis was produced with
+ * @returns {Map<string, { competitorIndex: number, competitor: string, category: string, itemIndex: number, text: string }>}
+ */
+function indexItems(analysis, framework) {
+  const index = new Map();
+  (analysis.results || []).forEach((result, competitorIndex) => {
+    framework.categories.forEach(({ key }) => {
+      const items = (result[framework.field] && result[framework.field][key]) || [];
+      items.forEach((item, itemIndex) => {
+        const text = typeof item === 'string' ? item : item.text;
+        const id = itemIdOf(result.name, key, text);
+        if (!index.has(id)) index.set(id, { competitorIndex, competitor: result.name, category: key, itemIndex, text });
+      });
+    });
+  });
+  return index;
+}
+
+/**
+ * Resolve the item a new comment targets.
+ *
+ * @param {object} analysis
+ * @param {object} framework
+ * @param {object} data Request body with `itemId` or `competitorIndex`,
+ *        `category` and `itemIndex`
+ * @returns {{ item?: object|null, error?: string }} `item` is null for
+ *          comments on the whole analysis, otherwise
+ *          `{ itemId, competitor, category, text }`
+ */
+function resolveTarget(analysis, framework, data) {
+  if (data.itemId !== undefined && data.itemId !== null) {
+    const found = indexItems(analysis, framework).get(data.itemId);
+    if (!found) return { error: 'Item not found' };
+    return { item: { itemId: data.itemId, competitor: found.competitor, category: found.category, text: found.text } };
+  }
+  if (data.competitorIndex === undefined && data.category === undefined && data.itemIndex === undefined) {
+    return { item: null };
+  }
+  const result = Number.isInteger(data.competitorIndex) ? (analysis.results || [])[data.competitorIndex] : undefined;
+  const items = result && result[framework.field] && result[framework.field][data.category];
+  const entry = Array.isArray(items) && Number.isInteger(data.itemIndex) ? items[data.itemIndex] : undefined;
+  if (entry === undefined) return { error: 'Item not found' };
+  const text = typeof entry === 'string' ? entry : entry.text;
+  return { item: { itemId: itemIdOf(result.name, data.category, text), competitor: result.name, category: data.category, text } };
+}
+
+/**
+ * Group comments into threads and locate their items in the current
+ * version of the analysis.
+ *
+ * @param {Array} comments Comments of one analysis, oldest first
+ * @param {object} analysis
+ * @param {object} framework
+ * @returns {Array} Top‑level comments with `location` ({ competitorIndex,
+ *          category, itemIndex }, or null for detached item comments and
+ *          comments on the analysis) and their `replies`
+ */
+function buildThreads(comments, analysis, framework) {
+  const index = indexItems(analysis, framework);
+  const locate = comment => {
+    const found = comment.item && index.get(comment.item.itemId);
+    return found ? { competitorIndex: found.competitorIndex, category: found.category, itemIndex: found.itemIndex } : null;
+  };
+  const threads = new Map();
+  comments.filter(c => !c.parentId).forEach(c => threads.set(c.id, { ...c, location: locate(c), replies: [] }));
+  comments.filter(c => c.parentId && threads.has(c.parentId)).forEach(c => {
+    threads.get(c.parentId).replies.push({ ...c, location: locate(c) });
+  });
+  return Array.from(threads.values());
+}
+
+module.exports = {
+  itemIdOf,
+  resolveTarget,
+  buildThreads,
+};
@@ -0,0 +1,150 @@
+/**
+ * Manual curation of generated items.
+ *
+ * Analysts correct the analyzer with curation operations stored on the
+ * analysis (`curations`), separately from the generated output
+ * (`generatedResults`).  The visible `results` are always the
+ * generated output with every curation applied in order, so
+ * regenerating an analysis reapplies the edits instead of dropping
+ * them.  Operations:
+ *
+ *   hide  remove an item
+ *   edit  replace the text of an item (`text`)
+ *   move  move an item to another category (`toCategory`)
+ *   pin   list an item first in its category
+ *   add   add a manual item (`text`) to a competitor's category
+ *
+ * Operations target items by competitor name, category and text, the
+ * same key as stable item ids (see services/comments.js).  An operation
+ * whose item no longer exists after regeneration is kept but marked
+ * `stale` and skipped.
+ *
+ * Every curated item carries an `origin`: `generated`, `edited` (text
+ * changed or moved; with `originalText` or `movedFrom`) or `manual`;
+ * pinned items have `pinned: true`.
+ */
+const crypto = require('crypto');
+const { resolveTarget } = require('./comments');
+
+const OPERATIONS = ['hide', 'edit', 'move', 'pin', 'add'];
+
+/**
+ * Validate a curation request against the current results.
+ *
+ * @param {object} data Request body: `op` plus the target item as
+ *        { itemId } or { competitorIndex, category, itemIndex }; `add`
+ *        takes { competitorIndex, category, text } instead
+ * @param {object} analysis Analysis with curated `results`
+ * @param {object} framework Framework the analysis was produced with
+ * @returns {{ curation?: object, status?: number, error?: string }}
+ */
+function createCuration(data, analysis, framework) {
+  if (!OPERATIONS.includes(data.op)) {
+    return { status: 400, error: `Unknown curation op: ${data.op}` };
+  }
+  const text = typeof data.text === 'string' ? data.text.trim() : '';
+  const isCategory = key => framework.categories.some(category => category.key === key);
+  const curation = { id: crypto.randomUUID(), op: data.op, createdAt: Date.now() };
+  if (data.op === 'add') {
+    const result = Number.isInteger(data.competitorIndex) ? (analysis.results || [])[data.competitorIndex] : undefined;
+    if (!result) {
+      return { status: 404, error: 'Competitor not found' };
+    }
+    if (!isCategory(data.category)) {
+      return { status: 400, error: `Unknown category: ${data.category}` };
+    }
+    if (!text) {
+      return { status: 400, error: 'Item text required' };
+    }
+    return { curation: { ...curation, competitor: result.name, category: data.category, text } };
+  }
+  const { item, error } = resolveTarget(analysis, framework, data);
+  if (error || !item) {
+    return { status: 404, error: error || 'Item not found' };
+  }
+  Object.assign(curation, { competitor: item.competitor, category: item.category, target: item.text });
+  if (data.op === 'edit') {
+    if (!text) {
+      return { status: 400, error: 'Item text required' };
+    }
+    curation.text = text;
+  }
+  if (data.op === 'move') {
+    if (!isCategory(data.toCategory) || data.toCategory === item.category) {
+      return { status: 400, error: 'toCategory must be another category of the framework' };
+    }
+    curation.toCategory = data.toCategory;
+  }
+  return { curation };
+}
+
+/**
+ * Apply curations to generated results.
+ *
+ * @param {Array} generated Generated results; left untouched
+ * @param {Array} curations Operations in the order they were made;
+ *        their `stale` flag is updated in place
+ * @param {object} framework
+ * @returns {Array} Curated results
+ */
+function applyCurations(generated, curations, framework) {
+  const results = structuredClone(generated);
+  results.forEach(result => {
+    const categories = result[framework.field];
+    if (!categories) return;
+    Object.keys(categories).forEach(key => {
+      categories[key] = (categories[key] || []).map(item => (typeof item === 'string'
+        ? { text: item, origin: 'generated' }
+        : { ...item, origin: 'generated' }));
+    });
+  });
+  curations.forEach(curation => {
+    const result = results.find(r => r.name === curation.competitor);
+    const categories = result && result[framework.field];
+    const list = categories && categories[curation.category];
+    if (!list) {
+      curation.stale = true;
+      return;
+    }
+    if (curation.op === 'add') {
+      list.push({ text: curation.text, score: 0, origin: 'manual', curationId: curation.id });
+      curation.stale = false;
+      return;
+    }
+    const idx = list.findIndex(item => item.text === curation.target);
+    curation.stale = idx === -1;
+    if (idx === -1) return;
+    const item = list[idx];
+    if (curation.op === 'hide') {
+      list.splice(idx, 1);
+    } else if (curation.op === 'edit') {
+      if (item.origin === 'generated') item.originalText = item.text;
+      item.text = curation.text;
+      if (item.origin === 'generated') item.origin = 'edited';
+    } else if (curation.op === 'move') {
+      list.splice(idx, 1);
+      if (!categories[curation.toCategory]) categories[curation.toCategory] = [];
+      categories[curation.toCategory].push({
+        ...item,
+        origin: item.origin === 'generated' ? 'edited' : item.origin,
+        movedFrom: item.movedFrom || curation.category
+      });
+    } else if (curation.op === 'pin') {
+      item.pinned = true;
+    }
+  });
+  // Pinned items first, otherwise keep the order
+  results.forEach(result => {
+    const categories = result[framework.field];
+    if (!categories) return;
+    Object.keys(categories).forEach(key => {
+      categories[key] = categories[key].filter(item => item.pinned).concat(categories[key].filter(item => !item.pinned));
+    });
+  });
+  return results;
+}
+
+module.exports = {
+  createCuration,
+  applyCurations,
+};
@@ -0,0 +1,132 @@
+/**
+ * Differentiation against our own product.
+ *
+ * When an analysis includes an `ownProduct` baseline, every competitor
+ * is compared with it on three axes:
+ *
+ *   • themes   – positive lexicon themes in the strengths (or in all
+ *                items for frameworks other than SWOT);
+ *   • features – catalog features present in the feature matrix
+ *                (except pricing models);
+ *   • pricing  – entry price per seat and free tiers.  Only real
+ *                per‑seat prices are compared, never flat prices
+ *                divided by an assumed team size.
+ *
+ * Each competitor result gains a `differentiation` block listing where
+ * the competitor beats us (`theyBeatUs`), where we beat them
+ * (`weBeatThem`) and the claims both sides make (`shared`).  Entries
+ * are `{ kind, key, label }` objects; pricing entries also carry both
+ * prices.
+ */
+const languages = require('./languages');
+const { collectThemes } = require('./landscape');
+const { seatEntryPrice } = require('./pricing');
+
+/**
+ * Collect the strength themes of a result.  Results of frameworks
+ * other than SWOT have no strengths, so the positive themes of all
+ * their items are used.
+ *
+ * @param {object} result
+ * @param {{ lexicon?: object, field?: string }} options Custom lexicon
+ *        (defaults to the language pack) and the framework's result field
+ * @returns {Set<string>}
+ */
+function strengthThemes(result, options) {
+  const lex = options.lexicon || languages.getLanguagePack(result.language).lexicon;
+  const items = result.swot
+    ? result.swot.strengths
+    : Object.values(result[options.field] || {}).flat();
+  return collectThemes(items, 1, lex, result.language);
+}
+
+/**
+ * Collect the ids of the features marked present in a matrix row.
+ * Pricing model features are left to the pricing comparison.
+ *
+ * @param {object} row Feature matrix row
+ * @param {Map<string, object>} features Catalog entries keyed by id
+ * @returns {Map<string, string>} Present feature ids mapped to labels
+ */
+function presentFeatures(row, features) {
+  const present = new Map();
+  Object.entries(row ? row.cells : {}).forEach(([id, cell]) => {
+    const feature = features.get(id);
+    if (cell.status === 'present' && feature.category !== 'pricing') present.set(id, feature.label);
+  });
+  return present;
+}
+
+/**
+ * Sort entries present on one or both sides into the three buckets.
+ *
+ * @param {Map<string, string>} ours Keys we claim, mapped to labels
+ * @param {Map<string, string>} theirs Keys they claim, mapped to labels
+ * @param {string} kind
+ * @param {object} diff Differentiation block to fill
+ */
+function compareClaims(ours, theirs, kind, diff) {
+  theirs.forEach((label, key) => {
+    const entry = { kind, key, label };
+    if (ours.has(key)) diff.shared.push(entry);
+    else diff.theyBeatUs.push(entry);
+  });
+  ours.forEach((label, key) => {
+    if (!theirs.has(key)) diff.weBeatThem.push({ kind, key, label });
+  });
+}
+
+/**
+ * Compare the entry prices and free tiers of two pricing blocks.  The
+ * entry prices are left out when either side has no real per‑seat
+ * price (see pricing.seatEntryPrice).
+ *
+ * @param {object} ours
+ * @param {object} theirs
+ * @param {object} diff Differentiation block to fill
+ */
+function comparePricing(ours, theirs, diff) {
+  if (!ours || !theirs) return;
+  const ourPrice = seatEntryPrice(ours);
+  const theirPrice = seatEntryPrice(theirs);
+  if (ourPrice > 0 && theirPrice > 0) {
+    const entry = { kind: 'pricing', key: 'entry-price', ours: ourPrice, theirs: theirPrice, currency: ours.currency };
+    if (theirPrice < ourPrice) diff.theyBeatUs.push({ ...entry, label: 'Lower entry price' });
+    else if (ourPrice < theirPrice) diff.weBeatThem.push({ ...entry, label: 'Lower entry price' });
+    else diff.shared.push({ ...entry, label: 'Same entry price' });
+  }
+  const ourFree = Boolean(ours.freeTier);
+  const theirFree = Boolean(theirs.freeTier);
+  const freeTier = { kind: 'pricing', key: 'free-tier', label: 'Free tier' };
+  if (ourFree && theirFree) diff.shared.push(freeTier);
+  else if (theirFree) diff.theyBeatUs.push(freeTier);
+  else if (ourFree) diff.weBeatThem.push(freeTier);
+}
+
+/**
+ * Attach a `differentiation` block to every competitor result.
+ *
+ * @param {object} baseline Result of our own product
+ * @param {Array} results Competitor results; updated in place
+ * @param {object} featureMatrix Matrix whose first row is the baseline,
+ *        followed by one row per competitor result
+ * @param {{ lexicon?: object, field?: string }} [options] Custom lexicon
+ *        used for the analysis and the framework's result field
+ */
+function applyDifferentiation(baseline, results, featureMatrix, options = {}) {
+  const features = new Map(featureMatrix.features.map(f => [f.id, f]));
+  const toLabels = themes => new Map(Array.from(themes).map(theme => [theme, theme]));
+  const ourThemes = toLabels(strengthThemes(baseline, options));
+  const ourFeatures = presentFeatures(featureMatrix.rows[0], features);
+  results.forEach((result, idx) => {
+    const diff = { against: baseline.name, theyBeatUs: [], weBeatThem: [], shared: [] };
+    compareClaims(ourThemes, toLabels(strengthThemes(result, options)), 'theme', diff);
+    compareClaims(ourFeatures, presentFeatures(featureMatrix.rows[idx + 1], features), 'feature', diff);
+    comparePricing(baseline.pricing, result.pricing, diff);
+    result.differentiation = diff;
+  });
+}
+
+module.exports = {
+  applyDifferentiation,
+};
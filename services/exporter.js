@@ -0,0 +1,208 @@
+/**
+ * Export of stored analyses to CSV, Markdown and JSON.
+ *
+ *   csv   one row per item: competitor, category, text, score, origin,
+ *         ownProduct (`true` on the rows of the ownProduct baseline,
+ *         which come first)
+ *   md    a section per competitor with a bulleted list per category
+ *   json  the documented `competitive-analysis/v1` schema:
+ *
+ *     {
+ *       schema: 'competitive-analysis/v1',
+ *       id, createdAt, updatedAt,      // ISO 8601 timestamps
+ *       revision,
+ *       framework: { id, label, categories: [{ key, label }] },
+ *       ownProduct: null | { name, description, items },
+ *       competitors: [{ name, description, items }]
+ *     }
+ *
+ *   where `items` maps every category key to an array of
+ *   `{ text, score, origin, pinned }` (score 0 and origin `generated`
+ *   when unknown).  Fields are only ever added to this schema.
+ *
+ * Exports reflect the curated results.
+ */
+
+const SCHEMA = 'competitive-analysis/v1';
+
+// Supported formats: content type and file extension
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Check whether an export format is supported.
+ *
+ * @param {string} format
+ * @returns {boolean}
+ */
+function isSupportedFormat(format) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+/**
+ * Normalize the items of one category of a result.
+ *
+ * @param {object} result
+ * @param {object} framework
+ * @param {string} key Category key
+ * @returns {Array<{ text: string, score: number, origin: string, pinned: boolean }>}
+ */
+function itemsOf(result, framework, key) {
+  const items = (result && result[framework.field] && result[framework.field][key]) || [];
+  return items.map(item => (typeof item === 'string'
+    ? { text: item, score: 0, origin: 'generated', pinned: false }
+    : { text: item.text, score: item.score || 0, origin: item.origin || 'generated', pinned: Boolean(item.pinned) }));
+}
+
+/**
+ * Quote a CSV field when needed.  Text that a spreadsheet would run as
+ * a formula is prefixed with an apostrophe.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render an analysis as CSV.
+ *
+ * @param {object} analysis
+ * @param {object} framework
+ * @returns {string}
+ */
+function toCsv(analysis, framework) {
+  const lines = [['competitor', 'category', 'text', 'score', 'origin', 'ownProduct'].join(',')];
+  const rows = (result, ownProduct) => {
+    framework.categories.forEach(category => {
+      itemsOf(result, framework, category.key).forEach(item => {
+        lines.push([result.name, category.label, item.text, item.score, item.origin, ownProduct].map(csvField).join(','));
+      });
+    });
+  };
+  if (analysis.baseline) rows(analysis.baseline, true);
+  (analysis.results || []).forEach(result => rows(result, false));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render the categories of one result as Markdown.
+ *
+ * @param {object} result
+ * @param {object} framework
+ * @returns {string[]} Lines
+ */
+function markdownSections(result, framework) {
+  const lines = [];
+  framework.categories.forEach(category => {
+    lines.push(`### ${category.label}`, '');
+    const items = itemsOf(result, framework, category.key);
+    if (items.length === 0) lines.push('_None_');
+    items.forEach(item => {
+      const marks = [item.pinned ? 'pinned' : null, item.origin !== 'generated' ? item.origin : null].filter(Boolean);
+      lines.push(`- ${item.text.replace(/\s*\n\s*/g, ' ')}${marks.length > 0 ? ` _(${marks.join(', ')})_` : ''}`);
+    });
+    lines.push('');
+  });
+  return lines;
+}
+
+/**
+ * Render an analysis as Markdown.
+ *
+ * @param {object} analysis
+ * @param {object} framework
+ * @returns {string}
+ */
+function toMarkdown(analysis, framework) {
+  const date = new Date(analysis.updatedAt || analysis.timestamp).toISOString().slice(0, 10);
+  const lines = [
+    `# ${framework.label} analysis`,
+    '',
+    `Competitors: ${(analysis.results || []).map(r => r.name).join(', ')}  `,
+    `Date: ${date}, revision ${analysis.revision || 1}`,
+    ''
+  ];
+  if (analysis.baseline) {
+    lines.push(`## ${analysis.baseline.name} (our product)`, '', ...markdownSections(analysis.baseline, framework));
+  }
+  (analysis.results || []).forEach(result => {
+    lines.push(`## ${result.name}`, '', ...markdownSections(result, framework));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Build the JSON export document.
+ *
+ * @param {object} analysis
+ * @param {object} framework
+ * @returns {object}
+ */
+function toDocument(analysis, framework) {
+  const items = result => {
+    const byCategory = {};
+    framework.categories.forEach(category => {
+      byCategory[category.key] = itemsOf(result, framework, category.key);
+    });
+    return byCategory;
+  };
+  const competitors = analysis.competitors || [];
+  return {
+    schema: SCHEMA,
+    id: analysis.id,
+    createdAt: new Date(analysis.timestamp).toISOString(),
+    updatedAt: analysis.updatedAt ? new Date(analysis.updatedAt).toISOString() : null,
+    revision: analysis.revision || 1,
+    framework: {
+      id: framework.id,
+      label: framework.label,
+      categories: framework.categories.map(({ key, label }) => ({ key, label }))
+    },
+    ownProduct: analysis.baseline
+      ? {
+        name: analysis.baseline.name,
+        description: analysis.ownProduct ? analysis.ownProduct.description : '',
+        items: items(analysis.baseline)
+      }
+      : null,
+    competitors: (analysis.results || []).map((result, idx) => ({
+      name: result.name,
+      description: competitors[idx] ? competitors[idx].description || '' : '',
+      items: items(result)
+    }))
+  };
+}
+
+/**
+ * Export an analysis.
+ *
+ * @param {object} analysis Stored analysis
+ * @param {object} framework Framework the analysis was produced with
+ * @param {'csv'|'md'|'json'} format
+ * @returns {{ body: string, contentType: string, filename: string }}
+ */
+function exportAnalysis(analysis, framework, format) {
+  let body;
+  if (format === 'csv') body = toCsv(analysis, framework);
+  else if (format === 'md') body = toMarkdown(analysis, framework);
+  else body = JSON.stringify(toDocument(analysis, framework), null, 2);
+  const date = new Date(analysis.timestamp).toISOString().slice(0, 10);
+  return {
+    body,
+    contentType: FORMATS[format].contentType,
+    filename: `analysis-${date}-${String(analysis.id).slice(0, 8)}.${FORMATS[format].extension}`
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  isSupportedFormat,
+  exportAnalysis,
+};
@@ -0,0 +1,143 @@
+/**
+ * Competitor feature matrix extraction.
+ *
+ * Builds a competitor × feature grid from the same descriptions used
+ * for the SWOT analysis.  Capability phrases are looked up in a
+ * catalog of known features grouped by category (integrations,
+ * platforms, compliance, pricing model); each feature lists the
+ * synonyms that normalize to it, so "SOC 2", "SOC2" and "soc-2" all
+ * count as the same feature.
+ *
+ * Every cell is one of:
+ *
+ *   • `present` – the description mentions the feature;
+ *   • `absent`  – it only mentions it negated ("no Android app",
+ *                 "does not integrate with Slack");
+ *   • `unknown` – it does not mention it at all.
+ *
+ * Only features mentioned by at least one competitor appear in the
+ * matrix.  Cells carry the sentences that decided them as evidence.
+ */
+const analyzer = require('./analyzer');
+
+// Known features.  Synonyms are matched on whole words, case‑insensitive.
+const FEATURE_CATALOG = [
+  // Integrations
+  { id: 'slack', label: 'Slack', category: 'integrations', synonyms: ['slack'] },
+  { id: 'microsoft-teams', label: 'Microsoft Teams', category: 'integrations', synonyms: ['microsoft teams', 'ms teams'] },
+  { id: 'salesforce', label: 'Salesforce', category: 'integrations', synonyms: ['salesforce', 'sfdc'] },
+  { id: 'hubspot', label: 'HubSpot', category: 'integrations', synonyms: ['hubspot'] },
+  { id: 'zapier', label: 'Zapier', category: 'integrations', synonyms: ['zapier'] },
+  { id: 'jira', label: 'Jira', category: 'integrations', synonyms: ['jira'] },
+  { id: 'github', label: 'GitHub', category: 'integrations', synonyms: ['github'] },
+  { id: 'google-workspace', label: 'Google Workspace', category: 'integrations', synonyms: ['google workspace', 'g suite', 'gsuite', 'google apps'] },
+  { id: 'api', label: 'Public API', category: 'integrations', synonyms: ['api', 'apis', 'rest api', 'graphql'] },
+  { id: 'webhooks', label: 'Webhooks', category: 'integrations', synonyms: ['webhook', 'webhooks'] },
+  // Platforms
+  { id: 'web', label: 'Web app', category: 'platforms', synonyms: ['web app', 'web application', 'web-based', 'browser-based'] },
+  { id: 'ios', label: 'iOS', category: 'platforms', synonyms: ['ios', 'iphone', 'ipad'] },
+  { id: 'android', label: 'Android', category: 'platforms', synonyms: ['android'] },
+  { id: 'windows', label: 'Windows', category: 'platforms', synonyms: ['windows'] },
+  { id: 'macos', label: 'macOS', category: 'platforms', synonyms: ['macos', 'mac os', 'os x'] },
+  { id: 'linux', label: 'Linux', category: 'platforms', synonyms: ['linux'] },
+  { id: 'browser-extension', label: 'Browser extension', category: 'platforms', synonyms: ['chrome extension', 'browser extension', 'firefox add-on'] },
+  { id: 'on-premise', label: 'On‑premise', category: 'platforms', synonyms: ['on-premise', 'on-premises', 'on-prem', 'self-hosted', 'self hosted'] },
+  // Compliance and security
+  { id: 'soc2', label: 'SOC 2', category: 'compliance', synonyms: ['soc2', 'soc 2', 'soc-2'] },
+  { id: 'iso27001', label: 'ISO 27001', category: 'compliance', synonyms: ['iso 27001', 'iso27001', 'iso/iec 27001'] },
+  { id: 'hipaa', label: 'HIPAA', category: 'compliance', synonyms: ['hipaa'] },
+  { id: 'gdpr', label: 'GDPR', category: 'compliance', synonyms: ['gdpr', 'dsgvo', 'rgpd'] },
+  { id: 'pci-dss', label: 'PCI DSS', category: 'compliance', synonyms: ['pci', 'pci dss', 'pci-dss'] },
+  { id: 'ccpa', label: 'CCPA', category: 'compliance', synonyms: ['ccpa'] },
+  { id: 'sso', label: 'Single sign‑on', category: 'compliance', synonyms: ['sso', 'single sign-on', 'single sign on', 'saml'] },
+  // Pricing model
+  { id: 'free-tier', label: 'Free tier', category: 'pricing', synonyms: ['free tier', 'free plan', 'freemium', 'free forever'] },
+  { id: 'free-trial', label: 'Free trial', category: 'pricing', synonyms: ['free trial', 'trial period'] },
+  { id: 'per-seat', label: 'Per‑seat pricing', category: 'pricing', synonyms: ['per user', 'per seat', 'per-user', 'per-seat', 'seat-based'] },
+  { id: 'flat-rate', label: 'Flat‑rate pricing', category: 'pricing', synonyms: ['flat rate', 'flat-rate', 'flat fee', 'unlimited users'] },
+  { id: 'usage-based', label: 'Usage‑based pricing', category: 'pricing', synonyms: ['usage-based', 'pay as you go', 'pay-as-you-go', 'metered billing'] },
+  { id: 'custom-pricing', label: 'Custom / enterprise pricing', category: 'pricing', synonyms: ['custom pricing', 'contact sales', 'enterprise plan', 'custom quote'] }
+];
+
+// Display order of the categories
+const CATEGORIES = ['integrations', 'platforms', 'compliance', 'pricing'];
+
+// Catalog with synonyms tokenized once
+const catalog = FEATURE_CATALOG.map(feature => ({
+  ...feature,
+  synonymTokens: feature.synonyms.map(analyzer.tokenize)
+}));
+
+/**
+ * Find the features mentioned in one description.
+ *
+ * @param {string} description
+ * @param {string} [language] Language of the description (for negations)
+ * @returns {Map<string, { status: string, evidence: Array }>} Cells keyed by feature id
+ */
+function extractFeatures(description, language) {
+  const cells = new Map();
+  analyzer.splitSentences(description || '', language).forEach(sentence => {
+    const tokens = analyzer.tokenize(sentence.text);
+    catalog.forEach(feature => {
+      let found = false;
+      let negated = true;
+      feature.synonymTokens.forEach(synonym => {
+        analyzer.findKeyword(tokens, synonym).forEach(pos => {
+          found = true;
+          if (!analyzer.isNegatedAt(tokens, pos, language)) negated = false;
+        });
+      });
+      if (!found) return;
+      const cell = cells.get(feature.id) || { status: 'absent', evidence: [] };
+      // A single positive mention makes the feature present
+      if (!negated) cell.status = 'present';
+      cell.evidence.push({
+        text: sentence.text,
+        sentenceIndex: sentence.index,
+        start: sentence.start,
+        end: sentence.end,
+        negated
+      });
+      cells.set(feature.id, cell);
+    });
+  });
+  return cells;
+}
+
+/**
+ * Build the feature matrix for a set of competitors.
+ *
+ * @param {Array} competitors Array of { name, description } objects
+ * @param {Array} [results] Analysis results aligned with competitors;
+ *        used for competitor names and detected languages
+ * @returns {{ features: Array, competitors: string[], rows: Array }}
+ *          `features` lists `{ id, label, category }` for every feature
+ *          mentioned by any competitor, and `rows` holds one entry per
+ *          competitor: `{ competitor, cells: { [featureId]: { status, evidence } } }`
+ */
+function buildFeatureMatrix(competitors, results = []) {
+  const names = competitors.map((c, idx) =>
+    (results[idx] && results[idx].name) || (c && c.name) || 'Unnamed competitor');
+  const extracted = competitors.map((c, idx) =>
+    extractFeatures(c && c.description, results[idx] && results[idx].language));
+  const mentioned = catalog.filter(feature => extracted.some(cells => cells.has(feature.id)));
+  mentioned.sort((a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category));
+  const rows = extracted.map((cells, idx) => {
+    const row = { competitor: names[idx], cells: {} };
+    mentioned.forEach(feature => {
+      row.cells[feature.id] = cells.get(feature.id) || { status: 'unknown', evidence: [] };
+    });
+    return row;
+  });
+  return {
+    features: mentioned.map(({ id, label, category }) => ({ id, label, category })),
+    competitors: names,
+    rows
+  };
+}
+
+module.exports = {
+  FEATURE_CATALOG,
+  buildFeatureMatrix,
+};
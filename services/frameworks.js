@@ -0,0 +1,221 @@
+/**
+ * Analysis framework registry.
+ *
+ * A framework defines the categories an analysis is organised in, how
+ * items are extracted into them and how they are labelled.  Every
+ * framework has:
+ *
+ *   id          Identifier sent as `framework` in analysis requests
+ *   label       Display name
+ *   field       Property of each result holding the categorised items
+ *               (`swot` for SWOT, so existing clients keep working)
+ *   categories  Ordered `{ key, label }` descriptors
+ *
+ * SWOT is extracted by the analyzer providers (see services/analyzer.js)
+ * and enriched by the pricing and landscape passes.  Rule frameworks
+ * such as Porter's Five Forces and PESTLE give every category a list
+ * of `keywords` instead: each sentence of a description becomes an
+ * item of every category whose keywords it mentions, scored with the
+ * sentiment heuristic.  Categories nothing matches stay empty.
+ */
+const analyzer = require('./analyzer');
+const languages = require('./languages');
+
+const DEFAULT_FRAMEWORK = 'swot';
+
+// Registered frameworks keyed by id
+const frameworks = {
+  swot: {
+    id: 'swot',
+    label: 'SWOT',
+    field: 'swot',
+    categories: [
+      { key: 'strengths', label: 'Strengths' },
+      { key: 'weaknesses', label: 'Weaknesses' },
+      { key: 'opportunities', label: 'Opportunities' },
+      { key: 'threats', label: 'Threats' }
+    ]
+  }
+};
+
+/**
+ * Register a framework, replacing any framework with the same id.
+ * Rule frameworks must give every category a `keywords` list; SWOT is
+ * the only framework extracted by the analyzer providers.
+ *
+ * @param {{ id: string, label: string, field: string, categories: Array }} framework
+ */
+function registerFramework(framework) {
+  if (!framework || typeof framework.id !== 'string' || typeof framework.field !== 'string' ||
+      !Array.isArray(framework.categories) || framework.categories.length === 0) {
+    throw new Error('A framework needs an id, a field and at least one category');
+  }
+  framework.categories.forEach(category => {
+    if (typeof category.key !== 'string' || !Array.isArray(category.keywords)) {
+      throw new Error(`Category ${category.key} of framework ${framework.id} needs keywords`);
+    }
+  });
+  frameworks[framework.id] = {
+    ...framework,
+    categories: framework.categories.map(category => ({
+      ...category,
+      keywordTokens: category.keywords.map(analyzer.tokenize)
+    }))
+  };
+}
+
+/**
+ * Look up a registered framework.
+ *
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function getFramework(id) {
+  return Object.prototype.hasOwnProperty.call(frameworks, id) ? frameworks[id] : undefined;
+}
+
+/**
+ * Public description of a framework, without its extraction rules.
+ *
+ * @param {object} framework
+ * @returns {{ id: string, label: string, field: string, categories: Array<{ key: string, label: string }> }}
+ */
+function describeFramework(framework) {
+  return {
+    id: framework.id,
+    label: framework.label,
+    field: framework.field,
+    categories: framework.categories.map(({ key, label }) => ({ key, label }))
+  };
+}
+
+/**
+ * Describe every registered framework.
+ *
+ * @returns {Array}
+ */
+function listFrameworks() {
+  return Object.values(frameworks).map(describeFramework);
+}
+
+/**
+ * Extract the items of a rule framework from one description.
+ *
+ * @param {object} framework Registered rule framework
+ * @param {string} description
+ * @param {{ language?: string, lexicon?: object }} [options] Language of
+ *        the description and the lexicon used to score items
+ * @returns {object} Items keyed by category, each `{ text, score, evidence }`
+ */
+function extractItems(framework, description, options = {}) {
+  const lexicon = options.lexicon || languages.getLanguagePack(options.language).lexicon;
+  const items = {};
+  framework.categories.forEach(category => {
+    items[category.key] = [];
+  });
+  analyzer.splitSentences(description || '', options.language).forEach(sentence => {
+    const tokens = analyzer.tokenize(sentence.text);
+    framework.categories.forEach(category => {
+      const keywords = category.keywords.filter((keyword, idx) =>
+        analyzer.findKeyword(tokens, category.keywordTokens[idx]).length > 0);
+      if (keywords.length === 0) return;
+      items[category.key].push({
+        text: sentence.text,
+        score: analyzer.scoreSentence(sentence.text, lexicon, options.language),
+        evidence: { keywords, sentenceIndex: sentence.index, start: sentence.start, end: sentence.end }
+      });
+    });
+  });
+  return items;
+}
+
+registerFramework({
+  id: 'porter',
+  label: "Porter's Five Forces",
+  field: 'forces',
+  categories: [
+    {
+      key: 'rivalry',
+      label: 'Competitive rivalry',
+      keywords: ['competitor', 'competitors', 'competition', 'competitive', 'rival', 'rivals', 'crowded',
+        'market share', 'price war', 'saturated', 'incumbent', 'incumbents', 'market leader']
+    },
+    {
+      key: 'newEntrants',
+      label: 'Threat of new entrants',
+      keywords: ['startup', 'startups', 'new entrant', 'new entrants', 'newcomer', 'newcomers', 'barrier to entry',
+        'barriers to entry', 'low barrier', 'open source', 'open-source', 'venture', 'funding', 'raised']
+    },
+    {
+      key: 'substitutes',
+      label: 'Threat of substitutes',
+      keywords: ['alternative', 'alternatives', 'substitute', 'substitutes', 'spreadsheet', 'spreadsheets',
+        'in-house', 'manual', 'diy', 'workaround', 'replace', 'replaces']
+    },
+    {
+      key: 'buyerPower',
+      label: 'Bargaining power of buyers',
+      keywords: ['customer', 'customers', 'buyer', 'buyers', 'switching', 'switch', 'churn', 'discount', 'discounts',
+        'negotiate', 'price-sensitive', 'lock-in', 'contract', 'contracts', 'enterprise']
+    },
+    {
+      key: 'supplierPower',
+      label: 'Bargaining power of suppliers',
+      keywords: ['supplier', 'suppliers', 'vendor', 'vendors', 'provider', 'providers', 'aws', 'azure',
+        'google cloud', 'licensing', 'dependency', 'depends on', 'relies on', 'third-party', 'partner', 'partners']
+    }
+  ]
+});
+
+registerFramework({
+  id: 'pestle',
+  label: 'PESTLE',
+  field: 'pestle',
+  categories: [
+    {
+      key: 'political',
+      label: 'Political',
+      keywords: ['government', 'governments', 'political', 'politics', 'policy', 'policies', 'election', 'tariff',
+        'tariffs', 'sanctions', 'public sector', 'trade war', 'subsidy', 'subsidies']
+    },
+    {
+      key: 'economic',
+      label: 'Economic',
+      keywords: ['price', 'prices', 'pricing', 'cost', 'costs', 'budget', 'budgets', 'inflation', 'recession',
+        'economy', 'economic', 'revenue', 'funding', 'interest rates', 'currency', 'market growth']
+    },
+    {
+      key: 'social',
+      label: 'Social',
+      keywords: ['community', 'communities', 'remote work', 'hybrid work', 'demographic', 'demographics',
+        'culture', 'lifestyle', 'trend', 'trends', 'generation', 'adoption', 'education', 'diversity', 'social']
+    },
+    {
+      key: 'technological',
+      label: 'Technological',
+      keywords: ['ai', 'artificial intelligence', 'machine learning', 'cloud', 'mobile', 'api', 'apis', 'automation',
+        'integration', 'integrations', 'blockchain', 'technology', 'technologies', 'platform', 'real-time']
+    },
+    {
+      key: 'legal',
+      label: 'Legal',
+      keywords: ['gdpr', 'hipaa', 'ccpa', 'soc 2', 'soc2', 'compliance', 'compliant', 'regulation', 'regulations',
+        'regulatory', 'law', 'laws', 'lawsuit', 'patent', 'patents', 'licence', 'license', 'privacy']
+    },
+    {
+      key: 'environmental',
+      label: 'Environmental',
+      keywords: ['environment', 'environmental', 'sustainability', 'sustainable', 'carbon', 'emissions', 'energy',
+        'green', 'climate', 'recycling', 'waste', 'net zero', 'net-zero']
+    }
+  ]
+});
+
+module.exports = {
+  DEFAULT_FRAMEWORK,
+  registerFramework,
+  getFramework,
+  describeFramework,
+  listFrameworks,
+  extractItems,
+};
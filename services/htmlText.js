@@ -0,0 +1,125 @@
+/**
+ * Readable text extraction from HTML pages.
+ *
+ * Competitor websites are mostly navigation, scripts and boilerplate
+ * around a few paragraphs of copy.  The extractor keeps the copy:
+ *
+ *   • scripts, styles, navigation, headers, footers, sidebars, forms
+ *     and other non‑content elements are removed with their contents;
+ *   • when the page has a `<main>` element, or otherwise `<article>`
+ *     elements, only those are read;
+ *   • block elements become line breaks, entities are decoded and
+ *     whitespace is collapsed;
+ *   • lines shorter than MIN_WORDS words (menu entries, buttons,
+ *     copyright notes) and repeated lines are dropped, and lines
+ *     without final punctuation get a full stop so headings and list
+ *     items form sentences of their own for the analyzer.
+ *
+ * The page title and meta description are returned separately; the
+ * meta description is also used as the first paragraph of the text.
+ */
+
+// Elements removed together with their contents
+const REMOVED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object', 'canvas',
+  'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'dialog', 'head'];
+// Elements that start a new line of text
+const BLOCK_ELEMENTS = ['p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'tr', 'td', 'th',
+  'table', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'hr', 'figcaption'];
+// Minimum number of words for a line to count as content
+const MIN_WORDS = 4;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£',
+  yen: '¥', middot: '·', bull: '•', times: '×'
+};
+
+/**
+ * Decode HTML entities.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named === undefined ? entity : named;
+  });
+}
+
+/**
+ * Remove elements, including their contents, until none are left.
+ *
+ * @param {string} html
+ * @param {string[]} tags
+ * @returns {string}
+ */
+function removeElements(html, tags) {
+  const pattern = new RegExp(`<(${tags.join('|')})\\b[^>]*>[\\s\\S]*?</\\1\\s*>`, 'gi');
+  let previous;
+  do {
+    previous = html;
+    html = html.replace(pattern, ' ');
+  } while (html !== previous);
+  // Unclosed or self-closing leftovers
+  return html.replace(new RegExp(`<(${tags.join('|')})\\b[^>]*/?>`, 'gi'), ' ');
+}
+
+/**
+ * Return the content of every element with the given tag.
+ *
+ * @param {string} html
+ * @param {string} tag
+ * @returns {string[]}
+ */
+function contentsOf(html, tag) {
+  const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}\\s*>`, 'gi');
+  return Array.from(html.matchAll(pattern), match => match[1]);
+}
+
+/**
+ * Extract the readable text of an HTML page.
+ *
+ * @param {string} html
+ * @returns {{ title: string, description: string, text: string }}
+ */
+function extractReadableText(html) {
+  const source = String(html || '').replace(/<!--[\s\S]*?-->/g, ' ');
+  const titleMatch = source.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+  const metaTag = (source.match(/<meta\b[^>]*>/gi) || [])
+    .find(tag => /\bname\s*=\s*["']?description["']?/i.test(tag));
+  const contentMatch = metaTag && metaTag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+  const description = contentMatch ? decodeEntities(contentMatch[1] || contentMatch[2] || '').replace(/\s+/g, ' ').trim() : '';
+
+  let body = removeElements(source, REMOVED_ELEMENTS);
+  const main = contentsOf(body, 'main');
+  const articles = main.length > 0 ? [] : contentsOf(body, 'article');
+  if (main.length > 0) body = main.join('\n');
+  else if (articles.length > 0) body = articles.join('\n');
+
+  const text = body
+    .replace(new RegExp(`</?(${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]*>/g, ' ');
+  const seen = new Set();
+  const lines = [];
+  [description].concat(decodeEntities(text).split('\n')).forEach(rawLine => {
+    let line = rawLine.replace(/\s+/g, ' ').trim();
+    if (line.split(' ').length < MIN_WORDS) return;
+    const key = line.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (!/[.!?…:;]["'”’)]*$/.test(line)) line += '.';
+    lines.push(line);
+  });
+  return { title, description, text: lines.join('\n') };
+}
+
+module.exports = {
+  decodeEntities,
+  extractReadableText,
+};
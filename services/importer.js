@@ -0,0 +1,331 @@
+/**
+ * Bulk competitor import from CSV and JSON.
+ *
+ * Imports are parsed while the upload streams in, so files larger than
+ * the 1e6 byte request limit of the JSON endpoints can be imported
+ * without buffering the whole body.  Supported formats:
+ *
+ *   csv   header row plus one competitor per row; `,`, `;` or tab
+ *         separated (detected from the header), RFC 4180 quoting
+ *   json  an array of competitor objects, or newline‑delimited JSON
+ *         (one object per line)
+ *
+ * Columns (CSV) and keys (JSON) are mapped to competitor fields by
+ * name, case‑insensitively, using FIELD_ALIASES; a custom mapping such
+ * as `Company:name,About:description` takes precedence.  Every row is
+ * validated on its own: valid rows become `{ name, description,
+ * website?, category?, notes?, language? }` competitors and invalid
+ * ones are reported as `{ row, error }` without failing the import.
+ * Rows are numbered from 1 in the order they appear; in CSV files the
+ * header is row 1, as in a spreadsheet.
+ */
+const languages = require('./languages');
+
+// Maximum number of rows accepted per import
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 500;
+
+// Column or key names recognised for each competitor field
+const FIELD_ALIASES = {
+  name: ['name', 'competitor', 'company', 'product'],
+  description: ['description', 'desc', 'summary', 'about', 'overview'],
+  website: ['website', 'url', 'homepage', 'site'],
+  category: ['category', 'segment', 'type'],
+  notes: ['notes', 'note', 'comments'],
+  language: ['language', 'lang', 'locale']
+};
+
+/**
+ * Parse a custom mapping of the form `Column:field,Other column:field`.
+ *
+ * @param {string|null} spec
+ * @returns {{ mapping?: Map<string, string>, error?: string }} Lower‑cased
+ *          column names mapped to fields
+ */
+function parseMapping(spec) {
+  const mapping = new Map();
+  if (!spec) return { mapping };
+  for (const pair of spec.split(',')) {
+    const idx = pair.lastIndexOf(':');
+    const column = pair.slice(0, idx).trim().toLowerCase();
+    const field = pair.slice(idx + 1).trim();
+    if (idx === -1 || !column || !Object.prototype.hasOwnProperty.call(FIELD_ALIASES, field)) {
+      return { error: `Invalid mapping: ${pair.trim()}` };
+    }
+    mapping.set(column, field);
+  }
+  return { mapping };
+}
+
+/**
+ * Return the competitor field a column or key maps to.
+ *
+ * @param {string} column
+ * @param {Map<string, string>} mapping Custom mapping
+ * @returns {string|null}
+ */
+function fieldFor(column, mapping) {
+  const key = String(column).trim().toLowerCase();
+  if (mapping.has(key)) return mapping.get(key);
+  const field = Object.keys(FIELD_ALIASES).find(f => FIELD_ALIASES[f].includes(key));
+  return field || null;
+}
+
+/**
+ * Validate one imported record.
+ *
+ * @param {object} record Values keyed by column or key name
+ * @param {Map<string, string>} mapping
+ * @returns {{ competitor?: object, error?: string, empty?: boolean }}
+ */
+function toCompetitor(record, mapping) {
+  const competitor = {};
+  Object.entries(record).forEach(([column, value]) => {
+    const field = fieldFor(column, mapping);
+    if (!field || value === undefined || value === null) return;
+    const text = String(value).trim();
+    if (text) competitor[field] = text;
+  });
+  if (Object.keys(competitor).length === 0) return { empty: true };
+  if (!competitor.name) return { error: 'Missing name' };
+  if (!competitor.description) return { error: 'Missing description' };
+  if (competitor.language && !languages.isSupportedLanguage(competitor.language)) {
+    return { error: `Unsupported language: ${competitor.language}` };
+  }
+  if (competitor.website && !/^https?:\/\/[^\s/]+/i.test(competitor.website)) {
+    return { error: 'Website must be an http(s) URL' };
+  }
+  return { competitor };
+}
+
+/**
+ * Streaming CSV parser.  Calls `onRow` with the fields of every
+ * complete row.
+ *
+ * @param {function(string[]): void} onRow
+ * @returns {{ write: function(string): void, end: function(): void }}
+ */
+function createCsvParser(onRow) {
+  let delimiter = null;
+  let pending = ''; // text held back until the delimiter is known
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let quoteSeen = false; // a quote inside a quoted field, maybe escaped
+  let lastWasCR = false;
+
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    onRow(row);
+    row = [];
+  };
+  const consume = text => {
+    for (const ch of text) {
+      if (lastWasCR) {
+        lastWasCR = false;
+        if (ch === '\n') continue;
+      }
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (ch === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += ch;
+          continue;
+        }
+      }
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        lastWasCR = ch === '\r';
+        endRow();
+      } else {
+        field += ch;
+      }
+    }
+  };
+  // Pick the delimiter that occurs most often in the header line
+  const detect = text => {
+    const header = text.split(/\r?\n/)[0];
+    const counts = [',', ';', '\t'].map(d => [d, header.split(d).length]);
+    delimiter = counts.sort((a, b) => b[1] - a[1])[0][0];
+  };
+  return {
+    write(chunk) {
+      if (delimiter === null) {
+        pending += chunk;
+        if (!/[\r\n]/.test(pending)) return;
+        detect(pending);
+        chunk = pending;
+        pending = '';
+      }
+      consume(chunk);
+    },
+    end() {
+      if (delimiter === null) {
+        detect(pending);
+        consume(pending);
+      }
+      if (quoteSeen) inQuotes = false;
+      if (field !== '' || row.length > 0) endRow();
+    }
+  };
+}
+
+/**
+ * Streaming JSON parser for an array of values or newline‑delimited
+ * JSON.  Calls `onValue` with every parsed element, or with an Error
+ * for an element that is not valid JSON.
+ *
+ * @param {function(any): void} onValue
+ * @returns {{ write: function(string): void, end: function(): string|null }}
+ *          `end` returns an error message for a malformed document
+ */
+function createJsonParser(onValue) {
+  let mode = null; // 'array' or 'lines'
+  let element = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let closed = false;
+
+  const flush = () => {
+    const text = element.trim();
+    element = '';
+    if (!text) return;
+    try {
+      onValue(JSON.parse(text));
+    } catch (err) {
+      onValue(new Error('Invalid JSON'));
+    }
+  };
+  const consume = text => {
+    for (const ch of text) {
+      if (mode === null) {
+        if (/\s/.test(ch)) continue;
+        mode = ch === '[' ? 'array' : 'lines';
+        if (mode === 'array') continue;
+      }
+      if (closed) {
+        if (!/\s/.test(ch)) closed = 'trailing';
+        continue;
+      }
+      if (inString) {
+        element += ch;
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (mode === 'lines' && ch === '\n') {
+        flush();
+        continue;
+      }
+      if (mode === 'array' && depth === 0 && (ch === ',' || ch === ']')) {
+        flush();
+        if (ch === ']') closed = true;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === '{' || ch === '[') depth++;
+      else if (ch === '}' || ch === ']') depth--;
+      element += ch;
+    }
+  };
+  return {
+    write: consume,
+    end() {
+      if (mode === 'lines') {
+        flush();
+        return null;
+      }
+      if (mode === 'array' && closed === true) return null;
+      return mode === null ? 'Empty import' : 'Malformed JSON array';
+    }
+  };
+}
+
+/**
+ * Create an importer for one upload.
+ *
+ * @param {'csv'|'json'} format
+ * @param {{ mapping?: string|null }} [options] Custom column mapping
+ * @returns {{ error?: string, write?: function(string): void,
+ *            end?: function(): { competitors: Array, errors: Array, rows: number } }}
+ *          `rows` counts the non‑empty rows read
+ */
+function createImporter(format, options = {}) {
+  const { mapping, error } = parseMapping(options.mapping);
+  if (error) return { error };
+  const competitors = [];
+  const errors = [];
+  let rows = 0;
+  let limitReported = false;
+  const accept = (record, row) => {
+    const { competitor, error: rowError, empty } = toCompetitor(record, mapping);
+    if (empty) return;
+    rows++;
+    if (rows > MAX_ROWS) {
+      if (!limitReported) errors.push({ row, error: `Row limit of ${MAX_ROWS} exceeded; remaining rows skipped` });
+      limitReported = true;
+      return;
+    }
+    if (rowError) errors.push({ row, error: rowError });
+    else competitors.push(competitor);
+  };
+
+  let parser;
+  if (format === 'csv') {
+    let header = null;
+    let line = 0;
+    parser = createCsvParser(fields => {
+      line++;
+      if (header === null) {
+        header = fields.map(f => f.trim());
+        return;
+      }
+      const record = {};
+      header.forEach((column, idx) => {
+        record[column] = fields[idx];
+      });
+      accept(record, line);
+    });
+  } else if (format === 'json') {
+    let index = 0;
+    parser = createJsonParser(value => {
+      index++;
+      if (value instanceof Error) {
+        errors.push({ row: index, error: value.message });
+      } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ row: index, error: 'Expected an object' });
+      } else {
+        accept(value, index);
+      }
+    });
+  } else {
+    return { error: `Unsupported import format: ${format}` };
+  }
+  return {
+    write: chunk => parser.write(chunk),
+    end() {
+      const documentError = parser.end();
+      if (documentError) errors.push({ row: null, error: documentError });
+      return { competitors, errors, rows };
+    }
+  };
+}
+
+module.exports = {
+  MAX_ROWS,
+  createImporter,
+};
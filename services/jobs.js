@@ -0,0 +1,134 @@
+/**
+ * In‑process background job queue.
+ *
+ * Jobs are plain records owned by the caller, which persists them in
+ * `onUpdate` whenever their state changes; the queue itself only holds
+ * the jobs waiting to run.  A job moves through
+ *
+ *   queued → running → succeeded | failed
+ *
+ * or ends as `cancelled`.  At most `concurrency` jobs run at a time,
+ * the rest wait in the order they were enqueued.  Runners receive an
+ * AbortSignal, which is aborted when a running job is cancelled, and a
+ * `progress(done, total)` callback stored as `job.progress`.  After a
+ * restart, `recover` re‑enqueues the jobs that were still queued or
+ * interrupted while running.
+ */
+
+/**
+ * Whether a job has reached a final state.
+ *
+ * @param {object} job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return job.status === 'succeeded' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+/**
+ * Create a job queue.
+ *
+ * @param {object} options
+ * @param {number} options.concurrency Maximum number of running jobs
+ * @param {function(object, { signal: AbortSignal, progress: function(number, number): void }): Promise<any>} options.run
+ *        Runs a job and resolves to its result; a rejection fails the job
+ * @param {function(object): void} options.onUpdate Called after every
+ *        change of a job's state
+ * @returns {{ enqueue: function(object): void, cancel: function(object): boolean, recover: function(Array): number }}
+ */
+function createJobQueue({ concurrency, run, onUpdate }) {
+  const pending = [];
+  const running = new Map(); // job id → AbortController
+
+  const start = async job => {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = Date.now();
+    onUpdate(job);
+    const progress = (done, total) => {
+      if (controller.signal.aborted) return;
+      job.progress = { done, total };
+      onUpdate(job);
+    };
+    try {
+      const result = await run(job, { signal: controller.signal, progress });
+      if (!controller.signal.aborted) {
+        job.status = 'succeeded';
+        job.result = result === undefined ? null : result;
+      }
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        job.status = 'failed';
+        job.error = err.message;
+      }
+    }
+    running.delete(job.id);
+    job.finishedAt = job.finishedAt || Date.now();
+    onUpdate(job);
+    pump();
+  };
+  const pump = () => {
+    while (running.size < concurrency && pending.length > 0) {
+      start(pending.shift());
+    }
+  };
+
+  return {
+    /**
+     * Queue a new job and start it when a slot is free.
+     *
+     * @param {object} job Record with a unique `id`
+     */
+    enqueue(job) {
+      job.status = 'queued';
+      job.progress = job.progress || null;
+      job.result = null;
+      job.error = null;
+      job.startedAt = null;
+      job.finishedAt = null;
+      onUpdate(job);
+      pending.push(job);
+      pump();
+    },
+    /**
+     * Cancel a queued or running job.  A running job's runner is
+     * aborted and whatever it still produces is discarded.
+     *
+     * @param {object} job
+     * @returns {boolean} False when the job had already finished
+     */
+    cancel(job) {
+      if (isFinished(job)) return false;
+      const idx = pending.indexOf(job);
+      if (idx !== -1) pending.splice(idx, 1);
+      if (running.has(job.id)) running.get(job.id).abort();
+      job.status = 'cancelled';
+      job.finishedAt = Date.now();
+      onUpdate(job);
+      return true;
+    },
+    /**
+     * Re‑enqueue persisted jobs that never finished, oldest first.
+     * Jobs that were running when the process stopped start over.
+     *
+     * @param {Array} jobs Every persisted job
+     * @returns {number} Number of jobs recovered
+     */
+    recover(jobs) {
+      const unfinished = jobs
+        .filter(job => !isFinished(job))
+        .sort((a, b) => a.createdAt - b.createdAt);
+      unfinished.forEach(job => {
+        job.progress = null;
+        this.enqueue(job);
+      });
+      return unfinished.length;
+    }
+  };
+}
+
+module.exports = {
+  isFinished,
+  createJobQueue,
+};
@@ -0,0 +1,178 @@
+/**
+ * Cross‑competitor landscape pass.
+ *
+ * `analyzeDescription` looks at one competitor at a time, so on its own
+ * it can only fill opportunities and threats with templates.  This
+ * module runs a second pass over every competitor in an analysis and
+ * derives them from the landscape instead:
+ *
+ *   • a weakness shared by most competitors becomes a market
+ *     opportunity for everyone;
+ *   • a strength only one rival has becomes a threat to the others;
+ *   • a positive theme from the lexicon that no competitor mentions is
+ *     flagged as whitespace.
+ *
+ * Themes are the lexicon keywords matched (without negation) in the
+ * strengths and weaknesses, mapped to their English theme so that
+ * competitors described in different languages can be compared.
+ * Every generated item records its `kind`, `theme` and the
+ * competitors that drove it in `drivenBy`.
+ */
+const analyzer = require('./analyzer');
+const languages = require('./languages');
+
+// A weakness is "shared by most competitors" when more than this
+// share of them have it
+const MAJORITY_SHARE = 0.5;
+
+/**
+ * Collect the themes of one SWOT category.  Items from the heuristic
+ * are matched again so negated keywords ("not slow") do not count as
+ * a theme; items from other providers are matched the same way.
+ *
+ * @param {Array} items SWOT items (`{ text }` objects or strings)
+ * @param {number} polarity 1 for strengths, -1 for weaknesses
+ * @param {object} lexicon
+ * @param {string} language
+ * @returns {Set<string>}
+ */
+function collectThemes(items, polarity, lexicon, language) {
+  const themes = new Set();
+  (items || []).forEach(item => {
+    if (!item || item.templated) return;
+    const text = typeof item === 'string' ? item : item.text;
+    analyzer.matchSentence(text, lexicon, language).matches
+      .filter(m => m.polarity === polarity && !m.negated)
+      .forEach(m => themes.add(m.theme));
+  });
+  return themes;
+}
+
+/**
+ * Phrase a theme in a language: the first keyword of the language's
+ * pack with that theme, or the theme itself when the pack has none
+ * (e.g. themes of a custom lexicon).
+ *
+ * @param {string} theme
+ * @param {object} pack Language pack
+ * @returns {string}
+ */
+function themeLabel(theme, pack) {
+  const entry = pack.lexicon.positive.concat(pack.lexicon.negative).find(k => k.theme === theme);
+  return entry ? entry.keyword : theme;
+}
+
+/**
+ * Run the cross‑competitor pass.  Replaces the templated opportunities
+ * and threats of each result with landscape items (items produced by
+ * other providers are kept) and returns the analysis‑level landscape.
+ * Results keep their templated items when there is nothing to compare,
+ * e.g. for a single competitor.  Item texts come from the `landscape`
+ * templates of each result's language pack; the analysis‑level items
+ * use `language`.
+ *
+ * @param {Array} results Array of { name, swot, language } objects;
+ *        updated in place
+ * @param {Array} competitors The analysed competitors, aligned with results
+ * @param {object} [lexicon] Custom lexicon used for the analysis; when
+ *        omitted each competitor uses its language's keyword pack
+ * @param {string} [language] Language of the analysis‑level items
+ *        (English when omitted)
+ * @returns {{ opportunities: Array, threats: Array, whitespace: Array }}
+ */
+function applyLandscape(results, competitors, lexicon, language) {
+  const landscape = { opportunities: [], threats: [], whitespace: [] };
+  if (results.length < 2) return landscape;
+  const names = results.map(r => r.name);
+  const lexiconOf = result => lexicon || languages.getLanguagePack(result.language).lexicon;
+  const strengthThemes = results.map(r => collectThemes(r.swot.strengths, 1, lexiconOf(r), r.language));
+  const weaknessThemes = results.map(r => collectThemes(r.swot.weaknesses, -1, lexiconOf(r), r.language));
+
+  // Weaknesses shared by most competitors become market opportunities
+  const weaknessCounts = new Map();
+  weaknessThemes.forEach((themes, idx) => {
+    themes.forEach(theme => {
+      if (!weaknessCounts.has(theme)) weaknessCounts.set(theme, []);
+      weaknessCounts.get(theme).push(names[idx]);
+    });
+  });
+  const gaps = Array.from(weaknessCounts.entries())
+    .filter(([, drivenBy]) => drivenBy.length >= 2 && drivenBy.length / results.length > MAJORITY_SHARE);
+
+  // Strengths only one rival has become threats to the others
+  const strengthOwners = new Map();
+  strengthThemes.forEach((themes, idx) => {
+    themes.forEach(theme => {
+      if (!strengthOwners.has(theme)) strengthOwners.set(theme, []);
+      strengthOwners.get(theme).push(idx);
+    });
+  });
+  const uniqueStrengths = Array.from(strengthOwners.entries())
+    .filter(([, owners]) => owners.length === 1)
+    .map(([theme, owners]) => [theme, owners[0]]);
+
+  // Positive themes nobody mentions at all, in any sentiment, are whitespace
+  const mentioned = new Set();
+  results.forEach((result, idx) => {
+    const description = (competitors[idx] && competitors[idx].description) || '';
+    analyzer.matchSentence(description, lexiconOf(result), result.language).matches
+      .forEach(m => mentioned.add(m.theme));
+  });
+  const whitespace = Array.from(new Set((lexicon || analyzer.defaultLexicon).positive.map(k => k.theme || k.keyword)))
+    .filter(theme => !mentioned.has(theme));
+
+  const opportunitiesIn = pack => gaps.map(([theme, drivenBy]) => ({
+    text: pack.templates.landscape.marketGap(drivenBy.length, results.length, themeLabel(theme, pack)),
+    score: 0,
+    kind: 'market-gap',
+    theme,
+    drivenBy
+  }));
+  const threatsIn = (pack, excludedIndex) => uniqueStrengths
+    .filter(([, ownerIndex]) => ownerIndex !== excludedIndex)
+    .map(([theme, ownerIndex]) => ({
+      text: pack.templates.landscape.uniqueStrength(names[ownerIndex], themeLabel(theme, pack)),
+      score: 0,
+      kind: 'unique-strength',
+      theme,
+      drivenBy: [names[ownerIndex]]
+    }));
+
+  const pack = languages.getLanguagePack(language);
+  landscape.opportunities = opportunitiesIn(pack);
+  landscape.threats = threatsIn(pack, -1);
+  landscape.whitespace = whitespace.map(theme => ({
+    text: pack.templates.landscape.whitespace(themeLabel(theme, pack)),
+    score: 0,
+    kind: 'whitespace',
+    theme,
+    drivenBy: names
+  }));
+
+  results.forEach((result, idx) => {
+    const resultPack = languages.getLanguagePack(result.language);
+    const opportunities = opportunitiesIn(resultPack);
+    if (whitespace.length > 0) {
+      opportunities.push({
+        text: resultPack.templates.landscape.claimWhitespace(result.name, whitespace.map(theme => themeLabel(theme, resultPack))),
+        score: 0,
+        kind: 'whitespace',
+        theme: whitespace.join(', '),
+        drivenBy: names
+      });
+    }
+    const threats = threatsIn(resultPack, idx);
+    if (opportunities.length > 0) {
+      result.swot.opportunities = result.swot.opportunities.filter(item => !item.templated).concat(opportunities);
+    }
+    if (threats.length > 0) {
+      result.swot.threats = result.swot.threats.filter(item => !item.templated).concat(threats);
+    }
+  });
+  return landscape;
+}
+
+module.exports = {
+  collectThemes,
+  applyLandscape,
+};
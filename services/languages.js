@@ -0,0 +1,246 @@
+/**
+ * Language packs for the heuristic analyzer.
+ *
+ * Each pack bundles everything the keyword heuristic needs to handle a
+ * language: the default positive/negative keyword lexicon, negation
+ * words, intensifiers, abbreviations that must not end a sentence,
+ * stopwords used for language detection, the templated sentences
+ * used when nothing can be extracted from a description, and the
+ * sentences describing a competitor's pricing position and its place
+ * in the cross‑competitor landscape.
+ *
+ * Keywords carry a `theme`, the English keyword they correspond to,
+ * so the cross‑competitor pass can compare "schnell", "rápido" and
+ * "fast" as the same theme.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Build a lexicon from keyword lists.  Each list entry is either a
+ * keyword (its own theme) or a `[keyword, theme]` pair.
+ *
+ * @param {Array} positive
+ * @param {Array} negative
+ * @returns {{ positive: Array, negative: Array }}
+ */
+function buildLexicon(positive, negative) {
+  const toEntry = entry => {
+    const [keyword, theme] = Array.isArray(entry) ? entry : [entry, entry];
+    return { keyword, weight: 1, theme };
+  };
+  return { positive: positive.map(toEntry), negative: negative.map(toEntry) };
+}
+
+const packs = {
+  en: {
+    code: 'en',
+    name: 'English',
+    lexicon: buildLexicon(
+      ['fast', 'easy', 'popular', 'affordable', 'flexible', 'scalable', 'intuitive', 'efficient', 'user‑friendly'],
+      ['expensive', 'slow', 'bug', 'bugs', 'complicated', 'complex', 'limited', 'difficult', 'unreliable']
+    ),
+    // Contractions ending in "n't" also negate (see isNegation)
+    negations: ['not', 'no', 'never', 'none', 'nor', 'neither', 'without', 'hardly', 'barely', 'cannot', 'lacks', 'lacking'],
+    intensifiers: {
+      very: 1.5,
+      really: 1.5,
+      highly: 1.5,
+      super: 1.5,
+      so: 1.3,
+      too: 1.3,
+      extremely: 2,
+      incredibly: 2,
+      exceptionally: 2,
+      fairly: 0.7,
+      somewhat: 0.5,
+      slightly: 0.5
+    },
+    abbreviations: ['e.g', 'i.e', 'etc', 'inc', 'ltd', 'corp', 'vs', 'approx', 'mr', 'mrs', 'dr'],
+    stopwords: ['the', 'and', 'is', 'are', 'of', 'to', 'with', 'for', 'it', 'its', 'that', 'this', 'but', 'has', 'have', 'a', 'an', 'in', 'on'],
+    templates: {
+      strength: name => `${name} is positioned to deliver value to its users with proper execution.`,
+      weakness: name => `${name} may face challenges around cost, speed or complexity that need to be addressed.`,
+      opportunities: [
+        name => `There is room for ${name} to expand into adjacent markets or add complementary features.`,
+        name => `Leveraging new technologies such as AI could open up differentiation for ${name}.`
+      ],
+      threats: [
+        name => `Competitors with more resources could outpace ${name} in product development.`,
+        name => `Regulatory or market changes could impact ${name}'s growth prospects.`
+      ],
+      pricing: {
+        cheapest: (name, price) => `${name} has the lowest entry price among the competitors (${price} per seat per month).`,
+        premium: (name, price) => `${name} is the most expensive option among the competitors (${price} per seat per month).`,
+        freeTier: (name, seats) => `${name} offers a free tier${seats ? ` for up to ${seats} seats` : ''}.`
+      },
+      landscape: {
+        marketGap: (count, total, theme) => `${count} of ${total} competitors share the weakness "${theme}" – addressing it is a market opportunity.`,
+        uniqueStrength: (name, theme) => `${name} is the only competitor with the strength "${theme}".`,
+        whitespace: theme => `No competitor mentions "${theme}" – whitespace in the market.`,
+        claimWhitespace: (name, themes) => `No competitor emphasises ${themes.map(t => `"${t}"`).join(', ')} – ${name} could claim this whitespace.`
+      }
+    }
+  },
+  de: {
+    code: 'de',
+    name: 'German',
+    lexicon: buildLexicon(
+      [['schnell', 'fast'], ['einfach', 'easy'], ['beliebt', 'popular'], ['günstig', 'affordable'],
+        ['preiswert', 'affordable'], ['flexibel', 'flexible'], ['skalierbar', 'scalable'], ['intuitiv', 'intuitive'],
+        ['effizient', 'efficient'], ['benutzerfreundlich', 'user‑friendly']],
+      [['teuer', 'expensive'], ['langsam', 'slow'], ['fehler', 'bugs'], ['fehlerhaft', 'bugs'],
+        ['kompliziert', 'complicated'], ['komplex', 'complex'], ['begrenzt', 'limited'],
+        ['eingeschränkt', 'limited'], ['schwierig', 'difficult'], ['unzuverlässig', 'unreliable']]
+    ),
+    negations: ['nicht', 'kein', 'keine', 'keinen', 'keiner', 'nie', 'niemals', 'ohne', 'kaum'],
+    intensifiers: {
+      sehr: 1.5,
+      wirklich: 1.5,
+      hoch: 1.5,
+      so: 1.3,
+      zu: 1.3,
+      extrem: 2,
+      äußerst: 2,
+      unglaublich: 2,
+      ziemlich: 0.7,
+      etwas: 0.5
+    },
+    abbreviations: ['z.b', 'z. b', 'd.h', 'd. h', 'u.a', 'bzw', 'usw', 'ca', 'inkl', 'ggf', 'evtl', 'nr', 'vgl', 'gmbh'],
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'sind', 'nicht', 'mit', 'für', 'ein', 'eine', 'auch', 'sehr', 'zu', 'von', 'den', 'dem', 'aber', 'es', 'sich'],
+    templates: {
+      strength: name => `${name} ist in der Lage, seinen Nutzern bei guter Umsetzung einen Mehrwert zu bieten.`,
+      weakness: name => `${name} könnte bei Kosten, Geschwindigkeit oder Komplexität auf Herausforderungen stoßen, die angegangen werden müssen.`,
+      opportunities: [
+        name => `${name} hat Spielraum, in angrenzende Märkte zu expandieren oder ergänzende Funktionen anzubieten.`,
+        name => `Neue Technologien wie KI könnten ${name} Möglichkeiten zur Differenzierung eröffnen.`
+      ],
+      threats: [
+        name => `Wettbewerber mit mehr Ressourcen könnten ${name} in der Produktentwicklung überholen.`,
+        name => `Regulatorische oder Marktveränderungen könnten das Wachstum von ${name} beeinträchtigen.`
+      ],
+      pricing: {
+        cheapest: (name, price) => `${name} hat den niedrigsten Einstiegspreis unter den Wettbewerbern (${price} pro Nutzer und Monat).`,
+        premium: (name, price) => `${name} ist die teuerste Option unter den Wettbewerbern (${price} pro Nutzer und Monat).`,
+        freeTier: (name, seats) => `${name} bietet einen kostenlosen Tarif${seats ? ` für bis zu ${seats} Nutzer` : ''}.`
+      },
+      landscape: {
+        marketGap: (count, total, theme) => `${count} von ${total} Wettbewerbern teilen die Schwäche „${theme}“ – sie zu beheben ist eine Marktchance.`,
+        uniqueStrength: (name, theme) => `${name} ist der einzige Wettbewerber mit der Stärke „${theme}“.`,
+        whitespace: theme => `Kein Wettbewerber erwähnt „${theme}“ – eine Lücke im Markt.`,
+        claimWhitespace: (name, themes) => `Kein Wettbewerber betont ${themes.map(t => `„${t}“`).join(', ')} – ${name} könnte diese Lücke besetzen.`
+      }
+    }
+  },
+  es: {
+    code: 'es',
+    name: 'Spanish',
+    lexicon: buildLexicon(
+      [['rápido', 'fast'], ['rápida', 'fast'], ['fácil', 'easy'], ['popular', 'popular'], ['asequible', 'affordable'],
+        ['económico', 'affordable'], ['flexible', 'flexible'], ['escalable', 'scalable'], ['intuitivo', 'intuitive'],
+        ['intuitiva', 'intuitive'], ['eficiente', 'efficient'], ['fácil de usar', 'user‑friendly']],
+      [['caro', 'expensive'], ['cara', 'expensive'], ['lento', 'slow'], ['lenta', 'slow'], ['error', 'bugs'],
+        ['errores', 'bugs'], ['complicado', 'complicated'], ['complicada', 'complicated'], ['complejo', 'complex'],
+        ['compleja', 'complex'], ['limitado', 'limited'], ['limitada', 'limited'], ['difícil', 'difficult'],
+        ['poco fiable', 'unreliable']]
+    ),
+    negations: ['no', 'nunca', 'jamás', 'sin', 'ni', 'tampoco', 'apenas'],
+    intensifiers: {
+      muy: 1.5,
+      realmente: 1.5,
+      altamente: 1.5,
+      tan: 1.3,
+      demasiado: 1.3,
+      extremadamente: 2,
+      increíblemente: 2,
+      bastante: 0.7,
+      algo: 0.5,
+      ligeramente: 0.5
+    },
+    abbreviations: ['p.ej', 'p. ej', 'ej', 'etc', 'aprox', 'sr', 'sra', 'dr', 'núm', 'pág', 'ud', 'uds'],
+    stopwords: ['el', 'la', 'los', 'las', 'y', 'es', 'son', 'de', 'del', 'con', 'para', 'un', 'una', 'muy', 'pero', 'que', 'por', 'su', 'se', 'al'],
+    templates: {
+      strength: name => `${name} está en condiciones de aportar valor a sus usuarios con una buena ejecución.`,
+      weakness: name => `${name} podría enfrentar desafíos de costo, velocidad o complejidad que deben abordarse.`,
+      opportunities: [
+        name => `${name} tiene margen para expandirse a mercados adyacentes o añadir funciones complementarias.`,
+        name => `Aprovechar nuevas tecnologías como la IA podría abrir oportunidades de diferenciación para ${name}.`
+      ],
+      threats: [
+        name => `Competidores con más recursos podrían superar a ${name} en el desarrollo de productos.`,
+        name => `Cambios regulatorios o del mercado podrían afectar las perspectivas de crecimiento de ${name}.`
+      ],
+      pricing: {
+        cheapest: (name, price) => `${name} tiene el precio de entrada más bajo entre los competidores (${price} por usuario al mes).`,
+        premium: (name, price) => `${name} es la opción más cara entre los competidores (${price} por usuario al mes).`,
+        freeTier: (name, seats) => `${name} ofrece un plan gratuito${seats ? ` para hasta ${seats} usuarios` : ''}.`
+      },
+      landscape: {
+        marketGap: (count, total, theme) => `${count} de ${total} competidores comparten la debilidad «${theme}»: resolverla es una oportunidad de mercado.`,
+        uniqueStrength: (name, theme) => `${name} es el único competidor con la fortaleza «${theme}».`,
+        whitespace: theme => `Ningún competidor menciona «${theme}»: un espacio libre en el mercado.`,
+        claimWhitespace: (name, themes) => `Ningún competidor destaca ${themes.map(t => `«${t}»`).join(', ')}: ${name} podría ocupar este espacio libre.`
+      }
+    }
+  }
+};
+
+/**
+ * Check whether a language code has a pack.
+ *
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isSupportedLanguage(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(packs, code);
+}
+
+/**
+ * Return the pack for a language code, falling back to English for
+ * unknown codes.
+ *
+ * @param {string} code
+ * @returns {object}
+ */
+function getLanguagePack(code) {
+  return isSupportedLanguage(code) ? packs[code] : packs[DEFAULT_LANGUAGE];
+}
+
+/**
+ * List the supported language codes.
+ *
+ * @returns {string[]}
+ */
+function listLanguages() {
+  return Object.keys(packs);
+}
+
+/**
+ * Guess the language of a text by counting stopwords from each pack.
+ * The pack with the most hits wins; ties and texts without any
+ * stopwords are treated as English.
+ *
+ * @param {string} text
+ * @returns {string} Language code
+ */
+function detectLanguage(text) {
+  const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  let best = DEFAULT_LANGUAGE;
+  let bestHits = 0;
+  Object.values(packs).forEach(pack => {
+    const hits = words.filter(w => pack.stopwords.includes(w)).length;
+    if (hits > bestHits) {
+      best = pack.code;
+      bestHits = hits;
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  getLanguagePack,
+  listLanguages,
+  detectLanguage,
+};
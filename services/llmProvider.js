@@ -0,0 +1,115 @@
+/**
+ * LLM over HTTP analyzer provider.
+ *
+ * Sends each competitor description to an OpenAI‑compatible chat
+ * completion endpoint (OpenAI, Ollama's `/v1/chat/completions`, vLLM,
+ * LM Studio and similar servers) and asks for a SWOT object as JSON.
+ * The endpoint is configured through environment variables:
+ *
+ *   ANALYZER_LLM_URL      Full URL of the completion endpoint, e.g.
+ *                         http://localhost:11434/v1/chat/completions
+ *   ANALYZER_LLM_MODEL    Model name sent with every request
+ *   ANALYZER_LLM_API_KEY  Optional bearer token
+ *
+ * Native Ollama `/api/chat` and `/api/generate` responses are accepted
+ * as well.  When the endpoint is not configured, fails or returns
+ * something that is not a SWOT object, the analyzer falls back to the
+ * keyword heuristic (see services/analyzer.js).
+ */
+const languages = require('./languages');
+
+/**
+ * Build the prompt asking the model for a SWOT analysis.
+ *
+ * @param {string} description
+ * @param {string} name
+ * @param {string} [language] Language code the items should be written in
+ * @returns {string}
+ */
+function buildPrompt(description, name, language) {
+  return `Produce a SWOT analysis of the competitor "${name}" based only on the description below.\n` +
+    'Answer with a single JSON object with the keys "strengths", "weaknesses", "opportunities" and "threats", ' +
+    `each an array of short sentences written in ${languages.getLanguagePack(language).name}.  ` +
+    'Do not add any other text.\n\n' +
+    `Description:\n${description}`;
+}
+
+/**
+ * Extract the generated text from an OpenAI or Ollama response body.
+ *
+ * @param {object} data Parsed JSON response
+ * @returns {string}
+ */
+function extractContent(data) {
+  if (data && Array.isArray(data.choices) && data.choices.length > 0) {
+    const choice = data.choices[0];
+    if (choice.message && typeof choice.message.content === 'string') return choice.message.content;
+    if (typeof choice.text === 'string') return choice.text;
+  }
+  if (data && data.message && typeof data.message.content === 'string') return data.message.content;
+  if (data && typeof data.response === 'string') return data.response;
+  throw new Error('Unrecognised completion response');
+}
+
+/**
+ * Parse the SWOT JSON object out of the model output.  Models often
+ * wrap JSON in prose or code fences, so the outermost braces are used.
+ *
+ * @param {string} content
+ * @returns {object}
+ */
+function parseSwot(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Completion did not contain a JSON object');
+  }
+  const parsed = JSON.parse(content.slice(start, end + 1));
+  const swot = {};
+  ['strengths', 'weaknesses', 'opportunities', 'threats'].forEach(key => {
+    swot[key] = Array.isArray(parsed[key])
+      ? parsed[key].filter(entry => typeof entry === 'string' && entry.trim()).map(entry => entry.trim())
+      : [];
+  });
+  return swot;
+}
+
+const llmProvider = {
+  name: 'llm',
+
+  /**
+   * Request a SWOT analysis from the configured completion endpoint.
+   *
+   * @param {string} description
+   * @param {string} name
+   * @param {{ signal?: AbortSignal, language?: string }} options
+   * @returns {Promise<object>}
+   */
+  async analyze(description, name, options = {}) {
+    const url = process.env.ANALYZER_LLM_URL;
+    if (!url) {
+      throw new Error('ANALYZER_LLM_URL is not configured');
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.ANALYZER_LLM_API_KEY) {
+      headers['Authorization'] = `Bearer ${process.env.ANALYZER_LLM_API_KEY}`;
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      signal: options.signal,
+      body: JSON.stringify({
+        model: process.env.ANALYZER_LLM_MODEL || 'llama3',
+        messages: [{ role: 'user', content: buildPrompt(description, name, options.language) }],
+        temperature: 0,
+        stream: false
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Completion endpoint responded with ${response.status}`);
+    }
+    return parseSwot(extractContent(await response.json()));
+  }
+};
+
+module.exports = llmProvider;
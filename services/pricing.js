@@ -0,0 +1,448 @@
+/**
+ * Pricing extraction and normalized price comparison.
+ *
+ * Finds price points in competitor descriptions ("$29/user/month",
+ * "€300 per year", "49 EUR pro Monat"), together with their currency,
+ * billing period and whether they are charged per seat or as a flat
+ * fee, plus free tiers ("free tier up to 5 seats").  Every price point
+ * is normalized to a monthly per‑seat figure in one target currency:
+ *
+ *   • yearly, quarterly, weekly and daily prices are converted to a
+ *     month; prices without a period are assumed to be monthly;
+ *   • flat prices are divided by an assumed team size, and marked
+ *     with `seatsAssumed`;
+ *   • currencies are converted with a static rate table.
+ *
+ * Configuration comes from environment variables:
+ *
+ *   PRICING_CURRENCY     Default target currency (default USD)
+ *   PRICING_RATES_FILE   JSON file mapping currency codes to their value
+ *                        in USD, merged over the built‑in table
+ *   PRICING_FLAT_SEATS   Team size used for flat prices (default 10)
+ *
+ * Once every competitor has a `pricing` block, the cheapest and most
+ * expensive competitors (and free tiers not everyone offers) are added
+ * to the strengths and weaknesses.  Only real per‑seat prices are
+ * ranked: a flat price divided by an assumed team size says nothing
+ * about what a team of another size pays.
+ */
+const fs = require('fs');
+const analyzer = require('./analyzer');
+const languages = require('./languages');
+
+const DEFAULT_CURRENCY = process.env.PRICING_CURRENCY || 'USD';
+const FLAT_SEATS = Number(process.env.PRICING_FLAT_SEATS) > 0 ? Number(process.env.PRICING_FLAT_SEATS) : 10;
+
+// Value of one unit of each currency in USD
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CHF: 1.12,
+  CAD: 0.73,
+  AUD: 0.66,
+  JPY: 0.0067,
+  INR: 0.012
+};
+
+/**
+ * Load the rate table, merging PRICING_RATES_FILE over the defaults.
+ * An unreadable file is ignored so a typo does not stop the server.
+ *
+ * @returns {object}
+ */
+function loadRates() {
+  const rates = { ...DEFAULT_RATES };
+  const file = process.env.PRICING_RATES_FILE;
+  if (!file) return rates;
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(custom).forEach(([code, rate]) => {
+      if (typeof rate === 'number' && rate > 0) rates[code.toUpperCase()] = rate;
+    });
+  } catch (err) {
+    console.warn(`Could not load pricing rates from ${file}: ${err.message}`);
+  }
+  return rates;
+}
+
+const rates = loadRates();
+
+// Currency symbols and words, longest first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [['US$', 'USD'], ['C$', 'CAD'], ['A$', 'AUD'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR']];
+const CURRENCY_WORDS = {
+  dollar: 'USD', dollars: 'USD', dólar: 'USD', dólares: 'USD',
+  euro: 'EUR', euros: 'EUR',
+  pound: 'GBP', pounds: 'GBP',
+  franken: 'CHF', rupees: 'INR'
+};
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => escapeRegExp(symbol)).join('|');
+const CODE_PATTERN = Object.keys(DEFAULT_RATES).join('|');
+const WORD_PATTERN = Object.keys(CURRENCY_WORDS).join('|');
+// Thousands groups must be exactly three digits, decimals one or two
+const AMOUNT_PATTERN = '\\d+(?:[.,]\\d{3})*(?:[.,]\\d{1,2})?(?!\\d)';
+
+// "$29", "US$ 29", "EUR 300"
+const PREFIX_PRICE = new RegExp(`(${SYMBOL_PATTERN}|\\b(?:${CODE_PATTERN})\\b)\\s?(${AMOUNT_PATTERN})`, 'gi');
+// "29 €", "300 EUR", "49 euros"
+const SUFFIX_PRICE = new RegExp(`\\b(${AMOUNT_PATTERN})\\s?(${SYMBOL_PATTERN}|(?:${CODE_PATTERN}|${WORD_PATTERN})(?![\\p{L}]))`, 'giu');
+
+// Words introducing a unit, in every supported language
+const PER = '(?:\\/\\s*|\\b(?:per|a|an|each|every|pro|je|im|al|por|cada|und|y)\\s+)';
+// Billing periods with the number of periods in a month
+const PERIODS = [
+  { period: 'month', perMonth: 1, pattern: new RegExp(`${PER}(?:month|mo|monat|mes)\\b|\\b(?:monthly|monatlich|mensual|mensuales)\\b`, 'i') },
+  { period: 'year', perMonth: 1 / 12, pattern: new RegExp(`${PER}(?:year|yr|annum|jahr|año|ano)(?![\\p{L}])|\\b(?:annually|annual|yearly|jährlich|anual|anualmente)\\b`, 'iu') },
+  { period: 'quarter', perMonth: 1 / 3, pattern: new RegExp(`${PER}(?:quarter|quartal|trimestre)\\b|\\b(?:quarterly|vierteljährlich|trimestral)\\b`, 'i') },
+  { period: 'week', perMonth: 52 / 12, pattern: new RegExp(`${PER}(?:week|wk|woche|semana)\\b|\\b(?:weekly|wöchentlich|semanal)\\b`, 'i') },
+  { period: 'day', perMonth: 365 / 12, pattern: new RegExp(`${PER}(?:day|tag|día|dia)(?![\\p{L}])|\\b(?:daily|täglich|diario)\\b`, 'iu') },
+  { period: 'one-time', perMonth: null, pattern: /\b(?:one[- ]time|lifetime|once|einmalig)\b|pago único/i }
+];
+const PER_SEAT = new RegExp(`${PER}(?:user|seat|member|agent|licen[cs]e|nutzer|benutzer|lizenz|usuario|licencia|asiento)s?\\b|\\bper[- ](?:user|seat)\\b|\\bseat-based\\b`, 'i');
+const FLAT = /\b(?:flat(?:[- ]rate| fee)?|unlimited users|pauschal|tarifa plana)\b/i;
+
+// Free tiers ("free plan", "kostenloser Tarif", "plan gratuito"); free
+// trials do not count
+const FREE_TIER = /\b(?:free (?:tier|plan|version|edition|forever)|freemium|forever free|free for (?:up to|small|individuals|teams)|kostenlose[nrs]? (?:tarif|plan|version)|gratis-(?:tarif|plan)|plan gratuito|versión gratuita|nivel gratuito)/i;
+const SEAT_LIMIT = /\b(?:up to|bis zu|hasta)\s+(\d+)\s+(?:users|seats|members|nutzer|benutzer|plätze|usuarios|personas|asientos)/i;
+
+// How far after an amount its period and seat qualifiers may appear
+const QUALIFIER_WINDOW = 40;
+
+/**
+ * Parse a matched amount.  A separator followed by exactly three
+ * digits groups thousands ("1,200", "1.200"); otherwise it is the
+ * decimal separator ("29.99", "29,99").
+ *
+ * @param {string} raw
+ * @returns {number}
+ */
+function parseAmount(raw) {
+  const parts = raw.split(/[.,]/);
+  if (parts.length === 1) return Number(raw);
+  const last = parts[parts.length - 1];
+  if (last.length === 3) return Number(parts.join(''));
+  return Number(`${parts.slice(0, -1).join('')}.${last}`);
+}
+
+/**
+ * Map a currency symbol, ISO code or word to an ISO code.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function currencyOf(token) {
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => s === token);
+  if (symbol) return symbol[1];
+  const lower = token.toLowerCase();
+  return CURRENCY_WORDS[lower] || token.toUpperCase();
+}
+
+/**
+ * Check whether a currency code is in the rate table.
+ *
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isSupportedCurrency(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(rates, code.toUpperCase());
+}
+
+/**
+ * List the currency codes in the rate table.
+ *
+ * @returns {string[]}
+ */
+function listCurrencies() {
+  return Object.keys(rates);
+}
+
+/**
+ * Convert an amount between currencies using the rate table.
+ *
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function convert(amount, from, to) {
+  return amount * rates[from] / rates[to];
+}
+
+/**
+ * Find every amount with a currency in a description, in text order.
+ * Prefix and suffix notations may overlap ("$29 USD"); the first match
+ * wins.
+ *
+ * @param {string} description
+ * @returns {Array<{ amount: number, currency: string, start: number, end: number }>}
+ */
+function findAmounts(description) {
+  const found = [];
+  [[PREFIX_PRICE, 1, 2], [SUFFIX_PRICE, 2, 1]].forEach(([pattern, currencyGroup, amountGroup]) => {
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(description)) !== null) {
+      found.push({
+        amount: parseAmount(m[amountGroup]),
+        currency: currencyOf(m[currencyGroup]),
+        start: m.index,
+        end: m.index + m[0].length
+      });
+    }
+  });
+  found.sort((a, b) => a.start - b.start);
+  return found.reduce((kept, amount) => {
+    const previous = kept[kept.length - 1];
+    if (!previous || amount.start >= previous.end) kept.push(amount);
+    return kept;
+  }, []);
+}
+
+/**
+ * Return the sentence containing a character offset.
+ *
+ * @param {Array} sentences Output of analyzer.splitSentences
+ * @param {number} offset
+ * @returns {object|undefined}
+ */
+function sentenceAt(sentences, offset) {
+  return sentences.find(s => offset >= s.start && offset < s.end);
+}
+
+/**
+ * Extract the pricing of one description.
+ *
+ * @param {string} description
+ * @param {{ language?: string, currency?: string }} [options]
+ * @returns {{ currency: string, pricePoints: Array, freeTier: object|null,
+ *             monthlyPerSeat: { min: number, max: number, seatsAssumed?: number }|null,
+ *             position: null }} `monthlyPerSeat.seatsAssumed` is set when
+ *          the lowest figure comes from a flat price
+ */
+function extractPricing(description, options = {}) {
+  const text = description || '';
+  const target = (options.currency || DEFAULT_CURRENCY).toUpperCase();
+  const sentences = analyzer.splitSentences(text, options.language);
+  const amounts = findAmounts(text);
+  const pricePoints = [];
+  let freeTier = null;
+
+  amounts.forEach((found, idx) => {
+    const sentence = sentenceAt(sentences, found.start);
+    // Qualifiers stop at the next price, the end of the sentence or a clause break
+    const limit = Math.min(
+      found.end + QUALIFIER_WINDOW,
+      idx + 1 < amounts.length ? amounts[idx + 1].start : Infinity,
+      sentence ? sentence.end : text.length
+    );
+    let window = text.slice(found.end, limit);
+    const clauseBreak = window.search(/[,;!?]|\.\s/);
+    if (clauseBreak !== -1) window = window.slice(0, clauseBreak);
+
+    let qualifierEnd = 0;
+    let billing = null;
+    PERIODS.forEach(candidate => {
+      const m = candidate.pattern.exec(window);
+      if (m && (!billing || m.index < billing.index)) billing = { ...candidate, index: m.index, end: m.index + m[0].length };
+    });
+    if (billing) qualifierEnd = billing.end;
+    const seat = PER_SEAT.exec(window);
+    if (seat) qualifierEnd = Math.max(qualifierEnd, seat.index + seat[0].length);
+
+    if (found.amount === 0) {
+      // "$0/month" is a free tier rather than a price point
+      if (!freeTier && sentence) freeTier = { seatLimit: null, text: sentence.text, sentenceIndex: sentence.index, start: sentence.start, end: sentence.end };
+      return;
+    }
+    const perSeat = Boolean(seat) && !FLAT.test(window);
+    const period = billing ? billing.period : 'month';
+    const perMonth = billing ? billing.perMonth : 1;
+    let monthlyPerSeat = null;
+    if (perMonth !== null && isSupportedCurrency(found.currency) && isSupportedCurrency(target)) {
+      const monthly = convert(found.amount, found.currency, target) * perMonth;
+      monthlyPerSeat = Math.round((perSeat ? monthly : monthly / FLAT_SEATS) * 100) / 100;
+    }
+    const point = {
+      text: text.slice(found.start, found.end + qualifierEnd).trim(),
+      amount: found.amount,
+      currency: found.currency,
+      period,
+      model: perSeat ? 'per-seat' : 'flat',
+      monthlyPerSeat,
+      sentenceIndex: sentence ? sentence.index : null,
+      start: found.start,
+      end: found.end + qualifierEnd
+    };
+    if (!billing) point.periodAssumed = true;
+    if (!perSeat) point.seatsAssumed = FLAT_SEATS;
+    pricePoints.push(point);
+  });
+
+  if (!freeTier) {
+    sentences.some(sentence => {
+      const m = FREE_TIER.exec(sentence.text);
+      if (!m) return false;
+      const tokens = analyzer.tokenize(sentence.text);
+      const position = analyzer.tokenize(sentence.text.slice(0, m.index)).length;
+      if (analyzer.isNegatedAt(tokens, position, options.language)) return false;
+      const limit = SEAT_LIMIT.exec(sentence.text);
+      freeTier = {
+        seatLimit: limit ? Number(limit[1]) : null,
+        text: sentence.text,
+        sentenceIndex: sentence.index,
+        start: sentence.start,
+        end: sentence.end
+      };
+      return true;
+    });
+  }
+
+  const figures = pricePoints.map(p => p.monthlyPerSeat).filter(v => v !== null);
+  let monthlyPerSeat = null;
+  if (figures.length > 0) {
+    monthlyPerSeat = { min: Math.min(...figures), max: Math.max(...figures) };
+    // Prefer a real per-seat price when a flat one normalizes to the same figure
+    const cheapest = pricePoints.filter(p => p.monthlyPerSeat === monthlyPerSeat.min)
+      .sort((a, b) => (a.seatsAssumed ? 1 : 0) - (b.seatsAssumed ? 1 : 0))[0];
+    if (cheapest.seatsAssumed) monthlyPerSeat.seatsAssumed = cheapest.seatsAssumed;
+  }
+  return {
+    currency: target,
+    pricePoints,
+    freeTier,
+    monthlyPerSeat,
+    position: null
+  };
+}
+
+/**
+ * Return the lowest real per‑seat monthly price of a pricing block,
+ * ignoring flat prices divided by an assumed team size.
+ *
+ * @param {object} [pricing] Output of extractPricing
+ * @returns {number|null}
+ */
+function seatEntryPrice(pricing) {
+  const figures = ((pricing && pricing.pricePoints) || [])
+    .filter(p => !p.seatsAssumed && p.monthlyPerSeat !== null)
+    .map(p => p.monthlyPerSeat);
+  return figures.length > 0 ? Math.min(...figures) : null;
+}
+
+/**
+ * Format a normalized price for an item text.
+ *
+ * @param {number} amount
+ * @param {string} currency
+ * @param {string} language
+ * @returns {string}
+ */
+function formatPrice(amount, currency, language) {
+  try {
+    return new Intl.NumberFormat(language, { style: 'currency', currency }).format(amount);
+  } catch (err) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Build a pricing item pointing at the price point or free tier that
+ * produced it.
+ *
+ * @param {string} text
+ * @param {number} score
+ * @param {object} source Price point or free tier
+ * @returns {object}
+ */
+function pricingItem(text, score, source) {
+  return {
+    text,
+    score,
+    kind: 'pricing',
+    evidence: { keywords: [], sentenceIndex: source.sentenceIndex, start: source.start, end: source.end }
+  };
+}
+
+/**
+ * Add an item to a SWOT category, dropping the templated placeholder
+ * it replaces, and keep the category ordered by score like the
+ * analyzer does (strongest strengths and weakest weaknesses first).
+ * Results of other frameworks have no SWOT and only keep the pricing
+ * block.
+ *
+ * @param {object} [swot]
+ * @param {string} category
+ * @param {object} item
+ */
+function addItem(swot, category, item) {
+  if (!swot) return;
+  const items = swot[category].filter(existing => !existing.templated).concat(item);
+  items.sort(category === 'weaknesses' ? (a, b) => a.score - b.score : (a, b) => b.score - a.score);
+  swot[category] = items;
+}
+
+/**
+ * Extract pricing for every competitor, attach it to the results as
+ * `pricing` and rank their per‑seat entry prices (see seatEntryPrice).
+ * With at least two competitors priced per seat the cheapest becomes a
+ * strength and the most expensive (`premium`) a weakness; competitors
+ * with flat prices only are left without a `position`.  A free tier is
+ * a strength when not every competitor offers one.
+ *
+ * @param {Array} results Array of { name, swot, language } objects;
+ *        updated in place
+ * @param {Array} competitors The analysed competitors, aligned with results
+ * @param {{ currency?: string }} [options]
+ */
+function applyPricing(results, competitors, options = {}) {
+  results.forEach((result, idx) => {
+    const description = (competitors[idx] && competitors[idx].description) || '';
+    result.pricing = extractPricing(description, { language: result.language, currency: options.currency });
+  });
+  if (results.length < 2) return;
+
+  const entryPrice = result => seatEntryPrice(result.pricing);
+  const priced = results.filter(result => entryPrice(result) > 0);
+  if (priced.length >= 2) {
+    const lowest = Math.min(...priced.map(entryPrice));
+    const highest = Math.max(...priced.map(entryPrice));
+    priced.forEach(result => {
+      const price = entryPrice(result);
+      const templates = languages.getLanguagePack(result.language).templates.pricing;
+      const source = result.pricing.pricePoints.find(p => !p.seatsAssumed && p.monthlyPerSeat === price);
+      const formatted = formatPrice(price, result.pricing.currency, result.language);
+      if (lowest === highest) {
+        result.pricing.position = 'mid';
+      } else if (price === lowest) {
+        result.pricing.position = 'cheapest';
+        addItem(result.swot, 'strengths', pricingItem(templates.cheapest(result.name, formatted), 1, source));
+      } else if (price === highest) {
+        result.pricing.position = 'premium';
+        addItem(result.swot, 'weaknesses', pricingItem(templates.premium(result.name, formatted), -1, source));
+      } else {
+        result.pricing.position = 'mid';
+      }
+    });
+  }
+
+  const withFreeTier = results.filter(result => result.pricing.freeTier);
+  if (withFreeTier.length < results.length) {
+    withFreeTier.forEach(result => {
+      const templates = languages.getLanguagePack(result.language).templates.pricing;
+      const item = pricingItem(templates.freeTier(result.name, result.pricing.freeTier.seatLimit), 1, result.pricing.freeTier);
+      addItem(result.swot, 'strengths', item);
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  listCurrencies,
+  extractPricing,
+  seatEntryPrice,
+  applyPricing,
+};
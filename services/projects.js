@@ -0,0 +1,73 @@
+/**
+ * Projects and tags for organizing analyses.
+ *
+ * A project is a named folder owned by one user; every analysis
+ * belongs to at most one project (`projectId`) and carries any number
+ * of free‑form `tags`.  This module normalizes tags and builds the
+ * project rollup: which competitors appear across the project's
+ * analyses and how often.
+ */
+
+// Longest accepted tag
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a list of tags: trimmed, lower‑cased and de‑duplicated.
+ *
+ * @param {any} tags
+ * @returns {{ tags?: string[], error?: string }}
+ */
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return { tags: [] };
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be an array of strings' };
+  }
+  const normalized = Array.from(new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean)));
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+  return { tags: normalized };
+}
+
+/**
+ * Summarize the analyses of a project.
+ *
+ * @param {Array} analyses The project's analyses
+ * @returns {{ analyses: number, competitors: Array, tags: Array }}
+ *          `competitors` lists every competitor name (matched
+ *          case‑insensitively) with the number of analyses it appears in,
+ *          their ids and when it was last analysed, most frequent first;
+ *          `tags` counts the tags used in the project
+ */
+function rollupProject(analyses) {
+  const competitors = new Map();
+  const tags = new Map();
+  analyses.forEach(analysis => {
+    const seen = new Set();
+    (analysis.competitors || []).forEach(competitor => {
+      const name = ((competitor && competitor.name) || '').trim();
+      const key = name.toLowerCase();
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      const entry = competitors.get(key) || { name, analyses: 0, analysisIds: [], lastSeen: 0 };
+      entry.analyses++;
+      entry.analysisIds.push(analysis.id);
+      entry.lastSeen = Math.max(entry.lastSeen, analysis.updatedAt || analysis.timestamp || 0);
+      competitors.set(key, entry);
+    });
+    (analysis.tags || []).forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+  });
+  return {
+    analyses: analyses.length,
+    competitors: Array.from(competitors.values())
+      .sort((a, b) => b.analyses - a.analyses || a.name.localeCompare(b.name)),
+    tags: Array.from(tags.entries())
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+  };
+}
+
+module.exports = {
+  normalizeTags,
+  rollupProject,
+};
@@ -0,0 +1,290 @@
+/**
+ * Self‑contained HTML report of an analysis.
+ *
+ * The report is a single HTML document meant to be emailed, saved or
+ * printed: styles are inlined, there are no scripts and nothing is
+ * loaded from a CDN.  It contains
+ *
+ *   • metadata: author, dates, framework, revision and analyzer version;
+ *   • an executive summary derived from the results, the themes and
+ *     the landscape;
+ *   • a bar chart of item counts per competitor drawn as inline SVG
+ *     (strengths and weaknesses for SWOT, every category otherwise);
+ *   • a grid of categories for our product and every competitor
+ *     (layout `A`), or one comparison table with a row per competitor
+ *     and a column per category (layout `B`), matching the two
+ *     layouts of the web UI.
+ *
+ * The same template serves the authenticated report, the shared page
+ * (in the layout chosen for the link) and the web UI's "Print" action.
+ */
+const { version } = require('../package.json');
+
+// Categories charted per framework; frameworks not listed chart all
+const CHART_CATEGORIES = {
+  swot: ['strengths', 'weaknesses']
+};
+// Bar colours, assigned to charted categories in order
+const CHART_COLOURS = ['#2e7d32', '#c62828', '#0073e6', '#ef6c00', '#6a1b9a', '#00838f'];
+// Number of recurring themes listed in the summary
+const SUMMARY_THEMES = 3;
+
+/**
+ * Escape text for HTML element content and attribute values.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Items of one category of a result as `{ text, pinned, origin }`.
+ *
+ * @param {object} result
+ * @param {object} framework
+ * @param {string} key
+ * @returns {Array}
+ */
+function itemsOf(result, framework, key) {
+  const items = (result && result[framework.field] && result[framework.field][key]) || [];
+  return items.map(item => (typeof item === 'string' ? { text: item } : item));
+}
+
+/**
+ * Format a timestamp as a UTC date.
+ *
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Build the sentences of the executive summary.
+ *
+ * @param {object} analysis Completed analysis (with themes)
+ * @param {object} framework
+ * @returns {{ intro: string, points: string[] }}
+ */
+function summarize(analysis, framework) {
+  const results = analysis.results || [];
+  const names = results.map(r => r.name);
+  let intro = `This ${framework.label} analysis compares ${results.length} competitor${results.length === 1 ? '' : 's'}`;
+  if (names.length > 0) intro += ` (${names.join(', ')})`;
+  if (analysis.baseline) intro += ` with ${analysis.baseline.name}`;
+  intro += '.';
+
+  const points = [];
+  if (results.length > 1) {
+    framework.categories.forEach(category => {
+      const counts = results.map(result => itemsOf(result, framework, category.key).filter(item => !item.templated).length);
+      const most = Math.max(...counts);
+      const leaders = results.filter((result, idx) => counts[idx] === most).map(r => r.name);
+      // A tie between every competitor says nothing
+      if (most === 0 || leaders.length === results.length) return;
+      points.push(`Most ${category.label.toLowerCase()}: ${leaders.join(', ')} (${most}).`);
+    });
+  }
+  const labels = new Map(framework.categories.map(c => [c.key, c.label]));
+  (analysis.themes || [])
+    .slice()
+    .sort((a, b) => b.competitors.length - a.competitors.length)
+    .slice(0, SUMMARY_THEMES)
+    .forEach(theme => {
+      points.push(`Recurring in ${(labels.get(theme.category) || theme.category).toLowerCase()}: “${theme.label}” (${theme.competitors.join(', ')}).`);
+    });
+  const whitespace = ((analysis.landscape && analysis.landscape.whitespace) || []).map(w => w.theme);
+  if (whitespace.length > 0) {
+    points.push(`No competitor emphasises: ${whitespace.join(', ')}.`);
+  }
+  return { intro, points };
+}
+
+/**
+ * Draw the item count chart as inline SVG.
+ *
+ * @param {object} analysis
+ * @param {object} framework
+ * @returns {string} SVG markup, or an empty string without results
+ */
+function renderChart(analysis, framework) {
+  const rows = (analysis.baseline ? [analysis.baseline] : []).concat(analysis.results || []);
+  if (rows.length === 0) return '';
+  const keys = CHART_CATEGORIES[framework.id] || framework.categories.map(c => c.key);
+  const series = framework.categories.filter(c => keys.includes(c.key));
+  const counts = rows.map(row => series.map(category => itemsOf(row, framework, category.key).length));
+  const max = Math.max(1, ...counts.flat());
+
+  const barHeight = 14;
+  const groupHeight = series.length * barHeight + 12;
+  const labelWidth = 160;
+  const plotWidth = 420;
+  const legendHeight = Math.ceil(series.length / 3) * 18 + 6;
+  const height = legendHeight + rows.length * groupHeight;
+  const width = labelWidth + plotWidth + 40;
+  const parts = [];
+  series.forEach((category, idx) => {
+    const x = labelWidth + (idx % 3) * 140;
+    const y = 4 + Math.floor(idx / 3) * 18;
+    parts.push(`<rect x="${x}" y="${y}" width="12" height="12" fill="${CHART_COLOURS[idx % CHART_COLOURS.length]}"/>`);
+    parts.push(`<text x="${x + 18}" y="${y + 10}">${escapeHtml(category.label)}</text>`);
+  });
+  rows.forEach((row, rowIdx) => {
+    const top = legendHeight + rowIdx * groupHeight;
+    const name = row.name.length > 24 ? `${row.name.slice(0, 23)}…` : row.name;
+    parts.push(`<text x="${labelWidth - 8}" y="${top + groupHeight / 2}" text-anchor="end">${escapeHtml(name)}</text>`);
+    series.forEach((category, idx) => {
+      const count = counts[rowIdx][idx];
+      const y = top + 6 + idx * barHeight;
+      const barWidth = Math.round((count / max) * plotWidth);
+      parts.push(`<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight - 2}" fill="${CHART_COLOURS[idx % CHART_COLOURS.length]}"/>`);
+      parts.push(`<text x="${labelWidth + barWidth + 4}" y="${y + barHeight - 4}">${count}</text>`);
+    });
+  });
+  const title = `Items per competitor: ${series.map(c => c.label).join(', ')}`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${escapeHtml(title)}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">${parts.join('')}</svg>`;
+}
+
+/**
+ * Render the items of one category as a list.
+ *
+ * @param {object} result
+ * @param {object} framework
+ * @param {string} key
+ * @returns {string}
+ */
+function renderItems(result, framework, key) {
+  const items = itemsOf(result, framework, key);
+  if (items.length === 0) return '<p class="none">None</p>';
+  return `<ul>${items.map(item => {
+    const marks = [item.pinned ? 'pinned' : null, item.origin === 'manual' ? 'manual' : null].filter(Boolean);
+    return `<li>${escapeHtml(item.text)}${marks.length > 0 ? ` <span class="mark">${marks.join(', ')}</span>` : ''}</li>`;
+  }).join('')}</ul>`;
+}
+
+/**
+ * Render every result as a row of one comparison table.
+ *
+ * @param {Array<{ result: object, heading: string }>} rows
+ * @param {object} framework
+ * @returns {string}
+ */
+function renderTable(rows, framework) {
+  const head = `<tr><th>Competitor</th>${framework.categories.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr>`;
+  const body = rows.map(({ result, heading }) =>
+    `<tr><th>${escapeHtml(heading)}</th>${framework.categories.map(c => `<td>${renderItems(result, framework, c.key)}</td>`).join('')}</tr>`);
+  return `<section class="comparison"><h2>Comparison</h2><table class="comparison">${head}${body.join('')}</table></section>`;
+}
+
+/**
+ * Render the category grid of one result.
+ *
+ * @param {object} result
+ * @param {object} framework
+ * @param {string} heading
+ * @param {string} [description]
+ * @returns {string}
+ */
+function renderResult(result, framework, heading, description) {
+  const cells = framework.categories.map(category =>
+    `<div class="cell cell-${escapeHtml(category.key)}"><h3>${escapeHtml(category.label)}</h3>${renderItems(result, framework, category.key)}</div>`);
+  return `<section class="competitor"><h2>${escapeHtml(heading)}</h2>${description ? `<p class="description">${escapeHtml(description)}</p>` : ''}<div class="grid">${cells.join('')}</div></section>`;
+}
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 0 auto; max-width: 960px; padding: 24px; line-height: 1.4; }
+h1 { margin: 0 0 8px; color: #004a99; }
+h2 { border-bottom: 2px solid #0073e6; padding-bottom: 4px; margin-top: 32px; }
+h3 { margin: 0 0 6px; font-size: 1em; }
+table.meta { border-collapse: collapse; font-size: 0.9em; }
+table.meta th { text-align: left; padding: 2px 16px 2px 0; color: #555; font-weight: normal; }
+.summary ul { padding-left: 20px; }
+.chart { margin: 16px 0; }
+.description { color: #555; font-style: italic; }
+.grid { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+.cell { border: 1px solid #ccc; border-radius: 4px; padding: 8px 12px; }
+.cell-strengths { background: #f1f8f1; }
+.cell-weaknesses { background: #fdf1f1; }
+.cell-opportunities { background: #f0f6fd; }
+.cell-threats { background: #fdf6ec; }
+.cell ul { margin: 0; padding-left: 18px; }
+table.comparison { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+table.comparison th, table.comparison td { border: 1px solid #ccc; padding: 6px 8px; vertical-align: top; text-align: left; }
+table.comparison tr:first-child th { background: #f0f6fd; }
+table.comparison ul { margin: 0; padding-left: 16px; }
+.none { color: #888; margin: 0; }
+.mark { font-size: 0.75em; color: #0073e6; border: 1px solid #0073e6; border-radius: 3px; padding: 0 3px; }
+footer { margin-top: 32px; font-size: 0.8em; color: #888; }
+@media print {
+  body { max-width: none; padding: 0; font-size: 10pt; }
+  h2 { break-after: avoid; }
+  .competitor, .chart, .summary { break-inside: avoid; }
+  .cell { background: none; }
+}
+@page { margin: 15mm; }
+`;
+
+/**
+ * Render an analysis as a self‑contained HTML report.
+ *
+ * @param {object} analysis Completed analysis (see completeAnalysis)
+ * @param {object} framework Framework the analysis was produced with
+ * @param {{ author?: string|null, generatedAt?: number, layout?: string }} [options]
+ *        Reports without an author leave the row out; `layout` is `A`
+ *        (grids, the default) or `B` (comparison table)
+ * @returns {string}
+ */
+function renderReport(analysis, framework, options = {}) {
+  const generatedAt = options.generatedAt || Date.now();
+  const { intro, points } = summarize(analysis, framework);
+  const competitors = analysis.competitors || [];
+  const meta = [
+    ['Author', options.author],
+    ['Created', formatDate(analysis.timestamp)],
+    ['Last updated', formatDate(analysis.updatedAt || analysis.timestamp)],
+    ['Framework', framework.label],
+    ['Revision', analysis.revision || 1],
+    ['Analyzer', `${analysis.provider || 'heuristic'} provider, competitive analysis generator ${version}`]
+  ].filter(([, value]) => value !== undefined && value !== null);
+  const rows = [];
+  if (analysis.baseline) {
+    rows.push({ result: analysis.baseline, heading: `${analysis.baseline.name} (our product)`,
+      description: analysis.ownProduct && analysis.ownProduct.description });
+  }
+  (analysis.results || []).forEach((result, idx) => {
+    rows.push({ result, heading: result.name, description: competitors[idx] && competitors[idx].description });
+  });
+  const sections = options.layout === 'B'
+    ? [renderTable(rows, framework)]
+    : rows.map(row => renderResult(row.result, framework, row.heading, row.description));
+  const chart = renderChart(analysis, framework);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${framework.label} analysis – ${formatDate(analysis.updatedAt || analysis.timestamp)}`)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(framework.label)} competitive analysis</h1>
+<table class="meta">${meta.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+<section class="summary"><h2>Executive summary</h2><p>${escapeHtml(intro)}</p>${points.length > 0 ? `<ul>${points.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` : ''}</section>
+${chart ? `<div class="chart">${chart}</div>` : ''}
+${sections.join('\n')}
+<footer>Report generated ${escapeHtml(new Date(generatedAt).toISOString().replace('T', ' ').slice(0, 16))} UTC.</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderReport,
+};
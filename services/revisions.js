@@ -0,0 +1,97 @@
+/**
+ * Analysis revision diffs.
+ *
+ * Every create and update of a stored analysis keeps an immutable
+ * revision (see server.js).  This module compares two revisions and
+ * reports, per competitor, the items that were added or removed in
+ * each framework category.  Competitors are matched by name and items
+ * by text, so a re‑worded item shows up as one removal and one
+ * addition.
+ */
+const frameworks = require('./frameworks');
+
+/**
+ * Return the framework a revision was produced with, defaulting to
+ * SWOT for revisions stored before frameworks existed.
+ *
+ * @param {object} revision
+ * @returns {object}
+ */
+function frameworkOf(revision) {
+  return frameworks.getFramework(revision.framework) || frameworks.getFramework(frameworks.DEFAULT_FRAMEWORK);
+}
+
+/**
+ * Collect the item texts of one result, keyed by category.
+ *
+ * @param {object|undefined} result
+ * @param {object} framework
+ * @returns {Map<string, Set<string>>}
+ */
+function itemTexts(result, framework) {
+  const texts = new Map();
+  const categories = (result && result[framework.field]) || {};
+  Object.entries(categories).forEach(([key, items]) => {
+    if (!Array.isArray(items)) return;
+    texts.set(key, new Set(items.map(item => (typeof item === 'string' ? item : item.text))));
+  });
+  return texts;
+}
+
+/**
+ * Diff two revisions of an analysis.
+ *
+ * @param {object} from Older revision
+ * @param {object} to Newer revision
+ * @returns {{ from: number, to: number, competitors: Array }} One entry
+ *          per competitor in either revision:
+ *          `{ name, status, descriptionChanged, categories }` where
+ *          `status` is `added`, `removed`, `changed` or `unchanged` and
+ *          `categories` maps each changed category to `{ added, removed }`
+ */
+function diffRevisions(from, to) {
+  const fromFramework = frameworkOf(from);
+  const toFramework = frameworkOf(to);
+  const index = revision => {
+    const byName = new Map();
+    (revision.results || []).forEach((result, idx) => {
+      const competitor = (revision.competitors || [])[idx] || {};
+      byName.set(result.name, { result, description: competitor.description || '' });
+    });
+    return byName;
+  };
+  const before = index(from);
+  const after = index(to);
+  const names = Array.from(new Set([...after.keys(), ...before.keys()]));
+
+  const competitors = names.map(name => {
+    const old = before.get(name);
+    const current = after.get(name);
+    const oldTexts = itemTexts(old && old.result, fromFramework);
+    const newTexts = itemTexts(current && current.result, toFramework);
+    const categories = {};
+    new Set([...newTexts.keys(), ...oldTexts.keys()]).forEach(key => {
+      const was = oldTexts.get(key) || new Set();
+      const now = newTexts.get(key) || new Set();
+      const added = Array.from(now).filter(text => !was.has(text));
+      const removed = Array.from(was).filter(text => !now.has(text));
+      if (added.length > 0 || removed.length > 0) categories[key] = { added, removed };
+    });
+    let status;
+    if (!old) status = 'added';
+    else if (!current) status = 'removed';
+    else status = Object.keys(categories).length > 0 ? 'changed' : 'unchanged';
+    return {
+      name,
+      status,
+      descriptionChanged: Boolean(old && current && old.description !== current.description),
+      categories
+    };
+  });
+
+  return { from: from.revision, to: to.revision, competitors };
+}
+
+module.exports = {
+  diffRevisions,
+};
@@ -0,0 +1,119 @@
+/**
+ * robots.txt parsing and matching (RFC 9309).
+ *
+ * A robots.txt file is a list of groups, each naming one or more user
+ * agents followed by `Allow` and `Disallow` rules.  A crawler obeys
+ * the group whose user agent matches its product token, or the `*`
+ * group when none does.  The longest matching rule decides, and
+ * `Allow` wins a tie.  Rule paths may use `*` for any characters and
+ * end in `$` to anchor the end of the path.  The non‑standard
+ * `Crawl-delay` of the chosen group is reported too.
+ */
+
+/**
+ * Parse a robots.txt file.
+ *
+ * @param {string} text
+ * @returns {Array<{ agents: string[], rules: Array<{ allow: boolean, path: string }>, crawlDelay: number|null }>}
+ */
+function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+  String(text || '').split(/\r?\n|\r/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const idx = line.indexOf(':');
+    if (idx === -1) return;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (!group) return;
+    if ((key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  });
+  return groups;
+}
+
+/**
+ * Collect the rules that apply to a user agent: those of every group
+ * naming its product token, or of the `*` groups when there are none.
+ *
+ * @param {Array} groups Parsed robots.txt
+ * @param {string} userAgent Full user agent, e.g. `ExampleBot/1.0`
+ * @returns {{ rules: Array, crawlDelay: number|null }}
+ */
+function rulesFor(groups, userAgent) {
+  const token = String(userAgent).split('/')[0].trim().toLowerCase();
+  let matching = groups.filter(g => g.agents.includes(token));
+  if (matching.length === 0) matching = groups.filter(g => g.agents.includes('*'));
+  const delays = matching.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Whether a rule path matches a URL path.
+ *
+ * @param {string} pattern Rule path with optional `*` and trailing `$`
+ * @param {string} target URL path and query
+ * @returns {boolean}
+ */
+function pathMatches(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(target);
+}
+
+/**
+ * Whether a user agent may fetch a path.
+ *
+ * @param {Array} groups Parsed robots.txt
+ * @param {string} userAgent
+ * @param {string} target URL path and query, e.g. `/pricing?plan=pro`
+ * @returns {boolean}
+ */
+function isAllowed(groups, userAgent, target) {
+  if (target === '/robots.txt') return true;
+  let best = null;
+  rulesFor(groups, userAgent).rules.forEach(rule => {
+    if (!pathMatches(rule.path, target)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+/**
+ * Return the crawl delay, in seconds, requested for a user agent.
+ *
+ * @param {Array} groups Parsed robots.txt
+ * @param {string} userAgent
+ * @returns {number|null}
+ */
+function crawlDelayOf(groups, userAgent) {
+  return rulesFor(groups, userAgent).crawlDelay;
+}
+
+module.exports = {
+  parseRobots,
+  isAllowed,
+  crawlDelayOf,
+};
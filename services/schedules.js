@@ -0,0 +1,167 @@
+/**
+ * Recurring re‑analysis schedules.
+ *
+ * A schedule is `daily`, `weekly` or a five‑field cron expression
+ * (`minute hour day-of-month month day-of-week`), evaluated in UTC:
+ *
+ *   daily   every day at 00:00 (`0 0 * * *`)
+ *   weekly  every Monday at 00:00 (`0 0 * * 1`)
+ *
+ * Cron fields accept `*`, numbers, ranges (`1-5`), steps (`0-30/10`;
+ * `*` followed by `/15` steps through the whole range) and lists
+ * (`1,15`); day of week runs from 0 (Sunday) to 6, and 7 is Sunday
+ * too.  As in cron, when both day of month and day of week are
+ * restricted (do not start with `*`, so a stepped `*` is not) a day
+ * matching either one qualifies.
+ *
+ * Every schedule keeps the history of its last RUN_HISTORY runs.
+ */
+
+// Named schedules and the cron expressions they stand for
+const PRESETS = {
+  daily: '0 0 * * *',
+  weekly: '0 0 * * 1'
+};
+// Runs kept per schedule, newest last
+const RUN_HISTORY = 50;
+// How far ahead the next run is searched for, in days
+const SEARCH_DAYS = 5 * 366;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse one cron field into the set of values it matches.
+ *
+ * @param {string} text
+ * @param {{ min: number, max: number }} field
+ * @returns {Set<number>|null} Null when the field is invalid
+ */
+function parseField(text, { min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) return null;
+    const [, start, end, stepText] = match;
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let lo = start === '*' ? min : parseInt(start, 10);
+    let hi = start === '*' ? max : parseInt(start, 10);
+    if (end !== undefined) {
+      if (start === '*') return null;
+      hi = parseInt(end, 10);
+    } else if (stepText !== undefined && start !== '*') {
+      hi = max;
+    }
+    if (step < 1 || lo < min || hi > max || lo > hi) return null;
+    for (let value = lo; value <= hi; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a schedule.
+ *
+ * @param {any} spec `daily`, `weekly` or a cron expression
+ * @returns {{ cron?: object, error?: string }} `cron` holds the matching
+ *          values of every field
+ */
+function parseSchedule(spec) {
+  if (typeof spec !== 'string' || !spec.trim()) {
+    return { error: 'Schedule must be daily, weekly or a cron expression' };
+  }
+  const expression = PRESETS[spec.trim().toLowerCase()] || spec.trim();
+  const parts = expression.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { error: 'Cron expressions need 5 fields: minute hour day-of-month month day-of-week' };
+  }
+  const sets = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const values = parseField(parts[i], FIELDS[i]);
+    if (!values) {
+      return { error: `Invalid ${FIELDS[i].name} field: ${parts[i]}` };
+    }
+    sets.push(values);
+  }
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.has(7)) weekdays.add(0);
+  const cron = {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: !parts[2].startsWith('*'),
+    weekdaysRestricted: !parts[4].startsWith('*')
+  };
+  if (nextRunAfter(cron, Date.now()) === null) {
+    return { error: 'Schedule never runs' };
+  }
+  return { cron };
+}
+
+/**
+ * Whether a UTC date falls on a day the schedule runs.
+ *
+ * @param {object} cron
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  if (cron.daysRestricted && cron.weekdaysRestricted) return day || weekday;
+  return day && weekday;
+}
+
+/**
+ * Find the first run strictly after a point in time.
+ *
+ * @param {object} cron Parsed schedule
+ * @param {number} after Timestamp in ms
+ * @returns {number|null} Timestamp of the next run, or null if there is
+ *          none within SEARCH_DAYS
+ */
+function nextRunAfter(cron, after) {
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after + SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Append a run to a schedule's history, dropping the oldest runs
+ * beyond RUN_HISTORY.
+ *
+ * @param {object} schedule
+ * @param {object} run
+ */
+function addRun(schedule, run) {
+  schedule.runs = (schedule.runs || []).concat(run).slice(-RUN_HISTORY);
+}
+
+module.exports = {
+  parseSchedule,
+  nextRunAfter,
+  addRun,
+};
@@ -1,18 +1,381 @@
 /**
- * Simple scraper service for generating daily digests of competitor updates.
+ * Scraper service for competitor websites and daily digests.
  *
- * In a production environment this module would fetch data from websites,
- * news feeds, reviews and social channels.  For this MVP we generate
- * placeholder summaries for each analysis using the competitor names and the
- * current date.  The digests are written to a JSON file so they persist across
- * server restarts and can be retrieved via the API.
+ * `createScraper` fetches competitor pages and turns them into text the
+ * analyzer can read:
+ *
+ *   • pages are requested through a pluggable fetcher, so callers and
+ *     tests can substitute their own transport.  The default fetcher
+ *     refuses loopback, private and link‑local addresses (checked
+ *     after DNS resolution, on the address actually connected to), so
+ *     users cannot make the server read internal services;
+ *   • redirects are followed by hand, up to MAX_REDIRECTS, and every
+ *     hop goes through the robots.txt and rate limit checks below;
+ *   • robots.txt is fetched once per origin (and again after
+ *     ROBOTS_TTL_MS) and disallowed pages are not requested.  A
+ *     missing robots.txt allows everything, an unreachable one (server
+ *     error or network failure) allows nothing, as RFC 9309 asks;
+ *   • requests to one host are spaced at least `hostIntervalMs` apart,
+ *     or by the robots.txt `Crawl-delay` when that is longer;
+ *   • responses are cached with their ETag and Last‑Modified headers
+ *     and revalidated with If-None-Match / If-Modified-Since, so an
+ *     unchanged page costs a 304 and is served from the cache;
+ *   • readable text is extracted from HTML (see services/htmlText.js).
+ *
+ * `scrapeCompetitor` combines the pages of one competitor into a
+ * `{ name, description }` pair that can be passed straight to
+ * `analyzeDescription`.  Digests summarise, per analysis, which
+ * competitor pages changed since they were last fetched; they are
+ * written to a JSON file so they persist across server restarts.
  */
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const robots = require('./robots');
+const { extractReadableText } = require('./htmlText');
 
 // Path to the digest file stored in the project root.  If the file does not
 // exist it will be created on first write.
 const digestFile = path.join(__dirname, '..', 'digest.json');
+// Default path of the response cache
+const cacheFile = path.join(__dirname, '..', 'scrape-cache.json');
+
+// User agent sent with every request; its product token is matched
+// against robots.txt groups
+const USER_AGENT = process.env.SCRAPER_USER_AGENT || 'CompetitiveAnalysisBot/1.0';
+// Minimum time between two requests to the same host
+const HOST_INTERVAL_MS = parseInt(process.env.SCRAPER_HOST_INTERVAL_MS, 10) || 1000;
+// Longest robots.txt Crawl-delay honoured, in seconds
+const MAX_CRAWL_DELAY = 60;
+// How long a fetched robots.txt is trusted
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+// Request timeout
+const TIMEOUT_MS = parseInt(process.env.SCRAPER_TIMEOUT_MS, 10) || 10000;
+// Largest response body read; the rest is ignored
+const MAX_BODY_BYTES = 1024 * 1024;
+// Redirects followed per request
+const MAX_REDIRECTS = 5;
+// Longest description produced for a competitor, in characters
+const MAX_DESCRIPTION_CHARS = 20000;
+// Pages kept in the response cache; the least recently fetched go first
+const MAX_CACHE_ENTRIES = 500;
+
+/**
+ * Whether an IP address is loopback, private, link‑local, shared
+ * (carrier‑grade NAT), multicast or otherwise not publicly routable.
+ *
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 192 && b === 0 && address.split('.')[2] === '0') ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    if (lower === '::' || lower === '::1') return true;
+    // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+    return /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower) || /^::ffff:/.test(lower);
+  }
+  return true;
+}
+
+/**
+ * DNS lookup for outgoing requests that fails when a host resolves to
+ * a private address (see isPrivateAddress).  Used as the `lookup` of
+ * the request, so the address checked is the one connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Create the default fetcher, built on Node's http and https modules.
+ * Redirects are returned as they are (the scraper follows them), and
+ * bodies beyond MAX_BODY_BYTES are cut off.  Any replacement fetcher
+ * must resolve to the same shape and may reject on network errors.
+ *
+ * @param {{ allowPrivateNetworks?: boolean }} [options] Allow loopback
+ *        and private addresses, e.g. for local test servers
+ * @returns {function(string, { headers: object }): Promise<{ status: number, headers: object, body: string }>}
+ *          `headers` holds lower‑cased response header names
+ */
+function createHttpFetcher(options = {}) {
+  const allowPrivate = Boolean(options.allowPrivateNetworks);
+  return (url, { headers }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    // IP literals are connected to without a lookup
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`${host} is a private address`));
+    }
+    const request = client.get(target, { headers, lookup: allowPrivate ? undefined : publicLookup, timeout: TIMEOUT_MS }, response => {
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        if (size >= MAX_BODY_BYTES) return;
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= MAX_BODY_BYTES) response.destroy();
+      });
+      response.on('error', err => {
+        if (size < MAX_BODY_BYTES) reject(err);
+      });
+      response.on('close', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks).subarray(0, MAX_BODY_BYTES).toString('utf8')
+      }));
+    });
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Read a JSON file, falling back to a default.
+ *
+ * @param {string} file
+ * @param {any} fallback
+ * @returns {any}
+ */
+function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return fallback;
+  }
+}
+
+/**
+ * Cut a text to a maximum length, at the end of a line or sentence
+ * where possible.
+ *
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const end = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf('. '));
+  return end > max / 2 ? cut.slice(0, end + 1).trim() : cut.trim();
+}
+
+/**
+ * Create a scraper.
+ *
+ * @param {object} [options]
+ * @param {function(string, { headers: object }): Promise<object>} [options.fetcher] See createHttpFetcher
+ * @param {string} [options.userAgent]
+ * @param {number} [options.hostIntervalMs] Minimum delay between requests to one host
+ * @param {string|null} [options.cacheFile] Where the response cache is
+ *        persisted; null keeps it in memory
+ * @returns {{ fetchPage: function(string): Promise<object>, scrapeCompetitor: function(object): Promise<object> }}
+ */
+function createScraper(options = {}) {
+  const fetcher = options.fetcher || createHttpFetcher();
+  const userAgent = options.userAgent || USER_AGENT;
+  const hostIntervalMs = options.hostIntervalMs !== undefined ? options.hostIntervalMs : HOST_INTERVAL_MS;
+  const cachePath = options.cacheFile !== undefined ? options.cacheFile : cacheFile;
+  const cache = cachePath ? readJsonFile(cachePath, {}) : {};
+  const robotsByOrigin = new Map(); // origin → { groups, unreachable, fetchedAt }, unreachable being the reason
+  const nextSlot = new Map(); // host → earliest time of the next request
+
+  const saveCache = () => {
+    const urls = Object.keys(cache);
+    if (urls.length > MAX_CACHE_ENTRIES) {
+      urls.sort((a, b) => cache[a].fetchedAt - cache[b].fetchedAt)
+        .slice(0, urls.length - MAX_CACHE_ENTRIES)
+        .forEach(url => delete cache[url]);
+    }
+    if (!cachePath) return;
+    try {
+      fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+    } catch (err) {
+      // the cache only saves requests; keep going without it
+    }
+  };
+
+  // Reserve the next request slot of a host and wait for it
+  const waitTurn = async (host, intervalMs) => {
+    const now = Date.now();
+    const at = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, at + intervalMs);
+    if (at > now) await new Promise(resolve => setTimeout(resolve, at - now));
+  };
+
+  const intervalFor = (host, groups) => {
+    const delay = groups ? robots.crawlDelayOf(groups, userAgent) : null;
+    return Math.max(hostIntervalMs, delay === null ? 0 : Math.min(delay, MAX_CRAWL_DELAY) * 1000);
+  };
+
+  // Request a URL, following redirects by hand.  `admit` is asked
+  // before every hop and resolves to { groups } (the robots.txt of the
+  // hop's origin, null if unknown) or { blocked } with a reason.
+  // Resolves to { url, response }, { url, blocked } or { url, error }.
+  const follow = async (start, headersFor, admit) => {
+    let target = start;
+    for (let hop = 0; ; hop++) {
+      const verdict = await admit(target);
+      if (verdict.blocked) return { url: target, blocked: verdict.blocked };
+      await waitTurn(target.host, intervalFor(target.host, verdict.groups));
+      let response;
+      try {
+        response = await fetcher(target.href, { headers: headersFor(target) });
+      } catch (err) {
+        return { url: target, error: err.message };
+      }
+      const location = response.headers['location'];
+      if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) {
+        return { url: target, response };
+      }
+      if (hop >= MAX_REDIRECTS) return { url: target, error: 'Too many redirects' };
+      try {
+        target = new URL(location, target);
+      } catch (err) {
+        return { url: target, error: 'Invalid redirect' };
+      }
+      if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        return { url: target, error: 'Redirect to a URL that is not http(s)' };
+      }
+      target.hash = '';
+    }
+  };
+
+  const robotsFor = async url => {
+    const known = robotsByOrigin.get(url.origin);
+    if (known && Date.now() - known.fetchedAt < ROBOTS_TTL_MS) return known;
+    const entry = { groups: [], unreachable: null, fetchedAt: null };
+    const { response, error } = await follow(new URL('/robots.txt', url.origin), () => ({ 'User-Agent': userAgent }),
+      async () => ({ groups: null }));
+    if (!response) entry.unreachable = error;
+    else if (response.status >= 500) entry.unreachable = `HTTP ${response.status}`;
+    else if (response.status >= 200 && response.status < 300) entry.groups = robots.parseRobots(response.body);
+    entry.fetchedAt = Date.now();
+    robotsByOrigin.set(url.origin, entry);
+    return entry;
+  };
+
+  /**
+   * Fetch one page.
+   *
+   * @param {string} pageUrl
+   * @returns {Promise<{ url: string, status: string, title?: string, text?: string,
+   *                     fromCache?: boolean, changed?: boolean, error?: string }>}
+   *          `status` is `ok`, `blocked` (by robots.txt, also on a
+   *          redirect) or `error`;
+   *          `changed` tells whether the text differs from the cached copy
+   */
+  async function fetchPage(pageUrl) {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch (err) {
+      return { url: pageUrl, status: 'error', error: 'Invalid URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { url: pageUrl, status: 'error', error: 'Only http(s) URLs can be fetched' };
+    }
+    url.hash = '';
+    const key = url.href;
+    const cached = cache[key];
+    const headersFor = target => {
+      const headers = { 'User-Agent': userAgent, 'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9' };
+      // Validators belong to the URL that answered last time
+      if (cached && target.href === (cached.finalUrl || key)) {
+        if (cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+      }
+      return headers;
+    };
+    const admit = async target => {
+      const { groups, unreachable } = await robotsFor(target);
+      if (unreachable) return { blocked: `robots.txt could not be fetched: ${unreachable}` };
+      if (!robots.isAllowed(groups, userAgent, target.pathname + target.search)) {
+        return { blocked: 'Disallowed by robots.txt' };
+      }
+      return { groups };
+    };
+    const { url: finalUrl, response, blocked, error } = await follow(url, headersFor, admit);
+    const redirected = finalUrl.href !== key ? ` (redirected to ${finalUrl.href})` : '';
+    if (blocked) {
+      return { url: key, status: 'blocked', error: blocked + redirected };
+    }
+    if (error) {
+      return { url: key, status: 'error', error: error + redirected };
+    }
+    if (response.status === 304 && cached) {
+      cached.checkedAt = Date.now();
+      saveCache();
+      return { url: key, status: 'ok', title: cached.title, text: cached.text, fromCache: true, changed: false };
+    }
+    if (response.status < 200 || response.status >= 300) {
+      return { url: key, status: 'error', error: `HTTP ${response.status}` };
+    }
+    const type = response.headers['content-type'] || 'text/html';
+    let page;
+    if (/html|xml/i.test(type)) page = extractReadableText(response.body);
+    else if (/^text\//i.test(type)) page = { title: '', text: response.body.trim() };
+    else return { url: key, status: 'error', error: `Unsupported content type: ${type}` };
+    const changed = !cached || cached.text !== page.text;
+    cache[key] = {
+      finalUrl: finalUrl.href,
+      etag: response.headers['etag'] || null,
+      lastModified: response.headers['last-modified'] || null,
+      title: page.title,
+      text: page.text,
+      fetchedAt: Date.now(),
+      checkedAt: Date.now()
+    };
+    saveCache();
+    return { url: key, status: 'ok', title: page.title, text: page.text, fromCache: false, changed };
+  }
+
+  /**
+   * Fetch the pages of a competitor, its `website` first and then its
+   * `urls`, and combine their text into a description.  Lines
+   * repeated on several pages are kept once.
+   *
+   * @param {{ name: string, website?: string|null, urls?: string[] }} competitor
+   * @returns {Promise<{ name: string, description: string, pages: Array }>}
+   *          `description` is empty when no page could be read
+   */
+  async function scrapeCompetitor(competitor) {
+    const urls = Array.from(new Set([competitor.website].concat(competitor.urls || []).filter(Boolean)));
+    const pages = [];
+    for (const url of urls) {
+      pages.push(await fetchPage(url));
+    }
+    const lines = new Set();
+    pages.filter(p => p.status === 'ok' && p.text).forEach(p => p.text.split('\n').forEach(line => lines.add(line)));
+    const description = truncate(Array.from(lines).join('\n'), MAX_DESCRIPTION_CHARS);
+    return { name: competitor.name, description, pages };
+  }
+
+  return { fetchPage, scrapeCompetitor };
+}
 
 /**
  * Write the given digest array to disk.
@@ -27,41 +390,65 @@ function saveDigest(digests) {
  * @returns {Array}
  */
 function loadDigest() {
-  try {
-    const raw = fs.readFileSync(digestFile, 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    return [];
-  }
+  return readJsonFile(digestFile, []);
 }
 
 /**
- * Generate a digest for all analyses.  The digest contains a summary for each
- * analysis using the competitor names.  In a real implementation you would
- * fetch the latest changes from competitor websites and feeds and use an LLM to
- * summarise them.
+ * Generate a digest for all analyses.  For every competitor that
+ * `urlsOf` finds a website or urls for, the pages are fetched, and the
+ * digest reports which of them changed since they were last fetched.
+ * A competitor shared by several analyses is fetched once.  Analyses
+ * in the trash (with a `deletedAt` timestamp) are skipped.
  *
  * @param {Array} analyses List of analysis objects (from analyses.json)
- * @returns {Array} The generated digest
+ * @param {object} scraper Scraper from createScraper; share the one the
+ *        rest of the application uses, since both write the same cache
+ * @param {function(object, object): ({ website?: string|null, urls?: string[] }|null)} urlsOf
+ *        Looks up the URLs of a competitor of an analysis (analyses
+ *        themselves do not store them)
+ * @returns {Promise<Array>} The generated digest
  */
-function generateDigest(analyses) {
+async function generateDigest(analyses, scraper, urlsOf) {
+  const fetched = new Map(); // URL list → pages
   const now = new Date();
   const dateStr = now.toLocaleDateString('en-US');
-  const digests = analyses.map((analysis) => {
-    const names = Array.isArray(analysis.competitors)
-      ? analysis.competitors.map((c) => c.name).filter(Boolean).join(', ')
-      : 'Unknown';
-    return {
+  const digests = [];
+  for (const analysis of analyses.filter((a) => !a.deletedAt)) {
+    const competitors = [];
+    for (const competitor of Array.isArray(analysis.competitors) ? analysis.competitors : []) {
+      if (!competitor || !competitor.name) continue;
+      const { website, urls } = urlsOf(competitor, analysis) || {};
+      const listKey = JSON.stringify([website || null, urls || []]);
+      if (!fetched.has(listKey)) {
+        fetched.set(listKey, (await scraper.scrapeCompetitor({ name: competitor.name, website, urls })).pages);
+      }
+      const pages = fetched.get(listKey);
+      competitors.push({
+        name: competitor.name,
+        changed: pages.some(p => p.status === 'ok' && p.changed),
+        pages: pages.map(({ url, status, changed, error }) => ({ url, status, changed: Boolean(changed), error: error || null }))
+      });
+    }
+    const changed = competitors.filter(c => c.changed).map(c => c.name);
+    const names = competitors.map(c => c.name).join(', ') || 'Unknown';
+    let summary = `Daily digest for ${names} on ${dateStr}: no website changes.`;
+    if (changed.length > 0) summary = `Daily digest for ${names} on ${dateStr}: updates from ${changed.join(', ')}.`;
+    else if (competitors.every(c => c.pages.length === 0)) summary = `Daily digest for ${names} on ${dateStr}: no competitor websites to check.`;
+    digests.push({
       analysisId: analysis.id,
-      summary: `Daily digest for ${names} on ${dateStr}.`,
+      summary,
+      competitors,
       timestamp: now.getTime(),
-    };
-  });
+    });
+  }
   saveDigest(digests);
   return digests;
 }
 
 module.exports = {
+  isPrivateAddress,
+  createHttpFetcher,
+  createScraper,
   generateDigest,
   loadDigest,
 };
@@ -0,0 +1,233 @@
+/**
+ * Search, filtering, sorting and pagination of saved analyses.
+ *
+ * `GET /api/analysis/list` passes its query string through
+ * `parseListQuery` and the user's analyses through `queryAnalyses`.
+ * Supported parameters:
+ *
+ *   q           full‑text search over competitor names and item texts;
+ *               every word must appear (case‑insensitive)
+ *   from, to    date range on the creation time (ISO date or epoch ms;
+ *               a plain `to` date includes the whole day)
+ *   variant     `A` or `B`
+ *   competitor  analyses including a competitor with this name
+ *   project     project id, or `none` for analyses outside any project
+ *   tag         analyses carrying this tag (repeat to require several)
+ *   sort        `newest` (default), `oldest` or `updated`
+ *   limit       page size (default 20, at most 100)
+ *   cursor      `nextCursor` of the previous page
+ *   full        `1` to return whole analyses instead of summaries
+ *
+ * Pagination is cursor based: the cursor encodes the sort key and id
+ * of the last item returned, so pages stay stable while analyses are
+ * added or removed.
+ */
+const frameworks = require('./frameworks');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sort orders: key of an analysis and direction (-1 for descending)
+const SORTS = {
+  newest: { key: a => a.timestamp || 0, direction: -1 },
+  oldest: { key: a => a.timestamp || 0, direction: 1 },
+  updated: { key: a => a.updatedAt || a.timestamp || 0, direction: -1 }
+};
+
+/**
+ * Parse a date parameter given as epoch milliseconds or an ISO date.
+ *
+ * @param {string} value
+ * @param {boolean} endOfDay Move plain `YYYY-MM-DD` dates to the end of the day
+ * @returns {number} Epoch milliseconds, NaN when invalid
+ */
+function parseDate(value, endOfDay) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const time = Date.parse(value);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) return time + DAY_MS - 1;
+  return time;
+}
+
+/**
+ * Encode the position after an analysis as an opaque cursor.
+ *
+ * @param {string} sort
+ * @param {object} analysis
+ * @returns {string}
+ */
+function encodeCursor(sort, analysis) {
+  return Buffer.from(JSON.stringify([sort, SORTS[sort].key(analysis), analysis.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor for the same sort order.
+ *
+ * @param {string} cursor
+ * @param {string} sort
+ * @returns {{ key: number, id: string }|null} Null when invalid
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const [cursorSort, key, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (cursorSort !== sort || typeof key !== 'number' || typeof id !== 'string') return null;
+    return { key, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Validate the list query parameters.
+ *
+ * @param {URLSearchParams} params
+ * @returns {{ error?: string, query?: object }}
+ */
+function parseListQuery(params) {
+  const query = {
+    terms: (params.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean),
+    from: null,
+    to: null,
+    variant: params.get('variant') || null,
+    competitor: (params.get('competitor') || '').trim().toLowerCase() || null,
+    project: params.get('project') || null,
+    tags: params.getAll('tag').map(tag => tag.trim().toLowerCase()).filter(Boolean),
+    sort: params.get('sort') || 'newest',
+    limit: DEFAULT_LIMIT,
+    cursor: null,
+    full: ['1', 'true'].includes(params.get('full'))
+  };
+  for (const bound of ['from', 'to']) {
+    const value = params.get(bound);
+    if (value === null || value === '') continue;
+    query[bound] = parseDate(value, bound === 'to');
+    if (Number.isNaN(query[bound])) {
+      return { error: `Invalid ${bound} date` };
+    }
+  }
+  if (query.variant !== null && query.variant !== 'A' && query.variant !== 'B') {
+    return { error: 'Variant must be A or B' };
+  }
+  if (!Object.prototype.hasOwnProperty.call(SORTS, query.sort)) {
+    return { error: `Unknown sort: ${query.sort}` };
+  }
+  if (params.get('limit') !== null) {
+    const limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'Limit must be a positive integer' };
+    }
+    query.limit = Math.min(limit, MAX_LIMIT);
+  }
+  if (params.get('cursor')) {
+    query.cursor = decodeCursor(params.get('cursor'), query.sort);
+    if (!query.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  return { query };
+}
+
+/**
+ * Collect the searchable text of an analysis: competitor names and the
+ * text of every item in every framework category.
+ *
+ * @param {object} analysis
+ * @returns {string} Lower‑cased text
+ */
+function searchableText(analysis) {
+  const parts = (analysis.competitors || []).map(c => (c && c.name) || '');
+  const results = analysis.baseline ? [analysis.baseline, ...(analysis.results || [])] : analysis.results || [];
+  const fields = new Set(frameworks.listFrameworks().map(f => f.field));
+  results.forEach(result => {
+    parts.push(result.name || '');
+    fields.forEach(field => {
+      Object.values(result[field] || {}).forEach(items => {
+        if (!Array.isArray(items)) return;
+        items.forEach(item => parts.push(typeof item === 'string' ? item : item.text));
+      });
+    });
+  });
+  return parts.join('\n').toLowerCase();
+}
+
+/**
+ * Check whether an analysis matches the filters of a query.
+ *
+ * @param {object} analysis
+ * @param {object} query Output of parseListQuery
+ * @returns {boolean}
+ */
+function matches(analysis, query) {
+  const time = analysis.timestamp || 0;
+  if (query.from !== null && time < query.from) return false;
+  if (query.to !== null && time > query.to) return false;
+  if (query.variant && analysis.variant !== query.variant) return false;
+  if (query.competitor &&
+      !(analysis.competitors || []).some(c => c && (c.name || '').trim().toLowerCase() === query.competitor)) {
+    return false;
+  }
+  if (query.project === 'none' && analysis.projectId) return false;
+  if (query.project && query.project !== 'none' && analysis.projectId !== query.project) return false;
+  if (!query.tags.every(tag => (analysis.tags || []).includes(tag))) return false;
+  if (query.terms.length > 0) {
+    const text = searchableText(analysis);
+    if (!query.terms.every(term => text.includes(term))) return false;
+  }
+  return true;
+}
+
+/**
+ * Summary shape of an analysis for list responses, without results.
+ *
+ * @param {object} analysis
+ * @returns {object}
+ */
+function summarizeAnalysis(analysis) {
+  return {
+    id: analysis.id,
+    timestamp: analysis.timestamp,
+    updatedAt: analysis.updatedAt || null,
+    revision: analysis.revision || 1,
+    variant: analysis.variant,
+    provider: analysis.provider,
+    framework: analysis.framework || frameworks.DEFAULT_FRAMEWORK,
+    competitors: (analysis.competitors || []).map(c => (c && c.name) || ''),
+    ownProduct: analysis.ownProduct ? analysis.ownProduct.name : null,
+    projectId: analysis.projectId || null,
+    tags: analysis.tags || []
+  };
+}
+
+/**
+ * Filter, sort and page a user's analyses.
+ *
+ * @param {Array} list The user's analyses
+ * @param {object} query Output of parseListQuery
+ * @returns {{ items: Array, total: number, nextCursor: string|null }}
+ *          `items` are the analyses of the page (not yet presented);
+ *          `total` counts every match across pages
+ */
+function queryAnalyses(list, query) {
+  const { key, direction } = SORTS[query.sort];
+  const compare = (a, b) => (key(a) - key(b)) * direction || a.id.localeCompare(b.id);
+  const matching = list.filter(a => matches(a, query)).sort(compare);
+  let start = 0;
+  if (query.cursor) {
+    const { key: cursorKey, id: cursorId } = query.cursor;
+    start = matching.findIndex(a => ((key(a) - cursorKey) * direction || a.id.localeCompare(cursorId)) > 0);
+    if (start === -1) start = matching.length;
+  }
+  const items = matching.slice(start, start + query.limit);
+  const hasMore = start + items.length < matching.length;
+  return {
+    items,
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(query.sort, items[items.length - 1]) : null
+  };
+}
+
+module.exports = {
+  parseListQuery,
+  queryAnalyses,
+  summarizeAnalysis,
+};
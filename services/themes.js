@@ -0,0 +1,196 @@
+/**
+ * Theme clustering of similar items across competitors.
+ *
+ * With many competitors the same claim shows up over and over in
+ * slightly different words ("easy to use", "easy onboarding",
+ * "intuitive and easy").  This module groups such items into themes:
+ *
+ *   • every item becomes a TF‑IDF vector of its words, without
+ *     stopwords, intensifiers and the competitor's own name, plus the
+ *     lexicon themes it matches so "schnell" and "fast" count as the
+ *     same word;
+ *   • items are clustered per category with a single greedy pass: an
+ *     item joins the most similar theme if the cosine similarity to
+ *     the theme's centroid reaches SIMILARITY_THRESHOLD, otherwise it
+ *     starts a new theme;
+ *   • themes with members from at least two different competitors
+ *     are kept (similar items of a single competitor are no shared
+ *     theme).  The member closest to the centroid is the
+ *     representative `label`, and the heaviest words are listed as
+ *     `terms`.
+ *
+ * Templated items and the cross‑competitor landscape items (which are
+ * already shared by construction) are left out.
+ */
+const analyzer = require('./analyzer');
+const languages = require('./languages');
+
+// Minimum cosine similarity for an item to join an existing theme
+const SIMILARITY_THRESHOLD = 0.25;
+// Number of top weighted words reported per theme
+const TERM_COUNT = 3;
+// Lexicon theme features are prefixed so they never collide with words
+const THEME_PREFIX = 'theme:';
+
+/**
+ * Turn an item text into its terms.
+ *
+ * @param {string} text
+ * @param {Set<string>} ignored Stopwords, intensifiers and competitor name tokens
+ * @param {object} lexicon Lexicon whose themes are added as terms
+ * @param {string} language
+ * @returns {string[]}
+ */
+function termsOf(text, ignored, lexicon, language) {
+  const words = analyzer.tokenize(text)
+    .filter(token => token.length > 1 && !ignored.has(token) && !/^\d+$/.test(token))
+    // Crude plural folding so "integration" and "integrations" match
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+  const themes = analyzer.matchSentence(text, lexicon, language).matches
+    .filter(m => !m.negated)
+    .map(m => THEME_PREFIX + m.theme);
+  return words.concat(themes);
+}
+
+/**
+ * Build TF‑IDF vectors for a set of term lists.
+ *
+ * @param {string[][]} documents
+ * @returns {Array<Map<string, number>>}
+ */
+function tfidf(documents) {
+  const df = new Map();
+  documents.forEach(terms => {
+    new Set(terms).forEach(term => df.set(term, (df.get(term) || 0) + 1));
+  });
+  const n = documents.length;
+  return documents.map(terms => {
+    const vector = new Map();
+    terms.forEach(term => vector.set(term, (vector.get(term) || 0) + 1));
+    vector.forEach((tf, term) => {
+      // Smoothed IDF keeps words shared by every item above zero
+      vector.set(term, tf * (Math.log((1 + n) / (1 + df.get(term))) + 1));
+    });
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two sparse vectors.
+ *
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number}
+ */
+function cosine(a, b) {
+  let dot = 0;
+  a.forEach((weight, term) => {
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  const norm = v => Math.sqrt(Array.from(v.values()).reduce((sum, w) => sum + w * w, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+/**
+ * Add a vector to a centroid (the sum of its members' vectors).
+ *
+ * @param {Map<string, number>} centroid Updated in place
+ * @param {Map<string, number>} vector
+ */
+function addTo(centroid, vector) {
+  vector.forEach((weight, term) => centroid.set(term, (centroid.get(term) || 0) + weight));
+}
+
+/**
+ * Cluster the items of one category across competitors.
+ *
+ * @param {Array} members Items as { competitor, competitorIndex, itemIndex, text, score }
+ * @param {string[][]} termLists Terms of each member
+ * @returns {Array} Themes with members from at least two competitors
+ */
+function clusterCategory(members, termLists) {
+  const vectors = tfidf(termLists);
+  const clusters = [];
+  vectors.forEach((vector, idx) => {
+    if (vector.size === 0) return;
+    let best = null;
+    let bestSimilarity = 0;
+    clusters.forEach(cluster => {
+      const similarity = cosine(vector, cluster.centroid);
+      if (similarity > bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    });
+    if (best && bestSimilarity >= SIMILARITY_THRESHOLD) {
+      best.members.push(idx);
+      addTo(best.centroid, vector);
+    } else {
+      const centroid = new Map();
+      addTo(centroid, vector);
+      clusters.push({ members: [idx], centroid });
+    }
+  });
+  const shared = clusters.filter(cluster =>
+    new Set(cluster.members.map(idx => members[idx].competitorIndex)).size >= 2);
+  return shared.map(cluster => {
+    const representative = cluster.members.reduce((bestIdx, idx) =>
+      (cosine(vectors[idx], cluster.centroid) > cosine(vectors[bestIdx], cluster.centroid) ? idx : bestIdx));
+    const terms = Array.from(new Set(Array.from(cluster.centroid.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([term]) => (term.startsWith(THEME_PREFIX) ? term.slice(THEME_PREFIX.length) : term))))
+      .slice(0, TERM_COUNT);
+    const themeMembers = cluster.members.map(idx => members[idx]);
+    return {
+      label: members[representative].text,
+      terms,
+      competitors: Array.from(new Set(themeMembers.map(m => m.competitor))),
+      members: themeMembers
+    };
+  });
+}
+
+/**
+ * Group similar items of every category across all results.
+ *
+ * @param {Array} results Analysis results
+ * @param {{ field: string, categories: Array<{ key: string }> }} framework
+ *        Framework the results were produced with
+ * @param {object} [lexicon] Custom lexicon used for the analysis
+ * @returns {Array} Themes `{ id, category, label, terms, competitors, members }`,
+ *          largest first within each category; members are
+ *          `{ competitor, competitorIndex, itemIndex, text, score }`
+ */
+function clusterThemes(results, framework, lexicon) {
+  const themes = [];
+  framework.categories.forEach(({ key }) => {
+    const members = [];
+    const termLists = [];
+    results.forEach((result, competitorIndex) => {
+      const pack = languages.getLanguagePack(result.language);
+      const ignored = new Set([...pack.stopwords, ...Object.keys(pack.intensifiers), ...analyzer.tokenize(String(result.name || ''))]);
+      const items = (result[framework.field] && result[framework.field][key]) || [];
+      items.forEach((item, itemIndex) => {
+        if (!item || item.templated || item.drivenBy) return;
+        const text = typeof item === 'string' ? item : item.text;
+        members.push({
+          competitor: result.name,
+          competitorIndex,
+          itemIndex,
+          text,
+          score: typeof item === 'string' ? 0 : item.score
+        });
+        termLists.push(termsOf(text, ignored, lexicon || pack.lexicon, result.language));
+      });
+    });
+    clusterCategory(members, termLists)
+      .sort((a, b) => b.members.length - a.members.length)
+      .forEach((theme, idx) => themes.push({ id: `${key}-${idx + 1}`, category: key, ...theme }));
+  });
+  return themes;
+}
+
+module.exports = {
+  clusterThemes,
+};
@@ -0,0 +1,90 @@
+/**
+ * Tests of the keyword heuristic analyzer.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const analyzer = require('../services/analyzer');
+
+const textsOf = items => items.map(item => item.text);
+
+test('normalizes lexicon keywords and their weights', () => {
+  assert.deepStrictEqual(analyzer.normalizeKeywords(['  Blazing ', { keyword: 'Reliable', weight: 2 }, { keyword: 'cheap' }]), [
+    { keyword: 'blazing', weight: 1 },
+    { keyword: 'reliable', weight: 2 },
+    { keyword: 'cheap', weight: 1 }
+  ]);
+});
+
+test('rejects invalid lexicon keywords', () => {
+  [
+    'fast',
+    [null],
+    [42],
+    ['  '],
+    [{ weight: 2 }],
+    [{ keyword: 'fast', weight: 0 }],
+    [{ keyword: 'fast', weight: '2' }]
+  ].forEach(entries => assert.strictEqual(analyzer.normalizeKeywords(entries), null, JSON.stringify(entries)));
+});
+
+test('scores sentences with the weights of a custom lexicon', () => {
+  const lexicon = {
+    positive: analyzer.normalizeKeywords(['blazing', { keyword: 'reliable', weight: 2 }]),
+    negative: analyzer.normalizeKeywords([{ keyword: 'pricey', weight: 3 }])
+  };
+  const swot = analyzer.analyzeDescription('Acme is blazing. Acme is reliable and fast. Acme is pricey but reliable.', 'Acme', { lexicon });
+  // The custom lexicon replaces the built-in keywords ("fast" does not count)
+  assert.deepStrictEqual(swot.strengths.map(item => [item.text, item.score]), [
+    ['Acme is reliable and fast', 2],
+    ['Acme is blazing', 1]
+  ]);
+  assert.deepStrictEqual(swot.weaknesses.map(item => [item.text, item.score]), [['Acme is pricey but reliable', -1]]);
+});
+
+test('falls back to templated items when nothing matches', () => {
+  const swot = analyzer.analyzeDescription('Acme sells software.', 'Acme');
+  assert.deepStrictEqual(textsOf(swot.strengths), ['Acme is positioned to deliver value to its users with proper execution.']);
+  assert.ok(swot.weaknesses[0].templated);
+  assert.strictEqual(swot.opportunities.length, 2);
+  assert.strictEqual(swot.threats.length, 2);
+});
+
+test('flips and dampens negated keywords', () => {
+  assert.strictEqual(analyzer.scoreSentence('It is not expensive'), 0.5);
+  assert.strictEqual(analyzer.scoreSentence("It isn't slow at all"), 0.5);
+  assert.strictEqual(analyzer.scoreSentence('It is never really fast'), -0.75);
+  assert.deepStrictEqual(analyzer.matchSentence('It is not expensive').matches,
+    [{ keyword: 'expensive', theme: 'expensive', polarity: -1, negated: true }]);
+});
+
+test('scales keywords by the intensifier before them', () => {
+  assert.strictEqual(analyzer.scoreSentence('It is very fast'), 1.5);
+  assert.strictEqual(analyzer.scoreSentence('It is extremely slow'), -2);
+  assert.strictEqual(analyzer.scoreSentence('It is somewhat complex'), -0.5);
+});
+
+test('matches keywords as whole words only', () => {
+  assert.strictEqual(analyzer.scoreSentence('It runs slowly'), 0);
+  assert.strictEqual(analyzer.scoreSentence('Breakfast is served'), 0);
+  assert.strictEqual(analyzer.scoreSentence('The UI is user-friendly'), 1);
+});
+
+test('does not split sentences at abbreviations, initials or decimals', () => {
+  const sentences = analyzer.splitSentences('Acme (e.g. for teams) costs 2.5 times more. Mr. Smith likes it! Really? Yes; ok');
+  assert.deepStrictEqual(sentences.map(s => s.text),
+    ['Acme (e.g. for teams) costs 2.5 times more', 'Mr. Smith likes it', 'Really', 'Yes', 'ok']);
+});
+
+test('traces items back to their source sentence', () => {
+  const description = 'Acme sells software.\n  Setup is very easy!  Support is slow and expensive.';
+  const swot = analyzer.analyzeDescription(description, 'Acme');
+  const [strength] = swot.strengths;
+  const [weakness] = swot.weaknesses;
+  assert.deepStrictEqual(strength.evidence, { keywords: ['easy'], sentenceIndex: 1, start: 23, end: 41 });
+  assert.strictEqual(description.slice(strength.evidence.start, strength.evidence.end), strength.text);
+  assert.deepStrictEqual(weakness.evidence.keywords, ['expensive', 'slow']);
+  assert.strictEqual(weakness.evidence.sentenceIndex, 2);
+  assert.strictEqual(description.slice(weakness.evidence.start, weakness.evidence.end), weakness.text);
+  // Templated items have no source
+  assert.ok(swot.opportunities.every(item => item.templated && !item.evidence));
+});
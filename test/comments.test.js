@@ -0,0 +1,55 @@
+/**
+ * Tests of comment targets and threads.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const frameworks = require('../services/frameworks');
+const { itemIdOf, resolveTarget, buildThreads } = require('../services/comments');
+
+const swot = frameworks.getFramework('swot');
+
+const analysis = {
+  results: [
+    { name: 'Acme', swot: { strengths: [{ text: 'Fast' }, 'Reliable'], weaknesses: [], opportunities: [], threats: [] } },
+    { name: 'Beta', swot: { strengths: [], weaknesses: [{ text: 'Expensive' }], opportunities: [], threats: [] } }
+  ]
+};
+
+test('resolves items by position or stable id', () => {
+  const byPosition = resolveTarget(analysis, swot, { competitorIndex: 0, category: 'strengths', itemIndex: 1 });
+  assert.deepStrictEqual(byPosition.item, {
+    itemId: itemIdOf('Acme', 'strengths', 'Reliable'),
+    competitor: 'Acme',
+    category: 'strengths',
+    text: 'Reliable'
+  });
+  const byId = resolveTarget(analysis, swot, { itemId: itemIdOf('Beta', 'weaknesses', 'Expensive') });
+  assert.strictEqual(byId.item.text, 'Expensive');
+  assert.deepStrictEqual(resolveTarget(analysis, swot, {}), { item: null });
+  assert.deepStrictEqual(resolveTarget(analysis, swot, { itemId: 'missing' }), { error: 'Item not found' });
+  assert.deepStrictEqual(resolveTarget(analysis, swot, { competitorIndex: 2, category: 'strengths', itemIndex: 0 }),
+    { error: 'Item not found' });
+});
+
+test('threads follow their item and detach when it disappears', () => {
+  const fast = { itemId: itemIdOf('Acme', 'strengths', 'Fast') };
+  const reliable = { itemId: itemIdOf('Acme', 'strengths', 'Reliable') };
+  const comments = [
+    { id: 'c1', item: fast, text: 'Really?' },
+    { id: 'c2', item: reliable, text: 'Source?' },
+    { id: 'c3', parentId: 'c1', item: fast, text: 'Benchmarks agree' },
+    { id: 'c4', item: null, text: 'Overall fine' },
+    { id: 'c5', parentId: 'gone', item: null, text: 'Orphan' }
+  ];
+  // Re-analysed: the strengths swapped places and "Reliable" is gone
+  const regenerated = {
+    results: [{ name: 'Acme', swot: { strengths: ['Cheap', { text: 'Fast' }], weaknesses: [], opportunities: [], threats: [] } }]
+  };
+  const threads = buildThreads(comments, regenerated, swot);
+  assert.deepStrictEqual(threads.map(t => [t.id, t.location, t.replies.map(r => r.id)]), [
+    ['c1', { competitorIndex: 0, category: 'strengths', itemIndex: 1 }, ['c3']],
+    ['c2', null, []],
+    ['c4', null, []]
+  ]);
+  assert.deepStrictEqual(threads[0].replies[0].location, threads[0].location);
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests of curation operations and their reapplication after
+ * regeneration.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const frameworks = require('../services/frameworks');
+const { createCuration, applyCurations } = require('../services/curation');
+
+const swot = frameworks.getFramework('swot');
+
+/**
+ * Build a SWOT result.
+ *
+ * @param {string} name
+ * @param {object} categories Items per category key
+ * @returns {object}
+ */
+function result(name, categories) {
+  return { name, swot: { strengths: [], weaknesses: [], opportunities: [], threats: [], ...categories } };
+}
+
+/**
+ * Create curations one after the other, each against the results
+ * curated so far, failing the test on errors.
+ *
+ * @param {Array} generated
+ * @param {Array} requests Curation request bodies
+ * @returns {Array} Curations
+ */
+function curate(generated, requests) {
+  const curations = [];
+  requests.forEach(data => {
+    const results = applyCurations(generated, curations, swot);
+    const { curation, error } = createCuration(data, { results }, swot);
+    assert.strictEqual(error, undefined);
+    curations.push(curation);
+  });
+  return curations;
+}
+
+test('applies every operation and records the item origin', () => {
+  const generated = [result('Acme', { strengths: ['Fast', 'Reliable', 'Cheap'], weaknesses: [{ text: 'Slow support', score: -1 }] })];
+  const curations = curate(generated, [
+    { op: 'hide', competitorIndex: 0, category: 'strengths', itemIndex: 2 },
+    { op: 'edit', competitorIndex: 0, category: 'strengths', itemIndex: 0, text: 'Very fast' },
+    { op: 'pin', competitorIndex: 0, category: 'strengths', itemIndex: 1 },
+    { op: 'move', competitorIndex: 0, category: 'weaknesses', itemIndex: 0, toCategory: 'threats' },
+    { op: 'add', competitorIndex: 0, category: 'opportunities', text: ' New market ' }
+  ]);
+  const [acme] = applyCurations(generated, curations, swot);
+  assert.deepStrictEqual(acme.swot.strengths, [
+    { text: 'Reliable', origin: 'generated', pinned: true },
+    { text: 'Very fast', origin: 'edited', originalText: 'Fast' }
+  ]);
+  assert.deepStrictEqual(acme.swot.weaknesses, []);
+  assert.deepStrictEqual(acme.swot.threats, [{ text: 'Slow support', score: -1, origin: 'edited', movedFrom: 'weaknesses' }]);
+  assert.deepStrictEqual(acme.swot.opportunities, [
+    { text: 'New market', score: 0, origin: 'manual', curationId: curations[4].id }
+  ]);
+  assert.deepStrictEqual(generated[0].swot.strengths, ['Fast', 'Reliable', 'Cheap']);
+});
+
+test('reapplies curations after regeneration and marks missing items stale', () => {
+  const curations = curate([result('Acme', { strengths: ['Fast', 'Cheap'] })], [
+    { op: 'hide', competitorIndex: 0, category: 'strengths', itemIndex: 1 },
+    { op: 'edit', competitorIndex: 0, category: 'strengths', itemIndex: 0, text: 'Very fast' }
+  ]);
+  // Regenerated: "Cheap" moved to the front and "Fast" is gone
+  const [acme] = applyCurations([result('Acme', { strengths: ['Cheap', 'Secure'] })], curations, swot);
+  assert.deepStrictEqual(acme.swot.strengths, [{ text: 'Secure', origin: 'generated' }]);
+  assert.deepStrictEqual(curations.map(c => c.stale), [false, true]);
+});
+
+test('rejects invalid curations', () => {
+  const analysis = { results: [result('Acme', { strengths: ['Fast'] })] };
+  const error = data => createCuration(data, analysis, swot);
+  assert.deepStrictEqual(error({ op: 'delete' }), { status: 400, error: 'Unknown curation op: delete' });
+  assert.deepStrictEqual(error({ op: 'hide', competitorIndex: 0, category: 'strengths', itemIndex: 3 }),
+    { status: 404, error: 'Item not found' });
+  assert.deepStrictEqual(error({ op: 'edit', competitorIndex: 0, category: 'strengths', itemIndex: 0, text: ' ' }),
+    { status: 400, error: 'Item text required' });
+  assert.deepStrictEqual(error({ op: 'move', competitorIndex: 0, category: 'strengths', itemIndex: 0, toCategory: 'strengths' }),
+    { status: 400, error: 'toCategory must be another category of the framework' });
+  assert.deepStrictEqual(error({ op: 'add', competitorIndex: 1, category: 'strengths', text: 'x' }),
+    { status: 404, error: 'Competitor not found' });
+  assert.deepStrictEqual(error({ op: 'add', competitorIndex: 0, category: 'forces', text: 'x' }),
+    { status: 400, error: 'Unknown category: forces' });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests of the differentiation of competitors against our own product.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const analyzer = require('../services/analyzer');
+const { extractPricing } = require('../services/pricing');
+const { buildFeatureMatrix } = require('../services/featureMatrix');
+const { applyDifferentiation } = require('../services/differentiation');
+
+/**
+ * Analyse our product and competitors the way runAnalysis does and
+ * apply the differentiation.
+ *
+ * @param {object} own { name, description }
+ * @param {Array} competitors { name, description }
+ * @returns {Promise<Array>} Competitor results
+ */
+async function differentiate(own, competitors) {
+  const analysed = [own, ...competitors];
+  const results = await Promise.all(analysed.map(async ({ name, description }) => {
+    const { swot } = await analyzer.analyzeWithProvider('heuristic', description, name, { language: 'en' });
+    return { name, language: 'en', swot, pricing: extractPricing(description) };
+  }));
+  const featureMatrix = buildFeatureMatrix(analysed, results);
+  const [baseline, ...rest] = results;
+  applyDifferentiation(baseline, rest, featureMatrix);
+  return rest;
+}
+
+const keysOf = entries => entries.map(entry => `${entry.kind}:${entry.key}`).sort();
+
+test('sorts strength themes and features into the three buckets', async () => {
+  const [rival] = await differentiate(
+    { name: 'Ours', description: 'Ours is fast and easy. It offers an API and SSO.' },
+    [{ name: 'Rival', description: 'Rival is fast and scalable. It offers an API.' }]
+  );
+  const diff = rival.differentiation;
+  assert.strictEqual(diff.against, 'Ours');
+  assert.ok(keysOf(diff.shared).includes('theme:fast'));
+  assert.ok(keysOf(diff.theyBeatUs).includes('theme:scalable'));
+  assert.ok(keysOf(diff.weBeatThem).includes('theme:easy'));
+  assert.ok(diff.weBeatThem.some(entry => entry.kind === 'feature'));
+});
+
+test('compares real per-seat entry prices and free tiers', async () => {
+  const [cheaper, pricier] = await differentiate(
+    { name: 'Ours', description: 'Ours costs $20/user/month.' },
+    [
+      { name: 'Cheaper', description: 'Cheaper costs $10 per user per month and has a free plan.' },
+      { name: 'Pricier', description: 'Pricier costs $40/user/month.' }
+    ]
+  );
+  const entry = cheaper.differentiation.theyBeatUs.find(e => e.key === 'entry-price');
+  assert.deepStrictEqual([entry.ours, entry.theirs, entry.label], [20, 10, 'Lower entry price']);
+  assert.ok(cheaper.differentiation.theyBeatUs.some(e => e.key === 'free-tier'));
+  assert.ok(pricier.differentiation.weBeatThem.some(e => e.key === 'entry-price'));
+});
+
+test('skips the entry price when a side only has a flat price', async () => {
+  const [flat] = await differentiate(
+    { name: 'Ours', description: 'Ours costs $20/user/month.' },
+    [{ name: 'Flat', description: 'Flat costs €300 per year.' }]
+  );
+  const { theyBeatUs, weBeatThem, shared } = flat.differentiation;
+  assert.ok(![...theyBeatUs, ...weBeatThem, ...shared].some(e => e.key === 'entry-price'));
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests of the CSV, Markdown and JSON exports.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getFramework } = require('../services/frameworks');
+const { SCHEMA, exportAnalysis } = require('../services/exporter');
+
+const SWOT = getFramework('swot');
+
+const ANALYSIS = {
+  id: '0123456789abcdef',
+  timestamp: Date.UTC(2026, 0, 15),
+  updatedAt: Date.UTC(2026, 0, 16),
+  revision: 2,
+  ownProduct: { name: 'Ours', description: 'Ours is easy.' },
+  baseline: {
+    name: 'Ours',
+    swot: { strengths: [{ text: 'Easy', score: 1, origin: 'generated' }], weaknesses: [], opportunities: [], threats: [] }
+  },
+  competitors: [{ name: 'Acme', description: 'Acme is fast, "really" fast.' }],
+  results: [{
+    name: 'Acme',
+    swot: {
+      strengths: [{ text: 'Acme is fast, "really" fast.', score: 1.5, origin: 'generated', pinned: true }],
+      weaknesses: ['=HYPERLINK("x")'],
+      opportunities: [{ text: 'Expand to Europe', score: 0, origin: 'manual' }],
+      threats: []
+    }
+  }]
+};
+
+test('exports one CSV row per item with the baseline rows first', () => {
+  const { body, contentType, filename } = exportAnalysis(ANALYSIS, SWOT, 'csv');
+  assert.strictEqual(contentType, 'text/csv; charset=utf-8');
+  assert.strictEqual(filename, 'analysis-2026-01-15-01234567.csv');
+  assert.deepStrictEqual(body.split('\r\n'), [
+    'competitor,category,text,score,origin,ownProduct',
+    'Ours,Strengths,Easy,1,generated,true',
+    'Acme,Strengths,"Acme is fast, ""really"" fast.",1.5,generated,false',
+    'Acme,Weaknesses,"\'=HYPERLINK(""x"")",0,generated,false',
+    'Acme,Opportunities,Expand to Europe,0,manual,false',
+    ''
+  ]);
+});
+
+test('exports a Markdown section per competitor', () => {
+  const { body } = exportAnalysis(ANALYSIS, SWOT, 'md');
+  const lines = body.split('\n');
+  assert.strictEqual(lines[0], '# SWOT analysis');
+  assert.ok(lines.includes('Date: 2026-01-16, revision 2'));
+  assert.ok(lines.indexOf('## Ours (our product)') < lines.indexOf('## Acme'));
+  assert.ok(lines.includes('- Acme is fast, "really" fast. _(pinned)_'));
+  assert.ok(lines.includes('- Expand to Europe _(manual)_'));
+});
+
+test('exports the versioned JSON document', () => {
+  const document = JSON.parse(exportAnalysis(ANALYSIS, SWOT, 'json').body);
+  assert.strictEqual(document.schema, SCHEMA);
+  assert.strictEqual(document.createdAt, '2026-01-15T00:00:00.000Z');
+  assert.deepStrictEqual(document.ownProduct.items.strengths, [{ text: 'Easy', score: 1, origin: 'generated', pinned: false }]);
+  assert.strictEqual(document.competitors[0].description, 'Acme is fast, "really" fast.');
+  assert.deepStrictEqual(document.competitors[0].items.weaknesses, [{ text: '=HYPERLINK("x")', score: 0, origin: 'generated', pinned: false }]);
+  assert.deepStrictEqual(document.framework.categories.map(c => c.key), ['strengths', 'weaknesses', 'opportunities', 'threats']);
+});
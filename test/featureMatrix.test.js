@@ -0,0 +1,51 @@
+/**
+ * Tests of the competitor feature matrix.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildFeatureMatrix } = require('../services/featureMatrix');
+
+const statuses = row => Object.fromEntries(Object.entries(row.cells).map(([id, cell]) => [id, cell.status]));
+
+test('marks mentioned features present, negated ones absent and the rest unknown', () => {
+  const matrix = buildFeatureMatrix([
+    { name: 'Acme', description: 'Acme integrates with Slack and is SOC2 certified. There is no Android app.' },
+    { name: 'Beta', description: 'Beta does not integrate with Slack. Beta has an Android app and SSO via SAML.' }
+  ]);
+  assert.deepStrictEqual(matrix.competitors, ['Acme', 'Beta']);
+  // Features are listed by category, and only when somebody mentions them
+  assert.deepStrictEqual(matrix.features.map(f => f.id), ['slack', 'android', 'soc2', 'sso']);
+  assert.deepStrictEqual(statuses(matrix.rows[0]), { slack: 'present', android: 'absent', soc2: 'present', sso: 'unknown' });
+  assert.deepStrictEqual(statuses(matrix.rows[1]), { slack: 'absent', android: 'present', soc2: 'unknown', sso: 'present' });
+});
+
+test('normalizes synonyms to one feature', () => {
+  const matrix = buildFeatureMatrix([
+    { name: 'Acme', description: 'Acme is SOC 2 compliant.' },
+    { name: 'Beta', description: 'Beta is soc-2 compliant.' }
+  ]);
+  assert.deepStrictEqual(matrix.features, [{ id: 'soc2', label: 'SOC 2', category: 'compliance' }]);
+  assert.ok(matrix.rows.every(row => row.cells.soc2.status === 'present'));
+});
+
+test('records the deciding sentences as evidence', () => {
+  const description = 'Acme has no iOS app. Acme ships an iOS app since 2024.';
+  const [row] = buildFeatureMatrix([{ name: 'Acme', description }]).rows;
+  const cell = row.cells.ios;
+  // A single positive mention wins over a negated one
+  assert.strictEqual(cell.status, 'present');
+  assert.deepStrictEqual(cell.evidence.map(e => [e.text, e.negated]), [
+    ['Acme has no iOS app', true],
+    ['Acme ships an iOS app since 2024', false]
+  ]);
+  assert.strictEqual(description.slice(cell.evidence[1].start, cell.evidence[1].end), cell.evidence[1].text);
+});
+
+test('uses the language of each result for negations', () => {
+  const matrix = buildFeatureMatrix(
+    [{ name: 'Acme', description: 'Acme hat keine App für Android.' }],
+    [{ name: 'Acme GmbH', language: 'de' }]
+  );
+  assert.deepStrictEqual(matrix.competitors, ['Acme GmbH']);
+  assert.strictEqual(matrix.rows[0].cells.android.status, 'absent');
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests of the analysis framework registry and rule extraction.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const frameworks = require('../services/frameworks');
+
+test('lists SWOT, Porter and PESTLE without their extraction rules', () => {
+  const list = frameworks.listFrameworks();
+  assert.deepStrictEqual(list.map(f => [f.id, f.field]), [['swot', 'swot'], ['porter', 'forces'], ['pestle', 'pestle']]);
+  const porter = list.find(f => f.id === 'porter');
+  assert.deepStrictEqual(porter.categories[0], { key: 'rivalry', label: 'Competitive rivalry' });
+  assert.strictEqual(frameworks.getFramework('toString'), undefined);
+});
+
+test('puts each sentence into every category whose keywords it mentions', () => {
+  const porter = frameworks.getFramework('porter');
+  const description = 'Customers find it easy to switch to open source alternatives. The market is crowded.';
+  const items = frameworks.extractItems(porter, description);
+  assert.deepStrictEqual(Object.keys(items), ['rivalry', 'newEntrants', 'substitutes', 'buyerPower', 'supplierPower']);
+  assert.deepStrictEqual(items.rivalry.map(i => i.text), ['The market is crowded']);
+  assert.deepStrictEqual(items.substitutes.map(i => i.evidence.keywords), [['alternatives']]);
+  assert.deepStrictEqual(items.newEntrants.map(i => i.evidence.keywords), [['open source']]);
+  assert.deepStrictEqual(items.buyerPower[0].evidence.keywords, ['customers', 'switch']);
+  assert.strictEqual(items.buyerPower[0].score, 1);
+  assert.deepStrictEqual(items.supplierPower, []);
+});
+
+test('registers new rule frameworks', () => {
+  frameworks.registerFramework({
+    id: 'test-4p',
+    label: '4P',
+    field: 'marketingMix',
+    categories: [{ key: 'place', label: 'Place', keywords: ['retail', 'online store'] }]
+  });
+  const mix = frameworks.getFramework('test-4p');
+  const items = frameworks.extractItems(mix, 'Sold in retail and in the Online Store.');
+  assert.strictEqual(items.place.length, 1);
+  assert.deepStrictEqual(items.place[0].evidence.keywords, ['retail', 'online store']);
+  assert.throws(() => frameworks.registerFramework({ id: 'broken', field: 'x', categories: [{ key: 'a' }] }), /needs keywords/);
+  assert.throws(() => frameworks.registerFramework({ id: 'empty', field: 'x', categories: [] }), /at least one category/);
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests of the streaming CSV and JSON competitor import.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createImporter } = require('../services/importer');
+
+/**
+ * Import a document written in chunks of a few characters, so fields,
+ * quotes and line breaks are split across writes.
+ *
+ * @param {'csv'|'json'} format
+ * @param {string} text
+ * @param {object} [options]
+ * @returns {{ competitors: Array, errors: Array, rows: number }}
+ */
+function importText(format, text, options) {
+  const importer = createImporter(format, options);
+  assert.strictEqual(importer.error, undefined);
+  for (let i = 0; i < text.length; i += 3) importer.write(text.slice(i, i + 3));
+  return importer.end();
+}
+
+test('imports CSV with detected delimiters, quoting and aliases', () => {
+  const csv = 'Company;About;URL\r\n' +
+    'Acme;"Fast; ""reliable""\nand cheap";https://acme.example\r\n' +
+    ';;\r\n' +
+    'Beta;;\r\n' +
+    'Gamma;Secure;ftp://gamma\r\n';
+  assert.deepStrictEqual(importText('csv', csv), {
+    competitors: [{ name: 'Acme', description: 'Fast; "reliable"\nand cheap', website: 'https://acme.example' }],
+    errors: [{ row: 4, error: 'Missing description' }, { row: 5, error: 'Website must be an http(s) URL' }],
+    rows: 3
+  });
+});
+
+test('applies a custom column mapping', () => {
+  const csv = 'Vendor\tPitch\tlang\nAcme\tSchnell\tde';
+  assert.deepStrictEqual(importText('csv', csv, { mapping: 'Vendor:name,Pitch:description' }).competitors,
+    [{ name: 'Acme', description: 'Schnell', language: 'de' }]);
+  assert.deepStrictEqual(createImporter('csv', { mapping: 'Vendor:owner' }), { error: 'Invalid mapping: Vendor:owner' });
+  assert.deepStrictEqual(createImporter('xml'), { error: 'Unsupported import format: xml' });
+});
+
+test('imports JSON arrays and newline-delimited JSON', () => {
+  const array = '[{"name": "Acme", "description": "Fast, \\"really\\" [fast]"}, 42, {"name": "Beta"}]';
+  assert.deepStrictEqual(importText('json', array), {
+    competitors: [{ name: 'Acme', description: 'Fast, "really" [fast]' }],
+    errors: [{ row: 2, error: 'Expected an object' }, { row: 3, error: 'Missing description' }],
+    rows: 2
+  });
+  const lines = '{"name": "Acme", "summary": "Fast"}\n{broken\n{"name": "Beta", "desc": "Cheap", "lang": "xx"}\n';
+  assert.deepStrictEqual(importText('json', lines), {
+    competitors: [{ name: 'Acme', description: 'Fast' }],
+    errors: [{ row: 2, error: 'Invalid JSON' }, { row: 3, error: 'Unsupported language: xx' }],
+    rows: 2
+  });
+  assert.deepStrictEqual(importText('json', '[{"name": "Acme"').errors, [{ row: null, error: 'Malformed JSON array' }]);
+  assert.deepStrictEqual(importText('json', '  ').errors, [{ row: null, error: 'Empty import' }]);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests of the background job queue.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isFinished, createJobQueue } = require('../services/jobs');
+
+/**
+ * Create a queue whose runners wait until the test settles them.
+ *
+ * @param {number} concurrency
+ * @returns {{ queue: object, runs: Map<string, object>, updates: string[] }}
+ *          `runs` holds `{ resolve, reject, signal, progress }` per
+ *          started job id; `updates` records `id:status` on every update
+ */
+function controlledQueue(concurrency) {
+  const runs = new Map();
+  const updates = [];
+  const queue = createJobQueue({
+    concurrency,
+    run: (job, { signal, progress }) => new Promise((resolve, reject) => {
+      runs.set(job.id, { resolve, reject, signal, progress });
+    }),
+    onUpdate: job => updates.push(`${job.id}:${job.status}`)
+  });
+  return { queue, runs, updates };
+}
+
+// Let settled runners finish and the queue start the next jobs
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most `concurrency` jobs in the order they were enqueued', async () => {
+  const { queue, runs } = controlledQueue(2);
+  const jobs = ['a', 'b', 'c'].map(id => ({ id }));
+  jobs.forEach(job => queue.enqueue(job));
+  assert.deepStrictEqual(jobs.map(j => j.status), ['running', 'running', 'queued']);
+
+  runs.get('a').progress(1, 2);
+  assert.deepStrictEqual(jobs[0].progress, { done: 1, total: 2 });
+  runs.get('a').resolve({ ok: true });
+  runs.get('b').reject(new Error('Provider down'));
+  await settle();
+  assert.deepStrictEqual(jobs.map(j => j.status), ['succeeded', 'failed', 'running']);
+  assert.deepStrictEqual(jobs[0].result, { ok: true });
+  assert.strictEqual(jobs[1].error, 'Provider down');
+  assert.ok(jobs[0].finishedAt >= jobs[0].startedAt);
+  assert.ok(isFinished(jobs[0]) && isFinished(jobs[1]) && !isFinished(jobs[2]));
+});
+
+test('cancels queued and running jobs and discards late results', async () => {
+  const { queue, runs, updates } = controlledQueue(1);
+  const running = { id: 'a' };
+  const queued = { id: 'b' };
+  queue.enqueue(running);
+  queue.enqueue(queued);
+
+  assert.strictEqual(queue.cancel(queued), true);
+  assert.strictEqual(queue.cancel(running), true);
+  assert.strictEqual(runs.get('a').signal.aborted, true);
+  runs.get('a').progress(2, 2);
+  runs.get('a').resolve('late');
+  await settle();
+  assert.strictEqual(running.status, 'cancelled');
+  assert.strictEqual(running.result, null);
+  assert.strictEqual(running.progress, null);
+  assert.strictEqual(runs.has('b'), false);
+  assert.strictEqual(queue.cancel(running), false);
+  assert.deepStrictEqual(updates, ['a:queued', 'a:running', 'b:queued', 'b:cancelled', 'a:cancelled', 'a:cancelled']);
+});
+
+test('recovers unfinished jobs oldest first', () => {
+  const { queue, runs } = controlledQueue(1);
+  const jobs = [
+    { id: 'done', status: 'succeeded', createdAt: 1 },
+    { id: 'newer', status: 'queued', createdAt: 3 },
+    { id: 'interrupted', status: 'running', createdAt: 2, progress: { done: 1, total: 4 } }
+  ];
+  assert.strictEqual(queue.recover(jobs), 2);
+  assert.deepStrictEqual(Array.from(runs.keys()), ['interrupted']);
+  assert.strictEqual(jobs[2].progress, null);
+  assert.strictEqual(jobs[1].status, 'queued');
+  assert.strictEqual(jobs[0].status, 'succeeded');
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests of the cross‑competitor landscape pass.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const analyzer = require('../services/analyzer');
+const { applyLandscape } = require('../services/landscape');
+
+/**
+ * Analyse competitors with the heuristic the way the server does.
+ *
+ * @param {Array} competitors { name, description, language }
+ * @returns {Promise<Array>} Results as { name, language, swot }
+ */
+function analyse(competitors) {
+  return Promise.all(competitors.map(async ({ name, description, language }) => {
+    const { swot } = await analyzer.analyzeWithProvider('heuristic', description, name, { language });
+    return { name, language, swot };
+  }));
+}
+
+const COMPETITORS = [
+  { name: 'Acme', description: 'Acme is fast. Acme is expensive.', language: 'en' },
+  { name: 'Beta', description: 'Beta ist teuer und kompliziert.', language: 'de' },
+  { name: 'Gamma', description: 'Gamma is expensive and slow.', language: 'en' }
+];
+
+test('turns shared weaknesses into opportunities and unique strengths into threats', async () => {
+  const results = await analyse(COMPETITORS);
+  const landscape = applyLandscape(results, COMPETITORS);
+  assert.deepStrictEqual(landscape.opportunities.map(o => [o.kind, o.theme, o.drivenBy]),
+    [['market-gap', 'expensive', ['Acme', 'Beta', 'Gamma']]]);
+  assert.deepStrictEqual(landscape.threats.map(t => [t.kind, t.theme, t.drivenBy]),
+    [['unique-strength', 'fast', ['Acme']]]);
+  assert.ok(landscape.whitespace.some(w => w.theme === 'easy'));
+  assert.ok(!landscape.whitespace.some(w => w.theme === 'fast'));
+  // The owner of a unique strength is not threatened by it
+  assert.ok(!results[0].swot.threats.some(t => t.kind === 'unique-strength'));
+  assert.ok(results[2].swot.threats.some(t => t.kind === 'unique-strength' && t.theme === 'fast'));
+  assert.ok(results.every(r => !r.swot.opportunities.some(o => o.templated)));
+});
+
+test('writes landscape items in the language of each competitor', async () => {
+  const results = await analyse(COMPETITORS);
+  const landscape = applyLandscape(results, COMPETITORS, null, 'es');
+  const [acme, beta] = results;
+  assert.match(acme.swot.opportunities[0].text, /^3 of 3 competitors share the weakness "expensive"/);
+  assert.match(beta.swot.opportunities[0].text, /^3 von 3 Wettbewerbern teilen die Schwäche „teuer“/);
+  assert.match(beta.swot.threats[0].text, /^Acme ist der einzige Wettbewerber mit der Stärke „schnell“/);
+  assert.match(beta.swot.opportunities[1].text, /^Kein Wettbewerber betont „einfach“/);
+  assert.match(landscape.opportunities[0].text, /comparten la debilidad «caro»/);
+  // Themes stay English so items can be compared across languages
+  assert.strictEqual(beta.swot.opportunities[0].theme, 'expensive');
+});
+
+test('keeps the templated items of a single competitor', async () => {
+  const [only] = COMPETITORS;
+  const results = await analyse([only]);
+  const landscape = applyLandscape(results, [only]);
+  assert.deepStrictEqual(landscape, { opportunities: [], threats: [], whitespace: [] });
+  assert.ok(results[0].swot.opportunities.every(o => o.templated));
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests of the language packs and language detection.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const analyzer = require('../services/analyzer');
+const languages = require('../services/languages');
+
+test('detects the language of a description from its stopwords', () => {
+  assert.strictEqual(languages.detectLanguage('Das Produkt ist schnell und die Einrichtung ist einfach.'), 'de');
+  assert.strictEqual(languages.detectLanguage('El producto es rápido y fácil de usar.'), 'es');
+  assert.strictEqual(languages.detectLanguage('The product is fast and easy to use.'), 'en');
+  // Without any stopwords English is assumed
+  assert.strictEqual(languages.detectLanguage('Schnell.'), 'en');
+  assert.strictEqual(languages.detectLanguage(''), 'en');
+});
+
+test('knows the supported languages and falls back to English', () => {
+  assert.deepStrictEqual(languages.listLanguages(), ['en', 'de', 'es']);
+  assert.strictEqual(languages.isSupportedLanguage('de'), true);
+  assert.strictEqual(languages.isSupportedLanguage('fr'), false);
+  assert.strictEqual(languages.isSupportedLanguage(7), false);
+  assert.strictEqual(languages.getLanguagePack('fr').code, 'en');
+});
+
+test('analyses German descriptions with the German pack', () => {
+  const swot = analyzer.analyzeDescription('Die App ist z. B. sehr schnell. Der Support ist nicht langsam. Sie ist teuer.', 'Acme', { language: 'de' });
+  assert.deepStrictEqual(swot.strengths.map(item => [item.text, item.score]), [
+    ['Die App ist z. B. sehr schnell', 1.5],
+    ['Der Support ist nicht langsam', 0.5]
+  ]);
+  assert.deepStrictEqual(swot.weaknesses.map(item => item.evidence.keywords), [['teuer']]);
+  assert.match(swot.threats[0].text, /^Wettbewerber mit mehr Ressourcen/);
+});
+
+test('writes templated items in the language of the description', () => {
+  const swot = analyzer.analyzeDescription('Nada.', 'Acme', { language: 'es' });
+  assert.strictEqual(swot.strengths[0].text, 'Acme está en condiciones de aportar valor a sus usuarios con una buena ejecución.');
+  assert.strictEqual(analyzer.scoreSentence('No es caro', languages.getLanguagePack('es').lexicon, 'es'), 0.5);
+});
+
+test('maps keywords of every language to English themes', () => {
+  const themeOf = (keyword, code) => languages.getLanguagePack(code).lexicon.positive.find(k => k.keyword === keyword).theme;
+  assert.strictEqual(themeOf('schnell', 'de'), 'fast');
+  assert.strictEqual(themeOf('rápido', 'es'), 'fast');
+  assert.strictEqual(themeOf('fast', 'en'), 'fast');
+});
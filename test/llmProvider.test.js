@@ -0,0 +1,114 @@
+/**
+ * Tests of the LLM over HTTP provider and the heuristic fallback,
+ * against a local stub completion endpoint.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Read by services/analyzer.js when it is loaded
+process.env.ANALYZER_TIMEOUT_MS = '300';
+const analyzer = require('../services/analyzer');
+const llmProvider = require('../services/llmProvider');
+
+analyzer.registerProvider(llmProvider);
+
+const SWOT = {
+  strengths: ['Fast onboarding'],
+  weaknesses: ['Expensive plans'],
+  opportunities: ['Enterprise market'],
+  threats: ['Open source rivals']
+};
+const DESCRIPTION = 'The product is fast and easy to use. Support is slow.';
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const reply = data => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (req.url === '/openai') {
+        reply({ choices: [{ message: { content: `Here you go:\n\`\`\`json\n${JSON.stringify(SWOT)}\n\`\`\`` } }] });
+      } else if (req.url === '/ollama') {
+        reply({ message: { content: JSON.stringify(SWOT) } });
+      } else if (req.url === '/slow') {
+        setTimeout(() => reply({ choices: [{ message: { content: JSON.stringify(SWOT) } }] }), 2000);
+      } else if (req.url === '/invalid') {
+        reply({ choices: [{ message: { content: 'I cannot help with that.' } }] });
+      } else {
+        res.writeHead(500);
+        res.end('boom');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  delete process.env.ANALYZER_LLM_URL;
+});
+
+test('uses the SWOT of an OpenAI-compatible endpoint and scores its items', async () => {
+  process.env.ANALYZER_LLM_URL = `${baseUrl}/openai`;
+  process.env.ANALYZER_LLM_API_KEY = 'secret';
+  const outcome = await analyzer.analyzeWithProvider('llm', DESCRIPTION, 'Acme');
+  delete process.env.ANALYZER_LLM_API_KEY;
+  assert.strictEqual(outcome.provider, 'llm');
+  assert.strictEqual(outcome.fallback, false);
+  assert.deepStrictEqual(outcome.swot.strengths.map(item => item.text), SWOT.strengths);
+  assert.strictEqual(typeof outcome.swot.weaknesses[0].score, 'number');
+  const sent = requests[requests.length - 1];
+  assert.strictEqual(sent.headers.authorization, 'Bearer secret');
+  assert.match(sent.body.messages[0].content, /"Acme"/);
+});
+
+test('accepts native Ollama responses', async () => {
+  process.env.ANALYZER_LLM_URL = `${baseUrl}/ollama`;
+  const outcome = await analyzer.analyzeWithProvider('llm', DESCRIPTION, 'Acme');
+  assert.strictEqual(outcome.provider, 'llm');
+  assert.deepStrictEqual(outcome.swot.threats.map(item => item.text), SWOT.threats);
+});
+
+test('falls back to the heuristic when the endpoint fails', async () => {
+  process.env.ANALYZER_LLM_URL = `${baseUrl}/error`;
+  const outcome = await analyzer.analyzeWithProvider('llm', DESCRIPTION, 'Acme');
+  assert.strictEqual(outcome.provider, analyzer.DEFAULT_PROVIDER);
+  assert.strictEqual(outcome.fallback, true);
+  assert.match(outcome.error, /500/);
+  assert.ok(outcome.swot.strengths.length > 0);
+});
+
+test('falls back to the heuristic when the endpoint times out', async () => {
+  process.env.ANALYZER_LLM_URL = `${baseUrl}/slow`;
+  const started = Date.now();
+  const outcome = await analyzer.analyzeWithProvider('llm', DESCRIPTION, 'Acme');
+  assert.ok(Date.now() - started < 1500, 'did not wait for the slow endpoint');
+  assert.strictEqual(outcome.fallback, true);
+  assert.match(outcome.error, /timed out after 300ms/);
+});
+
+test('falls back to the heuristic when the answer is not a SWOT object', async () => {
+  process.env.ANALYZER_LLM_URL = `${baseUrl}/invalid`;
+  const outcome = await analyzer.analyzeWithProvider('llm', DESCRIPTION, 'Acme');
+  assert.strictEqual(outcome.fallback, true);
+});
+
+test('falls back to the heuristic when no endpoint is configured', async () => {
+  delete process.env.ANALYZER_LLM_URL;
+  const outcome = await analyzer.analyzeWithProvider('llm', DESCRIPTION, 'Acme');
+  assert.strictEqual(outcome.fallback, true);
+  assert.match(outcome.error, /ANALYZER_LLM_URL/);
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests of pricing extraction and the normalized price comparison.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractPricing, seatEntryPrice, applyPricing } = require('../services/pricing');
+
+test('normalizes per-seat prices of any period to a month', () => {
+  const pricing = extractPricing('Plans start at $29/user/month or $290 per user per year.');
+  assert.deepStrictEqual(pricing.pricePoints.map(p => [p.text, p.period, p.model, p.monthlyPerSeat]), [
+    ['$29/user/month', 'month', 'per-seat', 29],
+    ['$290 per user per year', 'year', 'per-seat', 24.17]
+  ]);
+  assert.deepStrictEqual(pricing.monthlyPerSeat, { min: 24.17, max: 29 });
+});
+
+test('converts currencies and localized amounts', () => {
+  const pricing = extractPricing('Pay 1.200,50 € per year.', { currency: 'EUR' });
+  const [point] = pricing.pricePoints;
+  assert.strictEqual(point.amount, 1200.5);
+  assert.strictEqual(point.currency, 'EUR');
+  assert.strictEqual(pricing.currency, 'EUR');
+  // A flat price is spread over the assumed team size
+  assert.strictEqual(point.seatsAssumed, 10);
+  assert.strictEqual(point.monthlyPerSeat, 10);
+  assert.strictEqual(extractPricing('Pay 100 EUR per user per month.').pricePoints[0].monthlyPerSeat, 108);
+});
+
+test('marks entry prices that come from assumed seats', () => {
+  assert.strictEqual(extractPricing('€300 per year.').monthlyPerSeat.seatsAssumed, 10);
+  const mixed = extractPricing('€300 per year for the team, or $20/user/month.');
+  assert.strictEqual(mixed.monthlyPerSeat.seatsAssumed, 10);
+  assert.strictEqual(seatEntryPrice(mixed), 20);
+  assert.strictEqual(seatEntryPrice(extractPricing('€300 per year.')), null);
+});
+
+test('finds free tiers with their seat limit but not negated ones or trials', () => {
+  const pricing = extractPricing('Der Pro-Tarif kostet 49 EUR pro Monat. Kostenloser Tarif für bis zu 5 Nutzer.', { language: 'de' });
+  assert.strictEqual(pricing.freeTier.seatLimit, 5);
+  assert.strictEqual(pricing.pricePoints[0].period, 'month');
+  assert.strictEqual(extractPricing('There is no free plan, only a free trial.').freeTier, null);
+});
+
+test('ranks only real per-seat prices and keeps items ordered by score', () => {
+  const results = [
+    { name: 'Flat', language: 'en', swot: { strengths: [], weaknesses: [] } },
+    { name: 'Seat', language: 'en', swot: { strengths: [{ text: 'Very fast', score: 1.5 }, { text: 'Fairly easy', score: 0.7 }], weaknesses: [] } },
+    { name: 'Pricey', language: 'en', swot: { strengths: [], weaknesses: [{ text: 'Extremely slow', score: -2 }, { text: 'Slightly buggy', score: -0.5 }] } }
+  ];
+  applyPricing(results, [
+    { description: 'Costs €300 per year.' },
+    { description: 'Costs $10/user/month and has a free plan.' },
+    { description: 'Costs $30 per user per month.' }
+  ]);
+  assert.deepStrictEqual(results.map(r => r.pricing.position), [null, 'cheapest', 'premium']);
+  assert.ok(!results[0].swot.strengths.some(item => item.kind === 'pricing'));
+  assert.deepStrictEqual(results[1].swot.strengths.map(item => item.score), [1.5, 1, 1, 0.7]);
+  assert.match(results[1].swot.strengths[1].text, /lowest entry price .*\$10\.00 per seat per month/);
+  assert.deepStrictEqual(results[2].swot.weaknesses.map(item => item.score), [-2, -1, -0.5]);
+});
@@ -0,0 +1,29 @@
+/**
+ * Tests of tag normalization and the project rollup.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeTags, rollupProject } = require('../services/projects');
+
+test('normalizes tags and rejects invalid ones', () => {
+  assert.deepStrictEqual(normalizeTags(undefined), { tags: [] });
+  assert.deepStrictEqual(normalizeTags([' Q1 ', 'q1', 'EU', '']), { tags: ['q1', 'eu'] });
+  assert.deepStrictEqual(normalizeTags('q1'), { error: 'Tags must be an array of strings' });
+  assert.deepStrictEqual(normalizeTags(['q1', 2]), { error: 'Tags must be an array of strings' });
+  assert.deepStrictEqual(normalizeTags(['x'.repeat(51)]), { error: 'Tags must be at most 50 characters' });
+});
+
+test('rolls up competitors and tags across a project', () => {
+  const rollup = rollupProject([
+    { id: 'a1', timestamp: 100, competitors: [{ name: 'Acme' }, { name: 'acme ' }, { name: 'Beta' }], tags: ['q1'] },
+    { id: 'a2', timestamp: 200, updatedAt: 300, competitors: [{ name: 'ACME' }], tags: ['q1', 'eu'] },
+    { id: 'a3', timestamp: 250, competitors: [{ name: 'Gamma' }, { name: '' }] }
+  ]);
+  assert.strictEqual(rollup.analyses, 3);
+  assert.deepStrictEqual(rollup.competitors, [
+    { name: 'Acme', analyses: 2, analysisIds: ['a1', 'a2'], lastSeen: 300 },
+    { name: 'Beta', analyses: 1, analysisIds: ['a1'], lastSeen: 100 },
+    { name: 'Gamma', analyses: 1, analysisIds: ['a3'], lastSeen: 250 }
+  ]);
+  assert.deepStrictEqual(rollup.tags, [{ tag: 'q1', count: 2 }, { tag: 'eu', count: 1 }]);
+});
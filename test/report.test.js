@@ -0,0 +1,61 @@
+/**
+ * Tests of the self‑contained HTML report.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const frameworks = require('../services/frameworks');
+const { renderReport } = require('../services/report');
+
+const swot = frameworks.getFramework('swot');
+
+const analysis = {
+  timestamp: Date.parse('2026-03-01T12:00:00Z'),
+  updatedAt: Date.parse('2026-03-05T12:00:00Z'),
+  revision: 2,
+  provider: 'heuristic',
+  competitors: [{ name: 'Acme', description: 'Acme is <fast>.' }, { name: 'Beta', description: 'Beta is cheap.' }],
+  ownProduct: { name: 'Ours', description: 'Ours is secure.' },
+  baseline: { name: 'Ours', swot: { strengths: ['Secure'], weaknesses: [], opportunities: [], threats: [] } },
+  results: [
+    { name: 'Acme', swot: { strengths: [{ text: 'Fast & "snappy"', pinned: true }, 'Reliable'], weaknesses: [], opportunities: [], threats: [] } },
+    { name: 'Beta', swot: { strengths: ['Cheap'], weaknesses: [{ text: 'Slow', origin: 'manual' }], opportunities: [], threats: [] } }
+  ],
+  themes: [{ category: 'strengths', label: 'Fast', competitors: ['Acme', 'Beta'] }],
+  landscape: { whitespace: [{ theme: 'security' }] }
+};
+
+test('renders a self-contained report with metadata, summary and chart', () => {
+  const html = renderReport(analysis, swot, { author: 'ana', generatedAt: Date.parse('2026-03-06T08:30:00Z') });
+  assert.doesNotMatch(html, /<script|<link|https?:\/\/(?!www\.w3\.org)/);
+  assert.match(html, /<tr><th>Author<\/th><td>ana<\/td><\/tr>/);
+  assert.match(html, /<tr><th>Last updated<\/th><td>2026-03-05<\/td><\/tr>/);
+  assert.match(html, /<tr><th>Revision<\/th><td>2<\/td><\/tr>/);
+  assert.match(html, /compares 2 competitors \(Acme, Beta\) with Ours\./);
+  assert.match(html, /Most strengths: Acme \(2\)\./);
+  assert.match(html, /Recurring in strengths: “Fast” \(Acme, Beta\)\./);
+  assert.match(html, /No competitor emphasises: security\./);
+  assert.match(html, /<svg [^>]*aria-label="Items per competitor: Strengths, Weaknesses"/);
+  assert.match(html, /Report generated 2026-03-06 08:30 UTC/);
+});
+
+test('escapes text and marks pinned and manual items', () => {
+  const html = renderReport(analysis, swot);
+  assert.match(html, /<li>Fast &amp; &quot;snappy&quot; <span class="mark">pinned<\/span><\/li>/);
+  assert.match(html, /<li>Slow <span class="mark">manual<\/span><\/li>/);
+  assert.match(html, /<p class="description">Acme is &lt;fast&gt;\.<\/p>/);
+  assert.doesNotMatch(html, /<th>Author<\/th>/);
+});
+
+test('renders a grid per competitor or one comparison table', () => {
+  const grid = renderReport(analysis, swot);
+  assert.strictEqual(grid.match(/<section class="competitor">/g).length, 3);
+  assert.doesNotMatch(grid, /<table class="comparison">/);
+  assert.match(grid, /<h2>Ours \(our product\)<\/h2>/);
+
+  const table = renderReport(analysis, swot, { layout: 'B' });
+  assert.doesNotMatch(table, /<section class="competitor">/);
+  const rows = table.match(/<table class="comparison">.*<\/table>/)[0].match(/<tr>/g);
+  assert.strictEqual(rows.length, 4);
+  assert.match(table, /<tr><th>Competitor<\/th><th>Strengths<\/th><th>Weaknesses<\/th><th>Opportunities<\/th><th>Threats<\/th><\/tr>/);
+  assert.match(table, /<tr><th>Ours \(our product\)<\/th><td><ul><li>Secure<\/li><\/ul><\/td>/);
+});
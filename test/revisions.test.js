@@ -0,0 +1,67 @@
+/**
+ * Tests of the diff between analysis revisions.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffRevisions } = require('../services/revisions');
+
+/**
+ * Build a SWOT revision.
+ *
+ * @param {number} revision
+ * @param {Array<[string, string, object]>} entries [name, description, swot]
+ * @returns {object}
+ */
+function revision(revision, entries) {
+  return {
+    revision,
+    framework: 'swot',
+    competitors: entries.map(([name, description]) => ({ name, description })),
+    results: entries.map(([name, , swot]) => ({ name, swot }))
+  };
+}
+
+test('reports added and removed items per competitor and category', () => {
+  const from = revision(1, [
+    ['Acme', 'Acme is fast.', { strengths: [{ text: 'Acme is fast', score: 1 }], weaknesses: ['Old weakness'] }],
+    ['Beta', 'Beta is easy.', { strengths: [{ text: 'Beta is easy', score: 1 }], weaknesses: [] }],
+    ['Gone', 'Gone is slow.', { strengths: [], weaknesses: [{ text: 'Gone is slow', score: -1 }] }]
+  ]);
+  const to = revision(2, [
+    ['Acme', 'Acme is fast. Acme is expensive.', {
+      strengths: [{ text: 'Acme is fast', score: 1 }],
+      weaknesses: [{ text: 'Acme is expensive', score: -1 }]
+    }],
+    ['Beta', 'Beta is easy.', { strengths: [{ text: 'Beta is easy', score: 1.5 }], weaknesses: [] }],
+    ['New', 'New is popular.', { strengths: [{ text: 'New is popular', score: 1 }], weaknesses: [] }]
+  ]);
+  const diff = diffRevisions(from, to);
+  assert.strictEqual(diff.from, 1);
+  assert.strictEqual(diff.to, 2);
+  assert.deepStrictEqual(diff.competitors.map(c => [c.name, c.status, c.descriptionChanged]), [
+    ['Acme', 'changed', true],
+    ['Beta', 'unchanged', false],
+    ['New', 'added', false],
+    ['Gone', 'removed', false]
+  ]);
+  assert.deepStrictEqual(diff.competitors[0].categories, {
+    weaknesses: { added: ['Acme is expensive'], removed: ['Old weakness'] }
+  });
+  assert.deepStrictEqual(diff.competitors[2].categories, { strengths: { added: ['New is popular'], removed: [] } });
+  assert.deepStrictEqual(diff.competitors[3].categories, { weaknesses: { added: [], removed: ['Gone is slow'] } });
+});
+
+test('compares revisions of different frameworks by their own fields', () => {
+  const from = revision(1, [['Acme', 'Acme is fast.', { strengths: [{ text: 'Acme is fast', score: 1 }] }]]);
+  const to = {
+    revision: 2,
+    framework: 'porter',
+    competitors: [{ name: 'Acme', description: 'Acme is fast.' }],
+    results: [{ name: 'Acme', forces: { rivalry: [{ text: 'The market is crowded', score: 0 }] } }]
+  };
+  const [acme] = diffRevisions(from, to).competitors;
+  assert.deepStrictEqual(acme.categories, {
+    rivalry: { added: ['The market is crowded'], removed: [] },
+    strengths: { added: [], removed: ['Acme is fast'] }
+  });
+});
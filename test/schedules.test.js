@@ -0,0 +1,92 @@
+/**
+ * Tests of schedule parsing and the next run computation.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSchedule, nextRunAfter, addRun } = require('../services/schedules');
+
+const at = text => Date.parse(text);
+const iso = timestamp => new Date(timestamp).toISOString();
+
+/**
+ * List the next runs of a schedule.
+ *
+ * @param {string} spec
+ * @param {string} from ISO timestamp
+ * @param {number} count
+ * @returns {string[]} ISO timestamps
+ */
+function runs(spec, from, count) {
+  const { cron, error } = parseSchedule(spec);
+  assert.strictEqual(error, undefined);
+  const list = [];
+  let after = at(from);
+  for (let i = 0; i < count; i++) {
+    after = nextRunAfter(cron, after);
+    list.push(iso(after));
+  }
+  return list;
+}
+
+test('runs the daily and weekly presets at midnight UTC', () => {
+  assert.deepStrictEqual(runs('daily', '2026-03-10T12:00:00Z', 2),
+    ['2026-03-11T00:00:00.000Z', '2026-03-12T00:00:00.000Z']);
+  // 2026-03-10 is a Tuesday
+  assert.deepStrictEqual(runs('Weekly', '2026-03-10T12:00:00Z', 2),
+    ['2026-03-16T00:00:00.000Z', '2026-03-23T00:00:00.000Z']);
+});
+
+test('runs strictly after the given time', () => {
+  assert.deepStrictEqual(runs('30 9 * * *', '2026-03-10T09:30:00Z', 1), ['2026-03-11T09:30:00.000Z']);
+  assert.deepStrictEqual(runs('30 9 * * *', '2026-03-10T09:29:59Z', 1), ['2026-03-10T09:30:00.000Z']);
+});
+
+test('supports ranges, steps and lists', () => {
+  assert.deepStrictEqual(runs('0-30/15 8,20 * * 1-5', '2026-03-13T20:20:00Z', 4), [
+    '2026-03-13T20:30:00.000Z',
+    '2026-03-16T08:00:00.000Z',
+    '2026-03-16T08:15:00.000Z',
+    '2026-03-16T08:30:00.000Z'
+  ]);
+  assert.deepStrictEqual(runs('0 0 29 2 *', '2026-01-01T00:00:00Z', 1), ['2028-02-29T00:00:00.000Z']);
+  // 7 is Sunday too
+  assert.deepStrictEqual(runs('0 0 * * 7', '2026-03-10T00:00:00Z', 1), ['2026-03-15T00:00:00.000Z']);
+});
+
+test('runs on either restricted day of month or day of week', () => {
+  // The 1st of the month or any Friday
+  assert.deepStrictEqual(runs('0 0 1 * 5', '2026-03-25T00:00:00Z', 3), [
+    '2026-03-27T00:00:00.000Z',
+    '2026-04-01T00:00:00.000Z',
+    '2026-04-03T00:00:00.000Z'
+  ]);
+});
+
+test('treats a stepped star field as unrestricted', () => {
+  // Odd days of the month that are Mondays, not every odd day or Monday
+  assert.deepStrictEqual(runs('0 0 */2 * 1', '2026-03-01T00:00:00Z', 3), [
+    '2026-03-09T00:00:00.000Z',
+    '2026-03-23T00:00:00.000Z',
+    '2026-04-13T00:00:00.000Z'
+  ]);
+  // The 1st of the month when it is a Sunday, Tuesday, Thursday or Saturday
+  assert.deepStrictEqual(runs('0 0 1 * */2', '2026-03-02T00:00:00Z', 2), [
+    '2026-08-01T00:00:00.000Z',
+    '2026-09-01T00:00:00.000Z'
+  ]);
+});
+
+test('rejects invalid schedules', () => {
+  assert.match(parseSchedule('hourly').error, /5 fields/);
+  assert.match(parseSchedule('60 * * * *').error, /Invalid minute field/);
+  assert.match(parseSchedule('* * * * 1-').error, /Invalid day of week field/);
+  assert.match(parseSchedule('0 0 31 2 *').error, /never runs/);
+  assert.ok(parseSchedule(42).error);
+});
+
+test('keeps a bounded run history', () => {
+  const schedule = {};
+  for (let i = 0; i < 60; i++) addRun(schedule, { startedAt: i });
+  assert.strictEqual(schedule.runs.length, 50);
+  assert.strictEqual(schedule.runs[0].startedAt, 10);
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests of the scraper service against local fixture HTTP servers.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createScraper, createHttpFetcher, isPrivateAddress } = require('../services/scraper');
+
+const PAGE = `<!DOCTYPE html>
+<html><head><title>Acme</title><script>track()</script></head>
+<body>
+<nav><a href="/">Home</a> <a href="/pricing">Pricing plans for every team size</a></nav>
+<main>
+<h1>Analytics for growing teams</h1>
+<p>Acme is fast and easy to use for large teams.</p>
+<p>Support can be slow during the weekend.</p>
+<script>alert('not content')</script>
+</main>
+<footer>Copyright 2026 Acme Inc, all rights reserved</footer>
+</body></html>`;
+
+/**
+ * Start a fixture server.  `routes` maps paths to handlers; every
+ * request is recorded with its arrival time.
+ *
+ * @param {object} routes
+ * @returns {Promise<{ url: string, hits: Array, close: function(): void }>}
+ */
+async function startFixture(routes) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push({ path: req.url, at: Date.now(), headers: req.headers });
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    route(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    hits,
+    close: () => server.close()
+  };
+}
+
+const html = (body, headers = {}) => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(body);
+};
+const robotsTxt = text => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(text);
+};
+
+const localScraper = (options = {}) => createScraper({
+  fetcher: createHttpFetcher({ allowPrivateNetworks: true }),
+  hostIntervalMs: 0,
+  cacheFile: null,
+  ...options
+});
+
+test('extracts readable text without navigation, scripts or footers', async t => {
+  const fixture = await startFixture({ '/robots.txt': robotsTxt(''), '/': html(PAGE) });
+  t.after(fixture.close);
+  const page = await localScraper().fetchPage(`${fixture.url}/`);
+  assert.strictEqual(page.status, 'ok');
+  assert.strictEqual(page.title, 'Acme');
+  assert.match(page.text, /Acme is fast and easy to use for large teams\./);
+  assert.doesNotMatch(page.text, /Pricing plans|Copyright|alert|track/);
+});
+
+test('does not request pages disallowed by robots.txt', async t => {
+  const fixture = await startFixture({
+    '/robots.txt': robotsTxt('User-agent: *\nDisallow: /private\n\nUser-agent: OtherBot\nDisallow: /'),
+    '/private/plans': html(PAGE),
+    '/public': html(PAGE)
+  });
+  t.after(fixture.close);
+  const scraper = localScraper();
+  const blocked = await scraper.fetchPage(`${fixture.url}/private/plans`);
+  assert.strictEqual(blocked.status, 'blocked');
+  assert.strictEqual((await scraper.fetchPage(`${fixture.url}/public`)).status, 'ok');
+  assert.deepStrictEqual(fixture.hits.map(hit => hit.path), ['/robots.txt', '/public']);
+});
+
+test('checks robots.txt again for redirect targets', async t => {
+  const fixture = await startFixture({
+    '/robots.txt': robotsTxt('User-agent: *\nDisallow: /private'),
+    '/moved': (req, res) => {
+      res.writeHead(302, { Location: '/private/page' });
+      res.end();
+    },
+    '/private/page': html(PAGE)
+  });
+  t.after(fixture.close);
+  const page = await localScraper().fetchPage(`${fixture.url}/moved`);
+  assert.strictEqual(page.status, 'blocked');
+  assert.ok(!fixture.hits.some(hit => hit.path === '/private/page'));
+});
+
+test('revalidates cached pages and reuses them on 304', async t => {
+  let version = 1;
+  const fixture = await startFixture({
+    '/robots.txt': robotsTxt(''),
+    '/': (req, res) => {
+      const etag = `"v${version}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+      }
+      html(PAGE.replace('fast', version === 1 ? 'fast' : 'very fast'), { ETag: etag })(req, res);
+    }
+  });
+  t.after(fixture.close);
+  const scraper = localScraper();
+  const first = await scraper.fetchPage(`${fixture.url}/`);
+  const second = await scraper.fetchPage(`${fixture.url}/`);
+  assert.strictEqual(first.changed, true);
+  assert.strictEqual(second.fromCache, true);
+  assert.strictEqual(second.changed, false);
+  assert.strictEqual(second.text, first.text);
+  assert.strictEqual(fixture.hits[2].headers['if-none-match'], '"v1"');
+  version = 2;
+  const third = await scraper.fetchPage(`${fixture.url}/`);
+  assert.strictEqual(third.fromCache, false);
+  assert.strictEqual(third.changed, true);
+  assert.match(third.text, /very fast/);
+});
+
+test('spaces requests to a host by the robots.txt crawl delay', async t => {
+  const fixture = await startFixture({
+    '/robots.txt': robotsTxt('User-agent: *\nCrawl-delay: 0.5'),
+    '/a': html(PAGE),
+    '/b': html(PAGE)
+  });
+  t.after(fixture.close);
+  const { description, pages } = await localScraper().scrapeCompetitor({
+    name: 'Acme',
+    website: `${fixture.url}/a`,
+    urls: [`${fixture.url}/b`]
+  });
+  assert.deepStrictEqual(pages.map(page => page.status), ['ok', 'ok']);
+  // Lines repeated on both pages are kept once
+  assert.strictEqual(description.match(/Acme is fast/g).length, 1);
+  const [, a, b] = fixture.hits;
+  assert.ok(b.at - a.at >= 450, `requests were ${b.at - a.at}ms apart`);
+});
+
+test('treats an unreachable robots.txt as disallowing everything', async t => {
+  const fixture = await startFixture({
+    '/robots.txt': (req, res) => {
+      res.writeHead(503);
+      res.end();
+    },
+    '/': html(PAGE)
+  });
+  t.after(fixture.close);
+  const page = await localScraper().fetchPage(`${fixture.url}/`);
+  assert.strictEqual(page.status, 'blocked');
+  assert.strictEqual(fixture.hits.length, 1);
+});
+
+test('refuses loopback and private addresses by default', async t => {
+  const fixture = await startFixture({ '/robots.txt': robotsTxt(''), '/': html(PAGE) });
+  t.after(fixture.close);
+  const scraper = createScraper({ hostIntervalMs: 0, cacheFile: null });
+  const page = await scraper.fetchPage(`${fixture.url}/`);
+  assert.notStrictEqual(page.status, 'ok');
+  assert.match(page.error, /private address/);
+  assert.strictEqual(fixture.hits.length, 0);
+  assert.strictEqual(isPrivateAddress('169.254.169.254'), true);
+  assert.strictEqual(isPrivateAddress('::ffff:10.0.0.1'), true);
+  assert.strictEqual(isPrivateAddress('93.184.216.34'), false);
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests of the search, filters and cursor pagination of saved analyses.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseListQuery, queryAnalyses } = require('../services/search');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-03-01T12:00:00Z');
+
+/**
+ * Parse a query string, failing the test on errors.
+ *
+ * @param {string} search
+ * @returns {object}
+ */
+function parse(search) {
+  const { query, error } = parseListQuery(new URLSearchParams(search));
+  assert.strictEqual(error, undefined);
+  return query;
+}
+
+// Five analyses a day apart; the last two share a timestamp
+const analyses = [
+  { id: 'a1', timestamp: START, variant: 'A', competitors: [{ name: 'Acme' }],
+    results: [{ name: 'Acme', swot: { strengths: [{ text: 'Fast onboarding' }] } }] },
+  { id: 'a2', timestamp: START + DAY, variant: 'B', competitors: [{ name: 'Beta' }], tags: ['q1'],
+    results: [{ name: 'Beta', swot: { weaknesses: ['Expensive plans'] } }] },
+  { id: 'a3', timestamp: START + 2 * DAY, variant: 'A', competitors: [{ name: 'Acme' }, { name: 'Beta' }], projectId: 'p1',
+    results: [{ name: 'Acme', forces: { rivalry: [{ text: 'Crowded market' }] } }] },
+  { id: 'a4', timestamp: START + 3 * DAY, variant: 'B', competitors: [{ name: 'Gamma' }], tags: ['q1', 'eu'] },
+  { id: 'a5', timestamp: START + 3 * DAY, variant: 'A', competitors: [{ name: 'Delta' }] }
+];
+
+test('pages through every match exactly once with cursors', () => {
+  const seen = [];
+  let cursor = '';
+  do {
+    const page = queryAnalyses(analyses, parse(`limit=2${cursor ? `&cursor=${cursor}` : ''}`));
+    assert.strictEqual(page.total, 5);
+    seen.push(...page.items.map(a => a.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepStrictEqual(seen, ['a4', 'a5', 'a3', 'a2', 'a1']);
+});
+
+test('keeps pages stable when analyses are added or removed', () => {
+  const first = queryAnalyses(analyses, parse('sort=oldest&limit=2'));
+  assert.deepStrictEqual(first.items.map(a => a.id), ['a1', 'a2']);
+  const changed = [{ id: 'a0', timestamp: START - DAY }, ...analyses.filter(a => a.id !== 'a1')];
+  const second = queryAnalyses(changed, parse(`sort=oldest&limit=2&cursor=${first.nextCursor}`));
+  assert.deepStrictEqual(second.items.map(a => a.id), ['a3', 'a4']);
+});
+
+test('filters by text, variant, competitor, project, tags and dates', () => {
+  const ids = search => queryAnalyses(analyses, parse(search)).items.map(a => a.id).sort();
+  assert.deepStrictEqual(ids('q=fast+ONBOARDING'), ['a1']);
+  assert.deepStrictEqual(ids('q=crowded'), ['a3']);
+  assert.deepStrictEqual(ids('q=expensive+fast'), []);
+  assert.deepStrictEqual(ids('variant=B'), ['a2', 'a4']);
+  assert.deepStrictEqual(ids('competitor=acme'), ['a1', 'a3']);
+  assert.deepStrictEqual(ids('project=p1'), ['a3']);
+  assert.deepStrictEqual(ids('project=none'), ['a1', 'a2', 'a4', 'a5']);
+  assert.deepStrictEqual(ids('tag=q1&tag=EU'), ['a4']);
+  assert.deepStrictEqual(ids('from=2026-03-02&to=2026-03-03'), ['a2', 'a3']);
+});
+
+test('rejects invalid parameters', () => {
+  const error = search => parseListQuery(new URLSearchParams(search)).error;
+  assert.strictEqual(error('variant=C'), 'Variant must be A or B');
+  assert.strictEqual(error('sort=best'), 'Unknown sort: best');
+  assert.strictEqual(error('limit=0'), 'Limit must be a positive integer');
+  assert.strictEqual(error('from=yesterday'), 'Invalid from date');
+  assert.strictEqual(error('cursor=nonsense'), 'Invalid cursor');
+  const { nextCursor } = queryAnalyses(analyses, parse('limit=1'));
+  assert.strictEqual(error(`sort=oldest&cursor=${nextCursor}`), 'Invalid cursor');
+  assert.strictEqual(parse('limit=500').limit, 100);
+});
@@ -0,0 +1,267 @@
+/**
+ * Tests of the HTTP API.  The server runs as a child process on a copy
+ * of the project, so its JSON data files start empty and never touch
+ * the working tree.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+
+let dir;
+let child;
+let base;
+
+/**
+ * Find a free local port.
+ *
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Send a request to the server.
+ *
+ * @param {string} method
+ * @param {string} pathname
+ * @param {object} [body] Sent as JSON
+ * @param {string} [token] Bearer token
+ * @param {object} [headers] Extra headers
+ * @returns {Promise<{ status: number, headers: Headers, data: any }>}
+ */
+async function request(method, pathname, body, token, headers = {}) {
+  const response = await fetch(base + pathname, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    data = text;
+  }
+  return { status: response.status, headers: response.headers, data };
+}
+
+/**
+ * Register a fresh user.
+ *
+ * @returns {Promise<string>} Session token
+ */
+async function signUp() {
+  const { data } = await request('POST', '/api/register', {
+    username: `user-${Math.random().toString(36).slice(2)}`,
+    password: 'secret'
+  });
+  return data.token;
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'competitive-analysis-'));
+  fs.cpSync(ROOT, dir, {
+    recursive: true,
+    filter: source => {
+      const name = path.relative(ROOT, source);
+      if (['.git', 'node_modules', 'test'].includes(name)) return false;
+      return !name.endsWith('.json') || name === 'package.json';
+    }
+  });
+  const port = await freePort();
+  base = `http://localhost:${port}`;
+  child = spawn(process.execPath, ['server.js'], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    child.on('exit', code => reject(new Error(`Server exited with ${code}`)));
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('Server listening')) resolve();
+    });
+  });
+});
+
+after(() => {
+  if (child) child.kill();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('keeps a competitor registry per user', async () => {
+  const token = await signUp();
+  const created = await request('POST', '/api/competitors', {
+    name: ' Acme ',
+    website: 'https://acme.example',
+    description: 'Acme is fast.'
+  }, token);
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.data.name, 'Acme');
+  assert.strictEqual(created.data.descriptions.length, 1);
+
+  const updated = await request('PUT', `/api/competitors/${created.data.id}`, {
+    name: 'Acme',
+    description: 'Acme is fast but expensive.'
+  }, token);
+  assert.strictEqual(updated.status, 200);
+  assert.deepStrictEqual(updated.data.descriptions.map(d => d.description),
+    ['Acme is fast.', 'Acme is fast but expensive.']);
+
+  const list = await request('GET', '/api/competitors', undefined, token);
+  assert.deepStrictEqual(list.data.map(c => c.name), ['Acme']);
+  assert.strictEqual(list.data[0].descriptions, undefined);
+
+  const other = await request('GET', `/api/competitors/${created.data.id}`, undefined, await signUp());
+  assert.strictEqual(other.status, 404);
+
+  const invalid = await request('POST', '/api/competitors', { name: 'Beta', website: 'ftp://beta' }, token);
+  assert.strictEqual(invalid.status, 400);
+
+  const removed = await request('DELETE', `/api/competitors/${created.data.id}`, undefined, token);
+  assert.strictEqual(removed.status, 204);
+  assert.strictEqual((await request('GET', `/api/competitors/${created.data.id}`, undefined, token)).status, 404);
+});
+
+test('analyses registry competitors referenced by id', async () => {
+  const token = await signUp();
+  const { data: saved } = await request('POST', '/api/competitors', {
+    name: 'Acme',
+    description: 'Acme is fast and reliable.'
+  }, token);
+  const { data: bare } = await request('POST', '/api/competitors', { name: 'Bare' }, token);
+
+  const analysis = await request('POST', '/api/analysis', {
+    competitors: [saved.id, { name: 'Beta', description: 'Beta is slow.' }]
+  }, token);
+  assert.strictEqual(analysis.status, 201);
+  assert.deepStrictEqual(analysis.data.competitors[0], {
+    name: 'Acme',
+    description: 'Acme is fast and reliable.',
+    competitorId: saved.id
+  });
+  assert.strictEqual(analysis.data.results[0].name, 'Acme');
+
+  const missing = await request('POST', '/api/analysis', { competitors: ['no-such-id'] }, token);
+  assert.strictEqual(missing.status, 404);
+  const undescribed = await request('POST', '/api/analysis', { competitors: [{ id: bare.id }] }, token);
+  assert.strictEqual(undescribed.status, 400);
+});
+
+/**
+ * Create an analysis of one inline competitor.
+ *
+ * @param {string} token
+ * @returns {Promise<object>} The stored analysis
+ */
+async function createAnalysis(token) {
+  const { data } = await request('POST', '/api/analysis', {
+    competitors: [{ name: 'Acme', description: 'Acme is fast but expensive.' }]
+  }, token);
+  return data;
+}
+
+test('serves share links read-only until revoked', async () => {
+  const token = await signUp();
+  const analysis = await createAnalysis(token);
+  const { status, data: share } = await request('POST', `/api/analysis/${analysis.id}/shares`, { layout: 'B' }, token);
+  assert.strictEqual(status, 201);
+  assert.strictEqual(share.url, `/?share=${share.token}`);
+
+  const shared = await request('GET', `/api/shared/${share.token}`);
+  assert.strictEqual(shared.status, 200);
+  assert.strictEqual(shared.data.layout, 'B');
+  assert.strictEqual(shared.data.analysis.id, analysis.id);
+  assert.strictEqual(shared.data.analysis.userId, undefined);
+
+  const [listed] = (await request('GET', `/api/analysis/${analysis.id}/shares`, undefined, token)).data;
+  assert.strictEqual(listed.views, 1);
+  assert.strictEqual(listed.passwordHash, undefined);
+
+  const expired = await request('POST', `/api/analysis/${analysis.id}/shares`, { expiresAt: Date.now() - 1000 }, token);
+  assert.strictEqual(expired.status, 400);
+
+  await request('DELETE', `/api/analysis/${analysis.id}/shares/${share.token}`, undefined, token);
+  assert.strictEqual((await request('GET', `/api/shared/${share.token}`)).status, 404);
+});
+
+test('locks a password protected share link after repeated wrong passwords', async () => {
+  const token = await signUp();
+  const analysis = await createAnalysis(token);
+  const { data: share } = await request('POST', `/api/analysis/${analysis.id}/shares`, { password: 'open sesame' }, token);
+  const open = password => request('GET', `/api/shared/${share.token}`, undefined, undefined,
+    password ? { 'X-Share-Password': password } : {});
+
+  assert.strictEqual((await open()).status, 401);
+  assert.strictEqual((await open('open sesame')).status, 200);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.strictEqual((await open('guess')).status, 403);
+  }
+  const locked = await open('open sesame');
+  assert.strictEqual(locked.status, 429);
+  const retryAfter = Number(locked.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 15 * 60);
+});
+
+test('keeps comment replies in one thread and resolves it from any reply', async () => {
+  const token = await signUp();
+  const analysis = await createAnalysis(token);
+  const comments = `/api/analysis/${analysis.id}/comments`;
+  const { data: root } = await request('POST', comments, {
+    body: 'Is this right?', competitorIndex: 0, category: 'weaknesses', itemIndex: 0
+  }, token);
+  assert.strictEqual(root.item.competitor, 'Acme');
+  const { data: reply } = await request('POST', comments, { body: 'Yes', parentId: root.id }, token);
+  const { data: nested } = await request('POST', comments, { body: 'Agreed', parentId: reply.id }, token);
+  assert.strictEqual(nested.parentId, root.id);
+  assert.deepStrictEqual(nested.item, root.item);
+
+  const missing = await request('POST', comments, { body: 'Hm', competitorIndex: 5, category: 'strengths', itemIndex: 0 }, token);
+  assert.strictEqual(missing.status, 404);
+
+  await request('PUT', `${comments}/${nested.id}`, { resolved: true }, token);
+  const open = await request('GET', `${comments}?resolved=false`, undefined, token);
+  assert.deepStrictEqual(open.data, []);
+  const [thread] = (await request('GET', `${comments}?resolved=true`, undefined, token)).data;
+  assert.strictEqual(thread.id, root.id);
+  assert.deepStrictEqual(thread.replies.map(r => r.body), ['Yes', 'Agreed']);
+  assert.deepStrictEqual(thread.location, { competitorIndex: 0, category: 'weaknesses', itemIndex: 0 });
+});
+
+test('moves deleted analyses to the trash until they are restored', async () => {
+  const token = await signUp();
+  const analysis = await createAnalysis(token);
+  const { data: share } = await request('POST', `/api/analysis/${analysis.id}/shares`, {}, token);
+
+  assert.strictEqual((await request('DELETE', `/api/analysis/${analysis.id}`, undefined, token)).status, 204);
+  assert.strictEqual((await request('GET', `/api/analysis/${analysis.id}`, undefined, token)).status, 404);
+  assert.strictEqual((await request('GET', `/api/shared/${share.token}`)).status, 404);
+  assert.deepStrictEqual((await request('GET', '/api/analysis/list', undefined, token)).data.items, []);
+  const [trashed] = (await request('GET', '/api/analysis/trash', undefined, token)).data;
+  assert.strictEqual(trashed.id, analysis.id);
+  assert.strictEqual(trashed.purgeAt - trashed.deletedAt, 30 * 24 * 60 * 60 * 1000);
+
+  const restored = await request('POST', `/api/analysis/${analysis.id}/restore`, undefined, token);
+  assert.strictEqual(restored.status, 200);
+  assert.strictEqual(restored.data.deletedAt, undefined);
+  assert.deepStrictEqual((await request('GET', '/api/analysis/trash', undefined, token)).data, []);
+  assert.strictEqual((await request('GET', `/api/shared/${share.token}`)).status, 200);
+  assert.strictEqual((await request('POST', `/api/analysis/${analysis.id}/restore`, undefined, token)).status, 404);
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests of the theme clustering across competitors.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getFramework } = require('../services/frameworks');
+const { clusterThemes } = require('../services/themes');
+
+const SWOT = getFramework('swot');
+
+/**
+ * Build a SWOT result with the given strengths.
+ *
+ * @param {string} name
+ * @param {string[]} strengths
+ * @param {string} [language]
+ * @returns {object}
+ */
+function result(name, strengths, language = 'en') {
+  return {
+    name,
+    language,
+    swot: { strengths: strengths.map(text => ({ text, score: 1 })), weaknesses: [], opportunities: [], threats: [] }
+  };
+}
+
+test('groups similar items of different competitors into a theme', () => {
+  const themes = clusterThemes([
+    result('Acme', ['Acme is easy to use', 'Acme has great reports']),
+    result('Beta', ['Beta onboarding is easy to use']),
+    result('Gamma', ['Gamma supports SAML'])
+  ], SWOT);
+  assert.strictEqual(themes.length, 1);
+  const [theme] = themes;
+  assert.strictEqual(theme.id, 'strengths-1');
+  assert.deepStrictEqual(theme.competitors, ['Acme', 'Beta']);
+  assert.deepStrictEqual(theme.members.map(m => [m.competitorIndex, m.itemIndex]), [[0, 0], [1, 0]]);
+  // Competitor names are not what makes items similar
+  assert.ok(!theme.terms.includes('acme') && !theme.terms.includes('beta'));
+  assert.ok(theme.terms.includes('easy'));
+});
+
+test('does not report similar items of a single competitor as a theme', () => {
+  const themes = clusterThemes([
+    result('Acme', ['Acme is easy to use', 'Acme onboarding is easy to use']),
+    result('Beta', ['Beta has great reporting'])
+  ], SWOT);
+  assert.deepStrictEqual(themes, []);
+});
+
+test('matches items across languages through their lexicon themes', () => {
+  const themes = clusterThemes([
+    result('Acme', ['Acme is fast']),
+    result('Beta', ['Beta ist schnell'], 'de')
+  ], SWOT);
+  assert.strictEqual(themes.length, 1);
+  assert.deepStrictEqual(themes[0].competitors, ['Acme', 'Beta']);
+});
+
+test('skips templated and landscape items', () => {
+  const acme = result('Acme', ['Acme is fast']);
+  const beta = result('Beta', []);
+  beta.swot.strengths.push({ text: 'Beta is fast', score: 0, templated: true });
+  acme.swot.threats.push({ text: 'Beta is the only competitor that is fast', score: 0, drivenBy: ['Beta'] });
+  beta.swot.threats.push({ text: 'Acme is the only competitor that is fast', score: 0, drivenBy: ['Acme'] });
+  assert.deepStrictEqual(clusterThemes([acme, beta], SWOT), []);
+});